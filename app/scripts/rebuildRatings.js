@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const database = require('../src/config');
+const { Review } = require('../src/models');
+
+/**
+ * Rebuilds the rating aggregates of every craftsman profile from their reviews.
+ * Run it with `npm run ratings:rebuild`.
+ *
+ * @throws {Error} If the database connection or the rebuild fails.
+ */
+const rebuildRatings = async () => {
+    await database.connect();
+
+    try {
+        const craftsmen = await Review.rebuildAllRatings();
+
+        process.stdout.write(
+            `${
+                'Rebuilt the ratings of '.cyan.bold +
+                `${craftsmen}`.brightYellow.bold +
+                ' reviewed craftsmen🚀...'.cyan.bold
+            }\n`
+        );
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+rebuildRatings().catch((err) => {
+    process.stderr.write(`${err.stack}\n`);
+    process.exit(1);
+});
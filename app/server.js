@@ -1,15 +1,17 @@
 const database = require('./src/config');
 const createApp = require('./src/app');
+const jobScheduler = require('./src/scheduler');
 
 /**
  * Main entry point for the application.
  *
  * @param {Object} database - The database configuration object.
  * @param {Function} createApp - A function that creates and configures the Express application.
+ * @param {Scheduler} scheduler - The scheduler of recurring jobs, disabled with `SCHEDULER_ENABLED=false`.
  * @throws {Error} If there's an issue starting the application.
  */
-const startApp = (database, createApp) => {
-    const { NODE_ENV: MODE, PORT = 3000 } = process.env;
+const startApp = (database, createApp, scheduler) => {
+    const { NODE_ENV: MODE, PORT = 3000, SCHEDULER_ENABLED } = process.env;
 
     createApp(database).then((app) => {
         app.listen(PORT, () => {
@@ -21,8 +23,16 @@ const startApp = (database, createApp) => {
                     ' 🚀...'.brightMagenta.underline.bold.italic
             );
         });
+
+        if (SCHEDULER_ENABLED !== 'false') {
+            scheduler.start((err, name) =>
+                process.emitWarning(
+                    `Scheduled job ${name} failed: ${err.message}`
+                )
+            );
+        }
     });
 };
 
 // Start the application
-startApp(database, createApp);
+startApp(database, createApp, jobScheduler);
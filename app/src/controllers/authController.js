@@ -13,6 +13,7 @@
  * @property {Function} updatePassword - A function to update the user's password.
  * @property {Function} getMe - A function to retrieve the authenticated user's data.
  * @property {Function} updateMe - A function to update the authenticated user's data.
+ * @property {Function} updatePhoto - A function to replace the authenticated user's profile photo.
  * @property {Function} logout - A function to log out the user.
  *
  * @returns {AuthController} An object containing authentication-related controller functions.
@@ -40,17 +41,23 @@ module.exports = ({ service, utils }) => {
             passwordConfirm,
             role = 'client',
             phone,
+            governrate,
+            about,
+            location,
         } = req.body;
 
         // Register using service
-        const token = await service.register({
-            name,
-            email,
-            password,
-            passwordConfirm,
-            role,
-            phone,
-        });
+        const token = await service.register(
+            {
+                name,
+                email,
+                password,
+                passwordConfirm,
+                role,
+                phone,
+            },
+            { governrate, about, location }
+        );
 
         // JWT Token expires in 90 days
         const expiresIn = new Date(
@@ -302,6 +309,37 @@ module.exports = ({ service, utils }) => {
             .send();
     });
 
+    /**
+     * Replaces the profile photo of the authenticated user with the uploaded one.
+     *
+     * @function updatePhoto
+     * @async
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     * @returns {Promise<void>} A promise that resolves with the updated user data.
+     * @uses {@link AuthService#updatePhoto} - Uses the authentication service to replace the user's photo.
+     */
+    const updatePhoto = catchAsync(async (req, res, next) => {
+        // Get the stored photo key set by the upload middleware
+        const { photo } = req.body;
+
+        if (!photo) {
+            return next(new AppError('Please upload a photo', 400));
+        }
+
+        // Update user using service
+        const user = await service.updatePhoto(req.user.id, photo);
+
+        // Send response to client
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Photo updated successfully')
+            .setSuccessPayload({
+                user,
+            })
+            .send();
+    });
+
     /**
      * Logs out the authenticated user.
      *
@@ -335,6 +373,7 @@ module.exports = ({ service, utils }) => {
         updatePassword,
         getMe,
         updateMe,
+        updatePhoto,
         logout,
     };
 };
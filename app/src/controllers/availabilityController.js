@@ -0,0 +1,93 @@
+/**
+ * Availability Controller Module
+ * @module availabilityController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.availabilityService - The availability service object for handling schedules and slots.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ *
+ * @typedef {Object} AvailabilityController
+ * @property {Function} getMySchedule - A function to retrieve the authenticated craftsman's weekly schedule.
+ * @property {Function} updateMySchedule - A function to create or replace the authenticated craftsman's weekly schedule.
+ * @property {Function} getCraftsmanSlots - A function to retrieve the free slots of a craftsman.
+ *
+ * @returns {AvailabilityController} An object containing availability-related controller functions.
+ */
+module.exports = (dependencies) => {
+    const { availabilityService, utils } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+
+    /**
+     * @route GET /api/v1/craftsmen/me/schedule
+     * @desc Get the authenticated craftsman's weekly schedule and exceptions.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const getMySchedule = catchAsync(async (req, res, next) => {
+        const schedule = await availabilityService.getSchedule(req.user.id);
+
+        if (!schedule) {
+            return next(
+                new AppError('You have not set up your schedule yet', 404)
+            );
+        }
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Schedule retrieved successfully')
+            .setSuccessPayload({
+                data: schedule,
+            })
+            .send();
+    });
+
+    /**
+     * @route PUT /api/v1/craftsmen/me/schedule
+     * @desc Create or replace the authenticated craftsman's weekly schedule, e.g.
+     * `{ slotDuration: 120, weeklyHours: [{ day: 0, start: '09:00', end: '17:00' }], exceptions: [{ date: '2024-04-10', hours: [] }] }`.
+     * Bookable slots are refreshed right away, booked slots are kept.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const updateMySchedule = catchAsync(async (req, res, next) => {
+        const schedule = await availabilityService.updateSchedule(
+            req.user.id,
+            req.body
+        );
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Schedule updated successfully')
+            .setSuccessPayload({
+                data: schedule,
+            })
+            .send();
+    });
+
+    /**
+     * @route GET /api/v1/craftsmen/:id/slots?from=2024-01-01&to=2024-01-07
+     * @desc Get the free slots of a craftsman profile between two dates (inclusive, at most 31 days,
+     * default the next 7 days) in the craftsman's time zone, earliest first.
+     * @access public
+     */
+    const getCraftsmanSlots = catchAsync(async (req, res, next) => {
+        const { from, to } = req.query;
+
+        const { timezone, slots } = await availabilityService.getFreeSlots(
+            req.params.id,
+            { from, to }
+        );
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Slots retrieved successfully')
+            .setSuccessPayload({
+                timezone,
+                count: slots.length,
+                data: slots,
+            })
+            .send();
+    });
+
+    return {
+        getMySchedule,
+        updateMySchedule,
+        getCraftsmanSlots,
+    };
+};
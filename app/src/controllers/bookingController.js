@@ -0,0 +1,335 @@
+/**
+ * Booking Controller Module
+ * @module bookingController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.bookingService - The booking service object for handling booking operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} BookingController
+ * @property {Function} setBookingFilter - A middleware that limits listing to the bookings of the authenticated user.
+ * @property {Function} getMyBookings - A function to retrieve the bookings of the authenticated user.
+ * @property {Function} getBooking - A function to retrieve a booking of the authenticated user.
+ * @property {Function} createBooking - A function to book a craftsman's slot for the authenticated client.
+ * @property {Function} confirmBooking - A function for the craftsman to confirm a pending booking.
+ * @property {Function} startBooking - A function for the craftsman to start a confirmed booking.
+ * @property {Function} completeBooking - A function for the craftsman to complete a booking in progress.
+ * @property {Function} cancelBooking - A function to cancel a booking of the authenticated user.
+ * @property {Function} getCancellationQuote - A function to tell what cancelling a booking would cost the authenticated user.
+ * @property {Function} proposeReschedule - A function to propose moving a booking to another slot.
+ * @property {Function} acceptReschedule - A function to accept the other party's reschedule proposal.
+ * @property {Function} declineReschedule - A function to decline or withdraw a reschedule proposal.
+ * @property {Function} submitQuote - A function to quote a booking, or counter the craftsman's quote.
+ * @property {Function} acceptQuote - A function to accept the other party's quote.
+ * @property {Function} rejectQuote - A function to reject the other party's quote.
+ *
+ * @returns {BookingController} An object containing booking-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { bookingService, utils, controller } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+    const controllerObj = controller(bookingService, utils, 'Booking');
+
+    /**
+     * Sends a booking in a standard JSON response.
+     *
+     * @param {Object} res - Express response object.
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - The response message.
+     * @param {Object} booking - The booking.
+     */
+    const sendBooking = (res, statusCode, message, booking) =>
+        new StandardJsonResponse(res, statusCode)
+            .setMainContent(true, message)
+            .setSuccessPayload({
+                data: booking,
+            })
+            .send();
+
+    /**
+     * Middleware that limits listing to the bookings the authenticated user
+     * takes part in, as the client or the craftsman (admins see every booking).
+     *
+     * @function setBookingFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setBookingFilter = (req, res, next) => {
+        if (req.user.role === 'client') req.filter = { clientId: req.user.id };
+        if (req.user.role === 'craftsman') {
+            req.filter = { craftsmanId: req.user.id };
+        }
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/bookings?status=Pending
+     * @desc Get the bookings of the authenticated user, latest slot first.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const getMyBookings = controllerObj.getAll({
+        sortByFields: '-startsAt',
+        excludedFields: ['clientId', 'craftsmanId'],
+    });
+
+    /**
+     * @route GET /api/v1/bookings/:id
+     * @desc Get a booking the authenticated user takes part in.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const getBooking = catchAsync(async (req, res, next) => {
+        const booking = await bookingService.getOneForUser(
+            req.params.id,
+            req.user
+        );
+
+        if (!booking) {
+            return next(new AppError('No booking found with that ID', 404));
+        }
+
+        return sendBooking(res, 200, 'Booking retrieved successfully', booking);
+    });
+
+    /**
+     * @route POST /api/v1/bookings
+     * @desc Book a free slot (`timeSlotId`) of a craftsman for the authenticated client.
+     * Fails with 409 if someone else booked the slot first.
+     * @access private
+     * @auth ['client']
+     */
+    const createBooking = catchAsync(async (req, res, next) => {
+        if (!req.body.timeSlotId) {
+            return next(new AppError('Please provide the slot to book', 400));
+        }
+
+        const booking = await bookingService.createBooking(req.user.id, {
+            clientPhone: req.user.phone,
+            ...req.body,
+        });
+
+        return sendBooking(res, 201, 'Booking created successfully', booking);
+    });
+
+    /**
+     * Creates a handler that moves a booking to its next status.
+     *
+     * @param {string} action - The transition ('confirm', 'start', 'complete' or 'cancel').
+     * @param {string} message - The success message.
+     * @returns {Function} The Express route handler.
+     */
+    const transition = (action, message) =>
+        catchAsync(async (req, res, next) => {
+            const booking = await bookingService.transitionBooking(
+                req.params.id,
+                action,
+                req.user,
+                { reason: req.body && req.body.reason }
+            );
+
+            return sendBooking(res, 200, message, booking);
+        });
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/confirm
+     * @desc Confirm a pending booking.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const confirmBooking = transition(
+        'confirm',
+        'Booking confirmed successfully'
+    );
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/start
+     * @desc Start the job of a confirmed booking.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const startBooking = transition('start', 'Booking started successfully');
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/complete
+     * @desc Complete the job of a booking in progress.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const completeBooking = transition(
+        'complete',
+        'Booking completed successfully'
+    );
+
+    /**
+     * @route GET /api/v1/bookings/:id/cancellation
+     * @desc Tell what cancelling the booking would cost right now (`penalty` in EGP, whether it is `isLate`
+     * and until when it is free), to show before the user confirms the cancellation.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const getCancellationQuote = catchAsync(async (req, res, next) => {
+        const quote = await bookingService.getCancellationQuote(
+            req.params.id,
+            req.user
+        );
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Cancellation quote retrieved successfully')
+            .setSuccessPayload({
+                data: quote,
+            })
+            .send();
+    });
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/cancel
+     * @desc Cancel a pending or confirmed booking with an optional `reason` and free its slot.
+     * Late cancellations cost clients a penalty and count against the craftsman's reliability,
+     * see `GET /api/v1/bookings/:id/cancellation`.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const cancelBooking = transition(
+        'cancel',
+        'Booking cancelled successfully'
+    );
+
+    /**
+     * @route POST /api/v1/bookings/:id/reschedule
+     * @desc Propose moving a pending or confirmed booking to another free slot (`timeSlotId`) of the same craftsman.
+     * @access private
+     * @auth ['client', 'craftsman']
+     */
+    const proposeReschedule = catchAsync(async (req, res, next) => {
+        if (!req.body.timeSlotId) {
+            return next(new AppError('Please provide the new slot', 400));
+        }
+
+        const booking = await bookingService.proposeReschedule(
+            req.params.id,
+            req.user,
+            req.body.timeSlotId
+        );
+
+        return sendBooking(
+            res,
+            201,
+            'Reschedule requested successfully',
+            booking
+        );
+    });
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/reschedule/accept
+     * @desc Accept the other party's reschedule proposal, moving the booking to the proposed slot.
+     * Fails with 409 if the slot was booked in the meantime.
+     * @access private
+     * @auth ['client', 'craftsman']
+     */
+    const acceptReschedule = catchAsync(async (req, res, next) => {
+        const booking = await bookingService.acceptReschedule(
+            req.params.id,
+            req.user
+        );
+
+        return sendBooking(
+            res,
+            200,
+            'Booking rescheduled successfully',
+            booking
+        );
+    });
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/reschedule/decline
+     * @desc Decline the other party's reschedule proposal, or withdraw your own.
+     * @access private
+     * @auth ['client', 'craftsman']
+     */
+    const declineReschedule = catchAsync(async (req, res, next) => {
+        const booking = await bookingService.declineReschedule(
+            req.params.id,
+            req.user
+        );
+
+        return sendBooking(
+            res,
+            200,
+            'Reschedule declined successfully',
+            booking
+        );
+    });
+
+    /**
+     * @route POST /api/v1/bookings/:id/quotes
+     * @desc Quote a pending or confirmed booking with line items (`items`), a validity period in hours
+     * (`validForHours`, default 48) and a `note`. Clients can only counter an open quote of the craftsman.
+     * @access private
+     * @auth ['client', 'craftsman']
+     */
+    const submitQuote = catchAsync(async (req, res, next) => {
+        if (!Array.isArray(req.body.items)) {
+            return next(new AppError('Please provide the quote items', 400));
+        }
+
+        const booking = await bookingService.submitQuote(
+            req.params.id,
+            req.user,
+            req.body
+        );
+
+        return sendBooking(res, 201, 'Quote submitted successfully', booking);
+    });
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/quotes/accept
+     * @desc Accept the other party's open quote, locking the booking fees to its total.
+     * @access private
+     * @auth ['client', 'craftsman']
+     */
+    const acceptQuote = catchAsync(async (req, res, next) => {
+        const booking = await bookingService.acceptQuote(
+            req.params.id,
+            req.user
+        );
+
+        return sendBooking(res, 200, 'Quote accepted successfully', booking);
+    });
+
+    /**
+     * @route PATCH /api/v1/bookings/:id/quotes/reject
+     * @desc Reject the other party's open quote.
+     * @access private
+     * @auth ['client', 'craftsman']
+     */
+    const rejectQuote = catchAsync(async (req, res, next) => {
+        const booking = await bookingService.rejectQuote(
+            req.params.id,
+            req.user
+        );
+
+        return sendBooking(res, 200, 'Quote rejected successfully', booking);
+    });
+
+    return {
+        setBookingFilter,
+        getMyBookings,
+        getBooking,
+        createBooking,
+        confirmBooking,
+        startBooking,
+        completeBooking,
+        cancelBooking,
+        getCancellationQuote,
+        proposeReschedule,
+        acceptReschedule,
+        declineReschedule,
+        submitQuote,
+        acceptQuote,
+        rejectQuote,
+    };
+};
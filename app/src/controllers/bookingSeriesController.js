@@ -0,0 +1,186 @@
+/**
+ * Booking Series Controller Module
+ * @module bookingSeriesController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.bookingSeriesService - The booking series service object for handling recurring bookings.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} BookingSeriesController
+ * @property {Function} setSeriesFilter - A middleware that limits listing to the series of the authenticated user.
+ * @property {Function} getMySeries - A function to retrieve the booking series of the authenticated user.
+ * @property {Function} getSeries - A function to retrieve a booking series of the authenticated user.
+ * @property {Function} createSeries - A function to book a craftsman repeatedly for the authenticated client.
+ * @property {Function} cancelOccurrence - A function to cancel one occurrence of a series.
+ * @property {Function} cancelSeries - A function to cancel a series with its upcoming occurrences.
+ *
+ * @returns {BookingSeriesController} An object containing booking series-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { bookingSeriesService, utils, controller } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+    const controllerObj = controller(
+        bookingSeriesService,
+        utils,
+        'Recurring booking'
+    );
+
+    /**
+     * Sends a booking series in a standard JSON response.
+     *
+     * @param {Object} res - Express response object.
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - The response message.
+     * @param {Object} series - The booking series.
+     */
+    const sendSeries = (res, statusCode, message, series) =>
+        new StandardJsonResponse(res, statusCode)
+            .setMainContent(true, message)
+            .setSuccessPayload({
+                data: series,
+            })
+            .send();
+
+    /**
+     * Middleware that limits listing to the series the authenticated user takes
+     * part in, as the client or the craftsman (admins see every series).
+     *
+     * @function setSeriesFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setSeriesFilter = (req, res, next) => {
+        if (req.user.role === 'client') req.filter = { clientId: req.user.id };
+        if (req.user.role === 'craftsman') {
+            req.filter = { craftsmanId: req.user.id };
+        }
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/booking-series?status=Active
+     * @desc Get the booking series of the authenticated user, latest first.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const getMySeries = controllerObj.getAll({
+        sortByFields: '-createdAt',
+        excludedFields: ['clientId', 'craftsmanId'],
+    });
+
+    /**
+     * @route GET /api/v1/booking-series/:id
+     * @desc Get a booking series the authenticated user takes part in, with its occurrences and their bookings.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const getSeries = catchAsync(async (req, res, next) => {
+        const series = await bookingSeriesService.getOneForUser(
+            req.params.id,
+            req.user
+        );
+
+        if (!series) {
+            return next(
+                new AppError('No booking series found with that ID', 404)
+            );
+        }
+
+        return sendSeries(
+            res,
+            200,
+            'Booking series retrieved successfully',
+            series
+        );
+    });
+
+    /**
+     * @route POST /api/v1/booking-series
+     * @desc Book a craftsman (`craftsmanId`) repeatedly for the authenticated client, following a `recurrence`
+     * rule: weekly, biweekly or monthly on a weekday. Each occurrence is booked against the craftsman's free slot
+     * at that time, the ones that could not be booked are reported as conflicts.
+     * @access private
+     * @auth ['client']
+     */
+    const createSeries = catchAsync(async (req, res, next) => {
+        if (!req.body.craftsmanId || !req.body.recurrence) {
+            return next(
+                new AppError(
+                    'Please provide the craftsman and the recurrence',
+                    400
+                )
+            );
+        }
+
+        const series = await bookingSeriesService.createSeries(req.user.id, {
+            clientPhone: req.user.phone,
+            ...req.body,
+        });
+        const conflicts = series.occurrences.filter(
+            (occurrence) => occurrence.status === 'Conflict'
+        );
+
+        return new StandardJsonResponse(res, 201)
+            .setMainContent(true, 'Booking series created successfully')
+            .setSuccessPayload({
+                data: series,
+                conflicts,
+            })
+            .send();
+    });
+
+    /**
+     * @route PATCH /api/v1/booking-series/:id/occurrences/:occurrenceId/cancel
+     * @desc Cancel one occurrence of a series, cancelling its booking if it was booked.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const cancelOccurrence = catchAsync(async (req, res, next) => {
+        const series = await bookingSeriesService.cancelOccurrence(
+            req.params.id,
+            req.params.occurrenceId,
+            req.user,
+            { reason: req.body && req.body.reason }
+        );
+
+        return sendSeries(
+            res,
+            200,
+            'Occurrence cancelled successfully',
+            series
+        );
+    });
+
+    /**
+     * @route PATCH /api/v1/booking-series/:id/cancel
+     * @desc Cancel a series with every upcoming occurrence, bookings that already started are kept.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const cancelSeries = catchAsync(async (req, res, next) => {
+        const series = await bookingSeriesService.cancelSeries(
+            req.params.id,
+            req.user,
+            { reason: req.body && req.body.reason }
+        );
+
+        return sendSeries(
+            res,
+            200,
+            'Booking series cancelled successfully',
+            series
+        );
+    });
+
+    return {
+        setSeriesFilter,
+        getMySeries,
+        getSeries,
+        createSeries,
+        cancelOccurrence,
+        cancelSeries,
+    };
+};
@@ -0,0 +1,90 @@
+/**
+ * Calendar Controller Module
+ * @module calendarController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.calendarService - The calendar service object for building iCalendar documents.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ *
+ * @typedef {Object} CalendarController
+ * @property {Function} createMyFeed - A function to create the authenticated craftsman's calendar feed URL.
+ * @property {Function} getCraftsmanFeed - A function to export a craftsman's calendar feed.
+ * @property {Function} downloadBooking - A function to download a booking as an `.ics` file.
+ *
+ * @returns {CalendarController} An object containing calendar-related controller functions.
+ */
+module.exports = (dependencies) => {
+    const { calendarService, utils } = dependencies;
+    const { catchAsync, StandardJsonResponse } = utils;
+
+    /**
+     * Sends an iCalendar document.
+     *
+     * @param {Object} res - Express response object.
+     * @param {string} ics - The iCalendar document.
+     * @param {string} [filename] - Sends the document as an attachment with this filename.
+     */
+    const sendCalendar = (res, ics, filename) => {
+        res.status(200).type('text/calendar; charset=utf-8');
+
+        if (filename) res.attachment(filename);
+
+        return res.send(ics);
+    };
+
+    /**
+     * @route POST /api/v1/craftsmen/me/calendar
+     * @desc Create the authenticated craftsman's calendar feed URL for calendar apps to subscribe to.
+     * Creating a new URL revokes the previous one.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const createMyFeed = catchAsync(async (req, res, next) => {
+        const token = await calendarService.createFeedToken(req.user.id);
+        const url = `${req.protocol}://${req.get(
+            'host'
+        )}/api/v1/craftsmen/calendar/${token}.ics`;
+
+        return new StandardJsonResponse(res, 201)
+            .setMainContent(true, 'Calendar feed created successfully')
+            .setSuccessPayload({
+                url,
+                blockedSlotsUrl: `${url}?blocked=true`,
+            })
+            .send();
+    });
+
+    /**
+     * @route GET /api/v1/craftsmen/calendar/:token.ics?blocked=true
+     * @desc Export a craftsman's confirmed bookings (and with `blocked=true` the other booked slots)
+     * as an iCalendar feed. The secret token in the URL is the only protection.
+     * @access public
+     */
+    const getCraftsmanFeed = catchAsync(async (req, res, next) => {
+        const ics = await calendarService.getCraftsmanFeed(req.params.token, {
+            includeBlocked: req.query.blocked === 'true',
+        });
+
+        return sendCalendar(res, ics);
+    });
+
+    /**
+     * @route GET /api/v1/bookings/:id/ics
+     * @desc Download a booking the authenticated user takes part in as an `.ics` file.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const downloadBooking = catchAsync(async (req, res, next) => {
+        const ics = await calendarService.getBookingCalendar(
+            req.params.id,
+            req.user
+        );
+
+        return sendCalendar(res, ics, `booking-${req.params.id}.ics`);
+    });
+
+    return {
+        createMyFeed,
+        getCraftsmanFeed,
+        downloadBooking,
+    };
+};
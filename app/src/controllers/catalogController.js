@@ -0,0 +1,71 @@
+/**
+ * Catalog Controller Module
+ * @module catalogController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.catalogService - The catalog service object for handling service (trade) operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} CatalogController
+ * @property {Function} getAllServices - A function to retrieve all services.
+ * @property {Function} getServiceById - A function to retrieve a service by its unique identifier.
+ * @property {Function} createService - A function to create a new service.
+ * @property {Function} updateService - A function to update an existing service.
+ * @property {Function} deleteService - A function to delete a service.
+ *
+ * @returns {CatalogController} An object containing service catalog controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { catalogService, utils, controller } = dependencies;
+    const controllerObj = controller(catalogService, utils, 'Service');
+
+    /**
+     * @route GET /api/v1/services
+     * @desc Get all active services (pass `isActive=false` to list inactive ones) sorted by category and name.
+     * @access public
+     */
+    const getAllServices = controllerObj.getAll({
+        filter: { isActive: true },
+        sortByFields: 'category,name',
+    });
+
+    /**
+     * @route GET /api/v1/services/:id
+     * @desc Get a single service by id from the database and send a success response with the service data.
+     * @access public
+     */
+    const getServiceById = controllerObj.getOneById({});
+
+    /**
+     * @route POST /api/v1/services
+     * @desc Create a new service and send a success response with the service data.
+     * @access private
+     * @auth ['admin']
+     */
+    const createService = controllerObj.createOne();
+
+    /**
+     * @route PATCH /api/v1/services/:id
+     * @desc Update a service by id and send a success response with the service data.
+     * @access private
+     * @auth ['admin']
+     */
+    const updateService = controllerObj.updateOneById();
+
+    /**
+     * @route DELETE /api/v1/services/:id
+     * @desc Delete a service, unlink it from craftsman profiles and send a success response.
+     * @access private
+     * @auth ['admin']
+     */
+    const deleteService = controllerObj.deleteOneById();
+
+    return {
+        getAllServices,
+        getServiceById,
+        createService,
+        updateService,
+        deleteService,
+    };
+};
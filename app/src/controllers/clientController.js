@@ -0,0 +1,123 @@
+/**
+ * Client Controller Module
+ * @module clientController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.clientService - The client service object for handling client profile operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ *
+ * @typedef {Object} ClientController
+ * @property {Function} getMyProfile - A function to retrieve the authenticated client's profile.
+ * @property {Function} getMyFavorites - A function to retrieve the authenticated client's favorite craftsmen.
+ * @property {Function} addFavorite - A function to add a craftsman to the authenticated client's favorites.
+ * @property {Function} removeFavorite - A function to remove a craftsman from the authenticated client's favorites.
+ *
+ * @returns {ClientController} An object containing client-related controller functions.
+ */
+module.exports = (dependencies) => {
+    const { clientService, utils } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+
+    /**
+     * Sends favorite craftsmen cards in a standard JSON response.
+     *
+     * @param {Object} res - Express response object.
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - The response message.
+     * @param {Object[]} favorites - The favorite craftsmen cards.
+     */
+    const sendFavorites = (res, statusCode, message, favorites) =>
+        new StandardJsonResponse(res, statusCode)
+            .setMainContent(true, message)
+            .setSuccessPayload({
+                count: favorites.length,
+                data: favorites,
+            })
+            .send();
+
+    /**
+     * @route GET /api/v1/clients/me
+     * @desc Get the profile of the authenticated client.
+     * @access private
+     * @auth ['client']
+     */
+    const getMyProfile = catchAsync(async (req, res, next) => {
+        const profile = await clientService.getOneByUserId(req.user.id);
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Client retrieved successfully')
+            .setSuccessPayload({
+                data: profile,
+            })
+            .send();
+    });
+
+    /**
+     * @route GET /api/v1/clients/me/favorites
+     * @desc Get the favorite craftsmen of the authenticated client as craftsman cards.
+     * @access private
+     * @auth ['client']
+     */
+    const getMyFavorites = catchAsync(async (req, res, next) => {
+        const favorites = await clientService.getFavorites(req.user.id);
+
+        return sendFavorites(
+            res,
+            200,
+            'Favorites retrieved successfully',
+            favorites
+        );
+    });
+
+    /**
+     * @route POST /api/v1/clients/me/favorites
+     * @desc Add a craftsman (by user id) to the favorites of the authenticated client.
+     * @access private
+     * @auth ['client']
+     */
+    const addFavorite = catchAsync(async (req, res, next) => {
+        const { craftsmanId } = req.body;
+
+        if (!craftsmanId) {
+            return next(new AppError('Please provide craftsmanId', 400));
+        }
+
+        const favorites = await clientService.addFavorite(
+            req.user.id,
+            craftsmanId
+        );
+
+        return sendFavorites(
+            res,
+            200,
+            'Craftsman added to favorites successfully',
+            favorites
+        );
+    });
+
+    /**
+     * @route DELETE /api/v1/clients/me/favorites/:craftsmanId
+     * @desc Remove a craftsman from the favorites of the authenticated client.
+     * @access private
+     * @auth ['client']
+     */
+    const removeFavorite = catchAsync(async (req, res, next) => {
+        const favorites = await clientService.removeFavorite(
+            req.user.id,
+            req.params.craftsmanId
+        );
+
+        return sendFavorites(
+            res,
+            200,
+            'Craftsman removed from favorites successfully',
+            favorites
+        );
+    });
+
+    return {
+        getMyProfile,
+        getMyFavorites,
+        addFavorite,
+        removeFavorite,
+    };
+};
@@ -21,16 +21,20 @@ module.exports = (service, utils, modelName = 'document') => {
 
     /**
      * Retrieves multiple documents based on filter criteria.
+     * The route filter, the query string filters and `req.filter` (set by a previous middleware) are merged, in that order,
+     * so the query string can narrow a scoped listing but never widen it.
      *
      * @function getAll
      * @async
      * @param {Object} options - Options for querying and filtering documents.
      * @param {Object} options.filter - The filter criteria for document retrieval.
      * @param {string[]} options.sortByFields - The fields to sort the retrieved documents by.
-     * @param {string[]} options.selectedFields - The fields to select from the retrieved documents.
+     * @param {string[]} options.selectedFields - The fields always selected on top of the requested ones, such as hidden `+fields`.
      * @param {number} options.page - The page number for pagination.
      * @param {number} options.pageLimit - The maximum number of documents to retrieve per page.
      * @param {string[]} options.populates - The fields to populate in the retrieved documents.
+     * @param {string[]} options.excludedFields - Extra query parameters that must not be used as filters.
+     * @param {boolean} options.textSearch - Enables relevance-ranked full-text search with the `q` query parameter (the model must have a text index).
      * @returns {Promise<StandardJsonResponse>} A promise that resolves to a standard JSON response containing the retrieved documents.
      * @throws {AppError} If an error occurs during retrieval or parsing of query parameters.
      * @example
@@ -51,38 +55,59 @@ module.exports = (service, utils, modelName = 'document') => {
         page = 1,
         pageLimit = 100,
         populates = [],
+        excludedFields = [],
+        textSearch = false,
     }) =>
         catchAsync(async (req, res, next) => {
-            // Parse query string
-            if (req.query) {
-                const apiFeatures = new APIFeatures(req.query);
+            const apiFeatures = new APIFeatures(
+                req.query,
+                excludedFields.length
+                    ? [
+                          ...APIFeatures.DEFAULT_EXCLUDED_FIELDS,
+                          ...excludedFields,
+                      ]
+                    : []
+            );
+
+            // Parse query string into request scoped options
+            // (the defaults above are shared by every request)
+            const queryFilter = {
+                ...filter,
+                ...apiFeatures.parseFilterOptions(),
+                ...req.filter,
+            };
+            const textSearchOptions = apiFeatures.parseTextSearchOptions();
 
-                // Parse query string
-                filter = apiFeatures.parseFilterOptions() || filter;
-                sortByFields = apiFeatures.parseSortOptions() || sortByFields;
-                selectedFields =
-                    apiFeatures.parseSelectOptions() || sortByFields;
-                page = +(req.query.page || page);
-                pageLimit = +(req.query.limit || pageLimit);
+            if (textSearch && textSearchOptions) {
+                queryFilter.$text = textSearchOptions;
             }
 
+            const querySort = apiFeatures.parseSortOptions(
+                sortByFields || '_id'
+            );
+            const querySelect = `${apiFeatures.parseSelectOptions()} ${[]
+                .concat(selectedFields)
+                .join(' ')}`.trim();
+            const { page: queryPage, limit: queryPageLimit } =
+                apiFeatures.parsePaginationOptions(page, pageLimit);
+
             // Retrieve Documents
             const docs = await service.getAll({
-                filter,
-                sortByFields,
-                selectedFields,
-                page,
-                pageLimit,
+                filter: queryFilter,
+                sortByFields: querySort,
+                selectedFields: querySelect,
+                page: queryPage,
+                pageLimit: queryPageLimit,
                 populates,
             });
 
             // Count number of documents
-            const count = await service.count(filter);
+            const count = await service.count(queryFilter);
 
             // Create Pagination Object
             const pagination = APIFeatures.createPaginationObject(
-                page,
-                pageLimit,
+                queryPage,
+                queryPageLimit,
                 count
             );
 
@@ -0,0 +1,270 @@
+/**
+ * Craftsman Controller Module
+ * @module craftsmanController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.craftsmanService - The craftsman service object for handling craftsman profile operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} CraftsmanController
+ * @property {Function} setSearchFilter - A middleware that turns the `service`, `name` and price search terms into profile filters.
+ * @property {Function} getAllCraftsmen - A function to retrieve all craftsman profiles.
+ * @property {Function} getCraftsmenNear - A function to retrieve craftsman profiles near a location, sorted by distance.
+ * @property {Function} getCraftsmanById - A function to retrieve a craftsman profile by its unique identifier.
+ * @property {Function} setProfileUser - A middleware that links a new profile to the authenticated craftsman.
+ * @property {Function} createCraftsman - A function to create a new craftsman profile.
+ * @property {Function} updateCraftsman - A function to update an existing craftsman profile.
+ * @property {Function} getMyProfile - A function to retrieve the authenticated craftsman's profile.
+ * @property {Function} updateMyProfile - A function to update the authenticated craftsman's profile.
+ *
+ * @returns {CraftsmanController} An object containing craftsman-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { craftsmanService, utils, controller } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse, APIFeatures } = utils;
+    const controllerObj = controller(craftsmanService, utils, 'Craftsman');
+
+    // Public fields of the linked user shown on craftsman cards
+    const userPopulate = { path: 'userId', select: 'name photo phone' };
+
+    // Search terms that are resolved by `setSearchFilter`, not matched as is
+    const searchTerms = ['service', 'name', 'minPrice', 'maxPrice'];
+
+    /**
+     * Middleware that turns the `service` (ID or slug), `name`, `minPrice` and
+     * `maxPrice` search terms into craftsman profile filters on `req.filter`.
+     *
+     * @function setSearchFilter
+     * @async
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setSearchFilter = catchAsync(async (req, res, next) => {
+        const { service, name } = req.query;
+        const prices = {};
+
+        // Validate the price bounds
+        ['minPrice', 'maxPrice'].forEach((term) => {
+            if (req.query[term] === undefined) return;
+
+            prices[term] = Number(req.query[term]);
+        });
+
+        if (Object.values(prices).some((price) => !(price >= 0))) {
+            return next(
+                new AppError(
+                    'minPrice and maxPrice must be positive numbers',
+                    400
+                )
+            );
+        }
+
+        req.filter = await craftsmanService.buildSearchFilter({
+            service,
+            name,
+            ...prices,
+        });
+
+        return next();
+    });
+
+    // Public search only shows verified craftsmen unless `verified` is queried
+    const publicFilter = { verified: true };
+
+    /**
+     * @route GET /api/v1/craftsmen?service=plumbing&governrate=Cairo&name=ahmed
+     * @route GET /api/v1/craftsmen?q=كهربائي مدينة نصر
+     * @route GET /api/v1/craftsmen?service=plumbing&maxPrice=300&sort=priceFrom
+     * @route GET /api/v1/craftsmen?service=plumbing&sort=-ratingsWeighted
+     * @desc Get all verified craftsman profiles, optionally searched by service, governorate and name together,
+     * or by relevance-ranked full-text search (`q`) over name, about and governorate,
+     * and send a success response with the profiles data. `minPrice`/`maxPrice` bound the price of the
+     * searched service, or the starting price (`priceFrom`) of the rate card, which can also be sorted by.
+     * Sort by `-ratingsWeighted` to rank by rating without craftsmen with a few reviews outranking well-reviewed ones.
+     * @access public
+     */
+    const getAllCraftsmen = controllerObj.getAll({
+        filter: publicFilter,
+        populates: [userPopulate],
+        excludedFields: searchTerms,
+        textSearch: true,
+    });
+
+    /**
+     * @route GET /api/v1/craftsmen/near?lat=30.04&lng=31.23&radius=10
+     * @desc Get verified craftsman profiles within `radius` km (default 10) of the given point, nearest first.
+     * Every profile has a computed `distance` in km. Supports the usual filters and pagination.
+     * @access public
+     */
+    const getCraftsmenNear = catchAsync(async (req, res, next) => {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        const radius = parseFloat(req.query.radius || 10);
+
+        // Validate the search origin and radius
+        if (
+            Number.isNaN(lat) ||
+            Number.isNaN(lng) ||
+            Math.abs(lat) > 90 ||
+            Math.abs(lng) > 180
+        ) {
+            return next(
+                new AppError('Please provide a valid lat and lng', 400)
+            );
+        }
+
+        if (Number.isNaN(radius) || radius <= 0) {
+            return next(
+                new AppError('Radius must be a positive number of km', 400)
+            );
+        }
+
+        // Parse query string, ignoring the geospatial parameters
+        const apiFeatures = new APIFeatures(req.query, [
+            ...APIFeatures.DEFAULT_EXCLUDED_FIELDS,
+            'lat',
+            'lng',
+            'radius',
+            ...searchTerms,
+        ]);
+        const filter = {
+            ...publicFilter,
+            ...apiFeatures.parseFilterOptions(),
+            ...req.filter,
+        };
+        const { page, limit: pageLimit } = apiFeatures.parsePaginationOptions();
+
+        // Retrieve profiles using service
+        const { docs, total } = await craftsmanService.getNearby({
+            coordinates: [lng, lat],
+            maxDistance: radius * 1000,
+            filter,
+            page,
+            pageLimit,
+            populates: [userPopulate],
+        });
+
+        // Create Pagination Object
+        const pagination = APIFeatures.createPaginationObject(
+            page,
+            pageLimit,
+            total
+        );
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Craftsmans retrieved successfully')
+            .setSuccessPayload({
+                count: docs.length,
+                data: docs,
+                pagination,
+            })
+            .send();
+    });
+
+    /**
+     * @route GET /api/v1/craftsmen/:id
+     * @desc Get a single craftsman profile by id from the database and send a success response with the profile data.
+     * @access public
+     */
+    const getCraftsmanById = controllerObj.getOneById({
+        populates: [userPopulate],
+    });
+
+    /**
+     * Middleware that forces craftsmen to create a profile for themselves only.
+     * Admins may create a profile for any user by passing `userId` in the body.
+     *
+     * @function setProfileUser
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setProfileUser = (req, res, next) => {
+        if (req.user.role === 'craftsman') {
+            req.body.userId = req.user.id;
+        }
+
+        if (!req.body.userId) {
+            return next(new AppError('Please provide userId', 400));
+        }
+
+        return next();
+    };
+
+    /**
+     * @route POST /api/v1/craftsmen
+     * @desc Create a new craftsman profile and send a success response with the profile data.
+     * @access private
+     * @auth ['craftsman', 'admin']
+     */
+    const createCraftsman = controllerObj.createOne();
+
+    /**
+     * @route PATCH /api/v1/craftsmen/:id
+     * @desc Update a craftsman profile by id and send a success response with the profile data.
+     * @access private
+     * @auth ['admin']
+     */
+    const updateCraftsman = controllerObj.updateOneById();
+
+    /**
+     * @route GET /api/v1/craftsmen/me
+     * @desc Get the profile of the authenticated craftsman.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const getMyProfile = catchAsync(async (req, res, next) => {
+        const profile = await craftsmanService.getOneByUserId(req.user.id, {
+            populates: [userPopulate],
+        });
+
+        if (!profile) {
+            return next(new AppError('Craftsman profile not found', 404));
+        }
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Craftsman retrieved successfully')
+            .setSuccessPayload({
+                data: profile,
+            })
+            .send();
+    });
+
+    /**
+     * @route PATCH /api/v1/craftsmen/me
+     * @desc Update the profile of the authenticated craftsman.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const updateMyProfile = catchAsync(async (req, res, next) => {
+        const profile = await craftsmanService.updateOneByUserId(
+            req.user.id,
+            req.body
+        );
+
+        if (!profile) {
+            return next(new AppError('Craftsman profile not found', 404));
+        }
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Craftsman updated successfully')
+            .setSuccessPayload({
+                data: profile,
+            })
+            .send();
+    });
+
+    return {
+        setSearchFilter,
+        getAllCraftsmen,
+        getCraftsmenNear,
+        getCraftsmanById,
+        setProfileUser,
+        createCraftsman,
+        updateCraftsman,
+        getMyProfile,
+        updateMyProfile,
+    };
+};
@@ -0,0 +1,57 @@
+/**
+ * Governorate Controller Module
+ * @module governorateController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.utils - Utility functions and classes (including the governorates reference data).
+ *
+ * @typedef {Object} GovernorateController
+ * @property {Function} getAllGovernorates - A function to retrieve all Egyptian governorates.
+ * @property {Function} getGovernorate - A function to retrieve a governorate by its code or name.
+ *
+ * @returns {GovernorateController} An object containing governorate-related controller functions.
+ */
+module.exports = (dependencies) => {
+    const { utils } = dependencies;
+    const { AppError, StandardJsonResponse, governorates } = utils;
+
+    /**
+     * @route GET /api/v1/governorates
+     * @desc Get all Egyptian governorates with their codes, English and Arabic names (e.g. for dropdowns).
+     * @access public
+     */
+    const getAllGovernorates = (req, res, next) =>
+        new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Governorates retrieved successfully')
+            .setSuccessPayload({
+                count: governorates.GOVERNORATES.length,
+                data: governorates.GOVERNORATES,
+            })
+            .send();
+
+    /**
+     * @route GET /api/v1/governorates/:code
+     * @desc Get a single governorate by its code, English or Arabic name.
+     * @access public
+     */
+    const getGovernorate = (req, res, next) => {
+        const governorate = governorates.findGovernorate(req.params.code);
+
+        if (!governorate) {
+            return next(
+                new AppError('No governorate found with that code', 404)
+            );
+        }
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Governorate retrieved successfully')
+            .setSuccessPayload({
+                data: governorate,
+            })
+            .send();
+    };
+
+    return {
+        getAllGovernorates,
+        getGovernorate,
+    };
+};
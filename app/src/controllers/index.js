@@ -12,6 +12,99 @@ const userController = require('./userController')({
     controller,
 });
 
+// Load craftsman controller
+const craftsmanController = require('./craftsmanController')({
+    craftsmanService: services.craftsmanService,
+    utils,
+    controller,
+});
+
+// Load catalog controller
+const catalogController = require('./catalogController')({
+    catalogService: services.catalogService,
+    utils,
+    controller,
+});
+
+// Load verification controller
+const verificationController = require('./verificationController')({
+    verificationService: services.verificationService,
+    uploadService: services.uploadService,
+    utils,
+    controller,
+});
+
+// Load client controller
+const clientController = require('./clientController')({
+    clientService: services.clientService,
+    utils,
+});
+
+// Load portfolio controller
+const portfolioController = require('./portfolioController')({
+    portfolioService: services.portfolioService,
+    utils,
+    controller,
+});
+
+// Load availability controller
+const availabilityController = require('./availabilityController')({
+    availabilityService: services.availabilityService,
+    utils,
+});
+
+// Load booking controller
+const bookingController = require('./bookingController')({
+    bookingService: services.bookingService,
+    utils,
+    controller,
+});
+
+// Load booking series controller
+const bookingSeriesController = require('./bookingSeriesController')({
+    bookingSeriesService: services.bookingSeriesService,
+    utils,
+    controller,
+});
+
+// Load notification controller
+const notificationController = require('./notificationController')({
+    notificationService: services.notificationService,
+    utils,
+    controller,
+});
+
+// Load calendar controller
+const calendarController = require('./calendarController')({
+    calendarService: services.calendarService,
+    utils,
+});
+
+// Load project controller
+const projectController = require('./projectController')({
+    projectService: services.projectService,
+    proposalService: services.proposalService,
+    utils,
+    controller,
+});
+
+// Load proposal controller
+const proposalController = require('./proposalController')({
+    proposalService: services.proposalService,
+    utils,
+    controller,
+});
+
+// Load review controller
+const reviewController = require('./reviewController')({
+    reviewService: services.reviewService,
+    utils,
+    controller,
+});
+
+// Load governorate controller
+const governorateController = require('./governorateController')({ utils });
+
 // Load auth controller
 const authController = require('./authController')({
     service: services.authService,
@@ -34,6 +127,20 @@ const globalErrorHandler = require('./globalErrorHandler')({
  *
  * @module controllers/index
  * @property {Object} userController - Contains user-related controller functions.
+ * @property {Object} craftsmanController - Contains craftsman profile controller functions.
+ * @property {Object} catalogController - Contains service catalog controller functions.
+ * @property {Object} governorateController - Contains governorate reference data controller functions.
+ * @property {Object} verificationController - Contains identity verification controller functions.
+ * @property {Object} clientController - Contains client profile and favorites controller functions.
+ * @property {Object} portfolioController - Contains craftsman portfolio controller functions.
+ * @property {Object} availabilityController - Contains craftsman schedule and slot controller functions.
+ * @property {Object} bookingController - Contains booking controller functions.
+ * @property {Object} bookingSeriesController - Contains recurring booking controller functions.
+ * @property {Object} calendarController - Contains iCalendar feed and export controller functions.
+ * @property {Object} notificationController - Contains notification controller functions.
+ * @property {Object} projectController - Contains client project and job board controller functions.
+ * @property {Object} proposalController - Contains project proposal controller functions.
+ * @property {Object} reviewController - Contains craftsman review controller functions.
  * @property {Object} errorController - Contains error handling controller functions.
  * @property {Function} errorController.undefinedRoutesHandler - Handles undefined routes.
  * @property {Function} errorController.globalErrorHandler - Handles global errors.
@@ -49,6 +156,172 @@ module.exports = {
      */
     userController,
 
+    /**
+     * @type {Object}
+     * @property {Function} setSearchFilter - A middleware that resolves craftsman search terms into filters.
+     * @property {Function} getAllCraftsmen - A function that retrieves all craftsman profiles.
+     * @property {Function} getCraftsmenNear - A function that retrieves craftsman profiles near a location.
+     * @property {Function} getCraftsmanById - A function that retrieves a craftsman profile by ID.
+     * @property {Function} setProfileUser - A middleware that links a new profile to the authenticated craftsman.
+     * @property {Function} createCraftsman - A function that creates a new craftsman profile.
+     * @property {Function} updateCraftsman - A function that updates a craftsman profile.
+     * @property {Function} getMyProfile - A function that retrieves the authenticated craftsman's profile.
+     * @property {Function} updateMyProfile - A function that updates the authenticated craftsman's profile.
+     */
+    craftsmanController,
+
+    /**
+     * @type {Object}
+     * @property {Function} getAllServices - A function that retrieves all services.
+     * @property {Function} getServiceById - A function that retrieves a service by ID.
+     * @property {Function} createService - A function that creates a new service.
+     * @property {Function} updateService - A function that updates a service.
+     * @property {Function} deleteService - A function that deletes a service.
+     */
+    catalogController,
+
+    /**
+     * @type {Object}
+     * @property {Function} getAllGovernorates - A function that retrieves all governorates.
+     * @property {Function} getGovernorate - A function that retrieves a governorate by code or name.
+     */
+    governorateController,
+
+    /**
+     * @type {Object}
+     * @property {Function} getAllVerifications - A function that retrieves the verification review queue.
+     * @property {Function} getVerificationById - A function that retrieves a verification request by ID.
+     * @property {Function} submitVerification - A function that submits the craftsman's national ID for review.
+     * @property {Function} getMyVerification - A function that retrieves the craftsman's latest verification request.
+     * @property {Function} approveVerification - A function that approves a verification request.
+     * @property {Function} rejectVerification - A function that rejects a verification request.
+     * @property {Function} getVerificationImage - A function that downloads a national ID image of a verification request.
+     */
+    verificationController,
+
+    /**
+     * @type {Object}
+     * @property {Function} getMyProfile - A function that retrieves the authenticated client's profile.
+     * @property {Function} getMyFavorites - A function that retrieves the client's favorite craftsmen.
+     * @property {Function} addFavorite - A function that adds a craftsman to the client's favorites.
+     * @property {Function} removeFavorite - A function that removes a craftsman from the client's favorites.
+     */
+    clientController,
+
+    /**
+     * @type {Object}
+     * @property {Function} setPortfolioFilter - A middleware that limits listing to one craftsman's portfolio.
+     * @property {Function} getCraftsmanPortfolio - A function that retrieves the portfolio of a craftsman.
+     * @property {Function} createMyItem - A function that adds an item to the craftsman's portfolio.
+     * @property {Function} updateMyItem - A function that updates an item of the craftsman's portfolio.
+     * @property {Function} deleteMyItem - A function that deletes an item from the craftsman's portfolio.
+     * @property {Function} reorderMyItems - A function that reorders the craftsman's portfolio.
+     */
+    portfolioController,
+
+    /**
+     * @type {Object}
+     * @property {Function} getMySchedule - A function that retrieves the craftsman's weekly schedule.
+     * @property {Function} updateMySchedule - A function that creates or replaces the craftsman's weekly schedule.
+     * @property {Function} getCraftsmanSlots - A function that retrieves the free slots of a craftsman.
+     */
+    availabilityController,
+
+    /**
+     * @type {Object}
+     * @property {Function} setBookingFilter - A middleware that limits listing to the user's bookings.
+     * @property {Function} getMyBookings - A function that retrieves the user's bookings.
+     * @property {Function} getBooking - A function that retrieves a booking of the user.
+     * @property {Function} createBooking - A function that books a craftsman's slot for the client.
+     * @property {Function} confirmBooking - A function that confirms a pending booking.
+     * @property {Function} startBooking - A function that starts a confirmed booking.
+     * @property {Function} completeBooking - A function that completes a booking in progress.
+     * @property {Function} cancelBooking - A function that cancels a booking and frees its slot.
+     * @property {Function} getCancellationQuote - A function that tells what cancelling a booking would cost.
+     * @property {Function} proposeReschedule - A function that proposes moving a booking to another slot.
+     * @property {Function} acceptReschedule - A function that accepts a reschedule proposal.
+     * @property {Function} declineReschedule - A function that declines or withdraws a reschedule proposal.
+     * @property {Function} submitQuote - A function that quotes a booking or counters a quote.
+     * @property {Function} acceptQuote - A function that accepts a quote and locks the booking fees.
+     * @property {Function} rejectQuote - A function that rejects a quote.
+     */
+    bookingController,
+
+    /**
+     * @type {Object}
+     * @property {Function} setSeriesFilter - A middleware that limits listing to the user's booking series.
+     * @property {Function} getMySeries - A function that retrieves the user's booking series.
+     * @property {Function} getSeries - A function that retrieves a booking series of the user.
+     * @property {Function} createSeries - A function that books a craftsman repeatedly for the client.
+     * @property {Function} cancelOccurrence - A function that cancels one occurrence of a series.
+     * @property {Function} cancelSeries - A function that cancels a series with its upcoming occurrences.
+     */
+    bookingSeriesController,
+
+    /**
+     * @type {Object}
+     * @property {Function} createMyFeed - A function that creates the craftsman's calendar feed URL.
+     * @property {Function} getCraftsmanFeed - A function that exports a craftsman's bookings as an iCalendar feed.
+     * @property {Function} downloadBooking - A function that downloads a booking as an `.ics` file.
+     */
+    calendarController,
+
+    /**
+     * @type {Object}
+     * @property {Function} setNotificationFilter - A middleware that limits listing to the user's notifications.
+     * @property {Function} getMyNotifications - A function that retrieves the user's notifications.
+     * @property {Function} markAsRead - A function that marks a notification of the user as read.
+     */
+    notificationController,
+
+    /**
+     * @type {Object}
+     * @property {Function} setBoardFilter - A middleware that limits listing to the craftsman's job board.
+     * @property {Function} getJobBoard - A function that retrieves the open projects matching the craftsman.
+     * @property {Function} setMyProjectsFilter - A middleware that limits listing to the client's projects.
+     * @property {Function} getMyProjects - A function that retrieves the client's projects.
+     * @property {Function} getProject - A function that retrieves a project the user may see.
+     * @property {Function} createProject - A function that posts a project for the client.
+     * @property {Function} updateMyProject - A function that updates an open project of the client.
+     * @property {Function} cancelMyProject - A function that takes an open project of the client off the job board.
+     * @property {Function} addMyProjectPhotos - A function that uploads photos to a project of the client.
+     * @property {Function} removeMyProjectPhoto - A function that removes a photo from a project of the client.
+     */
+    projectController,
+
+    /**
+     * @type {Object}
+     * @property {Function} setProjectProposalsFilter - A middleware that limits listing to the proposals on a project of the client.
+     * @property {Function} getProjectProposals - A function that retrieves the proposals on a project.
+     * @property {Function} setMyProposalsFilter - A middleware that limits listing to the craftsman's proposals.
+     * @property {Function} getMyProposals - A function that retrieves the craftsman's proposals.
+     * @property {Function} submitProposal - A function that sends a proposal of the craftsman on a project.
+     * @property {Function} updateMyProposal - A function that updates a pending proposal of the craftsman.
+     * @property {Function} withdrawMyProposal - A function that withdraws a pending proposal of the craftsman.
+     * @property {Function} acceptProposal - A function that accepts a proposal and books its craftsman.
+     * @property {Function} declineProposal - A function that declines a proposal on a project of the client.
+     */
+    proposalController,
+
+    /**
+     * @type {Object}
+     * @property {Function} setCraftsmanReviewsFilter - A middleware that limits listing to the reviews of a craftsman.
+     * @property {Function} getCraftsmanReviews - A function that retrieves the reviews of a craftsman.
+     * @property {Function} setMyReviewsFilter - A middleware that limits listing to the client's reviews.
+     * @property {Function} getMyReviews - A function that retrieves the client's reviews.
+     * @property {Function} getReview - A function that retrieves a review.
+     * @property {Function} createReview - A function that reviews a craftsman who completed a project of the client.
+     * @property {Function} updateMyReview - A function that edits a review of the client within the edit window.
+     * @property {Function} deleteReview - A function that deletes a review of the client, or any review for admins.
+     * @property {Function} replyToReview - A function that posts the craftsman's reply to a review of them.
+     * @property {Function} updateMyReply - A function that edits the craftsman's reply to a review.
+     * @property {Function} reportReview - A function that reports a review to the moderation queue.
+     * @property {Function} getModerationQueue - A function that retrieves the reported reviews waiting for an admin.
+     * @property {Function} hideReview - A function that hides a review and leaves it out of the ratings.
+     * @property {Function} restoreReview - A function that shows a review again, dismissing its reports.
+     */
+    reviewController,
+
     /**
      * @type {Object}
      * @property {Function} register - A function to register a new user.
@@ -58,6 +331,7 @@ module.exports = {
      * @property {Function} updatePassword - A function to update a user's password.
      * @property {Function} getMe - A function to retrieve authenticated user data.
      * @property {Function} updateMe - A function to update authenticated user data.
+     * @property {Function} updatePhoto - A function to replace the authenticated user's profile photo.
      * @property {Function} logout - A function to log out the authenticated user.
      */
     authController,
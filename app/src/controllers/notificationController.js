@@ -0,0 +1,76 @@
+/**
+ * Notification Controller Module
+ * @module notificationController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.notificationService - The notification service object for handling notifications.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} NotificationController
+ * @property {Function} setNotificationFilter - A middleware that limits listing to the notifications of the authenticated user.
+ * @property {Function} getMyNotifications - A function to retrieve the notifications of the authenticated user.
+ * @property {Function} markAsRead - A function to mark a notification of the authenticated user as read.
+ *
+ * @returns {NotificationController} An object containing notification-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { notificationService, utils, controller } = dependencies;
+    const { catchAsync, StandardJsonResponse } = utils;
+    const controllerObj = controller(
+        notificationService,
+        utils,
+        'Notification'
+    );
+
+    /**
+     * Middleware that limits listing to the notifications of the authenticated user.
+     *
+     * @function setNotificationFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setNotificationFilter = (req, res, next) => {
+        req.filter = { userId: req.user.id };
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/notifications?readStatus=false
+     * @desc Get the notifications of the authenticated user, latest first.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const getMyNotifications = controllerObj.getAll({
+        sortByFields: '-createdAt',
+        excludedFields: ['userId'],
+    });
+
+    /**
+     * @route PATCH /api/v1/notifications/:id/read
+     * @desc Mark a notification of the authenticated user as read.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const markAsRead = catchAsync(async (req, res, next) => {
+        const notification = await notificationService.markAsRead(
+            req.params.id,
+            req.user.id
+        );
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Notification marked as read')
+            .setSuccessPayload({
+                data: notification,
+            })
+            .send();
+    });
+
+    return {
+        setNotificationFilter,
+        getMyNotifications,
+        markAsRead,
+    };
+};
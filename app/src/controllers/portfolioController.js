@@ -0,0 +1,141 @@
+/**
+ * Portfolio Controller Module
+ * @module portfolioController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.portfolioService - The portfolio service object for handling portfolio operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} PortfolioController
+ * @property {Function} setPortfolioFilter - A middleware that limits listing to the portfolio of the requested craftsman.
+ * @property {Function} getCraftsmanPortfolio - A function to retrieve the portfolio of a craftsman.
+ * @property {Function} createMyItem - A function to add an item to the authenticated craftsman's portfolio.
+ * @property {Function} updateMyItem - A function to update an item of the authenticated craftsman's portfolio.
+ * @property {Function} deleteMyItem - A function to delete an item from the authenticated craftsman's portfolio.
+ * @property {Function} reorderMyItems - A function to reorder the authenticated craftsman's portfolio.
+ *
+ * @returns {PortfolioController} An object containing portfolio-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { portfolioService, utils, controller } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+    const controllerObj = controller(portfolioService, utils, 'Portfolio item');
+
+    /**
+     * Middleware that limits listing to the portfolio of the craftsman profile in `req.params.id`.
+     *
+     * @function setPortfolioFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setPortfolioFilter = (req, res, next) => {
+        req.filter = { profileId: req.params.id };
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/craftsmen/:id/portfolio
+     * @desc Get the portfolio items of a craftsman profile in the craftsman's order, paginated.
+     * @access public
+     */
+    const getCraftsmanPortfolio = controllerObj.getAll({
+        sortByFields: 'order',
+        populates: [{ path: 'service', select: 'name nameAr slug' }],
+    });
+
+    /**
+     * @route POST /api/v1/craftsmen/me/portfolio
+     * @desc Add an item at the end of the authenticated craftsman's portfolio, photos are uploaded as multipart `photos` files.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const createMyItem = catchAsync(async (req, res, next) => {
+        const item = await portfolioService.createItem(req.user.id, req.body);
+
+        return new StandardJsonResponse(res, 201)
+            .setMainContent(true, 'Portfolio item created successfully')
+            .setSuccessPayload({
+                data: item,
+            })
+            .send();
+    });
+
+    /**
+     * @route PATCH /api/v1/craftsmen/me/portfolio/:itemId
+     * @desc Update an item of the authenticated craftsman's portfolio, uploaded `photos` replace the current ones.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const updateMyItem = catchAsync(async (req, res, next) => {
+        const item = await portfolioService.updateItem(
+            req.user.id,
+            req.params.itemId,
+            req.body
+        );
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Portfolio item updated successfully')
+            .setSuccessPayload({
+                data: item,
+            })
+            .send();
+    });
+
+    /**
+     * @route DELETE /api/v1/craftsmen/me/portfolio/:itemId
+     * @desc Delete an item from the authenticated craftsman's portfolio.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const deleteMyItem = catchAsync(async (req, res, next) => {
+        await portfolioService.deleteItem(req.user.id, req.params.itemId);
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Portfolio item deleted successfully')
+            .setSuccessPayload({
+                data: null,
+            })
+            .send();
+    });
+
+    /**
+     * @route PATCH /api/v1/craftsmen/me/portfolio/order
+     * @desc Reorder the authenticated craftsman's portfolio, `items` lists every item ID in the new order.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const reorderMyItems = catchAsync(async (req, res, next) => {
+        const { items } = req.body;
+
+        if (!Array.isArray(items)) {
+            return next(
+                new AppError('Please provide items as an array of IDs', 400)
+            );
+        }
+
+        const reorderedItems = await portfolioService.reorderItems(
+            req.user.id,
+            items
+        );
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Portfolio reordered successfully')
+            .setSuccessPayload({
+                count: reorderedItems.length,
+                data: reorderedItems,
+            })
+            .send();
+    });
+
+    return {
+        setPortfolioFilter,
+        getCraftsmanPortfolio,
+        createMyItem,
+        updateMyItem,
+        deleteMyItem,
+        reorderMyItems,
+    };
+};
@@ -0,0 +1,221 @@
+/**
+ * Project Controller Module
+ * @module projectController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.projectService - The project service object for handling project operations.
+ * @param {Object} dependencies.proposalService - The proposal service object, declining the proposals on cancelled projects.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} ProjectController
+ * @property {Function} setBoardFilter - A middleware that limits listing to the job board of the authenticated craftsman.
+ * @property {Function} getJobBoard - A function to retrieve the open projects matching the authenticated craftsman.
+ * @property {Function} setMyProjectsFilter - A middleware that limits listing to the projects of the authenticated client.
+ * @property {Function} getMyProjects - A function to retrieve the projects of the authenticated client.
+ * @property {Function} getProject - A function to retrieve a project the authenticated user may see.
+ * @property {Function} createProject - A function to post a project for the authenticated client.
+ * @property {Function} updateMyProject - A function to update an open project of the authenticated client.
+ * @property {Function} cancelMyProject - A function to take an open project of the authenticated client off the job board.
+ * @property {Function} addMyProjectPhotos - A function to upload photos to a project of the authenticated client.
+ * @property {Function} removeMyProjectPhoto - A function to remove a photo from a project of the authenticated client.
+ *
+ * @returns {ProjectController} An object containing project-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { projectService, proposalService, utils, controller } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+    const controllerObj = controller(projectService, utils, 'Project');
+
+    // Service shown on project cards
+    const servicePopulate = { path: 'service', select: 'name nameAr slug' };
+
+    /**
+     * Sends a project in a standard JSON response.
+     *
+     * @param {Object} res - Express response object.
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - The response message.
+     * @param {Object} project - The project.
+     */
+    const sendProject = (res, statusCode, message, project) =>
+        new StandardJsonResponse(res, statusCode)
+            .setMainContent(true, message)
+            .setSuccessPayload({
+                data: project,
+            })
+            .send();
+
+    /**
+     * Middleware that limits listing to the job board of the authenticated
+     * craftsman: open projects of their services in their area.
+     *
+     * @function setBoardFilter
+     * @async
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setBoardFilter = catchAsync(async (req, res, next) => {
+        req.filter = await projectService.buildBoardFilter(req.user.id);
+
+        return next();
+    });
+
+    /**
+     * @route GET /api/v1/projects/board?governrate=EG-C&budget.max[gte]=500&sort=-createdAt&page=1&limit=20
+     * @desc Get the open projects needing one of the authenticated craftsman's services, in their governrate
+     * or within their travel radius, latest first. Supports the usual filtering, sorting and pagination.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const getJobBoard = controllerObj.getAll({
+        sortByFields: '-createdAt',
+        populates: [servicePopulate],
+        excludedFields: ['status', 'service', 'clientId'],
+    });
+
+    /**
+     * Middleware that limits listing to the projects of the authenticated client.
+     *
+     * @function setMyProjectsFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setMyProjectsFilter = (req, res, next) => {
+        req.filter = { clientId: req.user.id };
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/projects/me?status=Open
+     * @desc Get the projects of the authenticated client, latest first.
+     * @access private
+     * @auth ['client']
+     */
+    const getMyProjects = controllerObj.getAll({
+        sortByFields: '-createdAt',
+        populates: [servicePopulate],
+        excludedFields: ['clientId'],
+    });
+
+    /**
+     * @route GET /api/v1/projects/:id
+     * @desc Get a project: clients see their own projects, craftsmen the open ones.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const getProject = catchAsync(async (req, res, next) => {
+        const project = await projectService.getOneForUser(
+            req.params.id,
+            req.user
+        );
+
+        if (!project) {
+            return next(new AppError('No project found with that ID', 404));
+        }
+
+        return sendProject(res, 200, 'Project retrieved successfully', project);
+    });
+
+    /**
+     * @route POST /api/v1/projects
+     * @desc Post a project for the authenticated client, with its `service`, `governrate`, `location`
+     * and `budget` range. Photos are uploaded afterwards.
+     * @access private
+     * @auth ['client']
+     */
+    const createProject = catchAsync(async (req, res, next) => {
+        const project = await projectService.createProject(
+            req.user.id,
+            req.body
+        );
+
+        return sendProject(res, 201, 'Project created successfully', project);
+    });
+
+    /**
+     * @route PATCH /api/v1/projects/:id
+     * @desc Update an open project of the authenticated client.
+     * @access private
+     * @auth ['client']
+     */
+    const updateMyProject = catchAsync(async (req, res, next) => {
+        const project = await projectService.updateProject(
+            req.user.id,
+            req.params.id,
+            req.body
+        );
+
+        return sendProject(res, 200, 'Project updated successfully', project);
+    });
+
+    /**
+     * @route PATCH /api/v1/projects/:id/cancel
+     * @desc Take an open project of the authenticated client off the job board, declining its pending proposals.
+     * @access private
+     * @auth ['client']
+     */
+    const cancelMyProject = catchAsync(async (req, res, next) => {
+        const project = await projectService.cancelProject(
+            req.user.id,
+            req.params.id
+        );
+        await proposalService.declineAllForProject(project);
+
+        return sendProject(res, 200, 'Project cancelled successfully', project);
+    });
+
+    /**
+     * @route POST /api/v1/projects/:id/photos
+     * @desc Upload photos (multipart `photos` files) to a project of the authenticated client.
+     * @access private
+     * @auth ['client']
+     */
+    const addMyProjectPhotos = catchAsync(async (req, res, next) => {
+        const { photos } = req.body;
+
+        if (!photos || !photos.length) {
+            return next(new AppError('Please upload at least one photo', 400));
+        }
+
+        const project = await projectService.addPhotos(
+            req.user.id,
+            req.params.id,
+            photos
+        );
+
+        return sendProject(res, 201, 'Photos uploaded successfully', project);
+    });
+
+    /**
+     * @route DELETE /api/v1/projects/:id/photos/:index
+     * @desc Remove a photo from a project of the authenticated client.
+     * @access private
+     * @auth ['client']
+     */
+    const removeMyProjectPhoto = catchAsync(async (req, res, next) => {
+        const project = await projectService.removePhoto(
+            req.user.id,
+            req.params.id,
+            Number(req.params.index)
+        );
+
+        return sendProject(res, 200, 'Photo removed successfully', project);
+    });
+
+    return {
+        setBoardFilter,
+        getJobBoard,
+        setMyProjectsFilter,
+        getMyProjects,
+        getProject,
+        createProject,
+        updateMyProject,
+        cancelMyProject,
+        addMyProjectPhotos,
+        removeMyProjectPhoto,
+    };
+};
@@ -0,0 +1,218 @@
+/**
+ * Proposal Controller Module
+ * @module proposalController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.proposalService - The proposal service object for handling proposal operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} ProposalController
+ * @property {Function} setProjectProposalsFilter - A middleware that limits listing to the proposals on a project of the authenticated client.
+ * @property {Function} getProjectProposals - A function to retrieve the proposals on a project to compare them.
+ * @property {Function} setMyProposalsFilter - A middleware that limits listing to the proposals of the authenticated craftsman.
+ * @property {Function} getMyProposals - A function to retrieve the proposals of the authenticated craftsman.
+ * @property {Function} submitProposal - A function to send a proposal of the authenticated craftsman on a project.
+ * @property {Function} updateMyProposal - A function to update a pending proposal of the authenticated craftsman.
+ * @property {Function} withdrawMyProposal - A function to withdraw a pending proposal of the authenticated craftsman.
+ * @property {Function} acceptProposal - A function to accept a proposal on a project of the authenticated client.
+ * @property {Function} declineProposal - A function to decline a proposal on a project of the authenticated client.
+ *
+ * @returns {ProposalController} An object containing proposal-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { proposalService, utils, controller } = dependencies;
+    const { catchAsync, StandardJsonResponse } = utils;
+    const controllerObj = controller(proposalService, utils, 'Proposal');
+
+    /**
+     * Sends a proposal in a standard JSON response.
+     *
+     * @param {Object} res - Express response object.
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - The response message.
+     * @param {Object} data - The proposal.
+     */
+    const sendProposal = (res, statusCode, message, data) =>
+        new StandardJsonResponse(res, statusCode)
+            .setMainContent(true, message)
+            .setSuccessPayload({
+                data,
+            })
+            .send();
+
+    /**
+     * Middleware that limits listing to the proposals on a project of the
+     * authenticated client. Admins see the proposals on every project.
+     *
+     * @function setProjectProposalsFilter
+     * @async
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setProjectProposalsFilter = catchAsync(async (req, res, next) => {
+        if (req.user.role !== 'admin') {
+            await proposalService.getClientProject(req.user.id, req.params.id);
+        }
+
+        req.filter = { projectId: req.params.id };
+
+        return next();
+    });
+
+    /**
+     * @route GET /api/v1/projects/:id/proposals?status=Pending&sort=price
+     * @desc Get the proposals on a project of the authenticated client, with the craftsmen's ratings
+     * and reliability to compare them. Sorted by price by default, `sort=-createdAt` for the latest.
+     * @access private
+     * @auth ['client', 'admin']
+     */
+    const getProjectProposals = controllerObj.getAll({
+        sortByFields: 'price,createdAt',
+        populates: [
+            { path: 'craftsmanId', select: 'name photo' },
+            {
+                path: 'craftsmanProfile',
+                select: 'ratingsAverage ratingsQuantity reliability verified',
+            },
+        ],
+        excludedFields: ['projectId'],
+    });
+
+    /**
+     * Middleware that limits listing to the proposals of the authenticated craftsman.
+     *
+     * @function setMyProposalsFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setMyProposalsFilter = (req, res, next) => {
+        req.filter = { craftsmanId: req.user.id };
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/proposals/me?status=Pending
+     * @desc Get the proposals of the authenticated craftsman with their projects, latest first.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const getMyProposals = controllerObj.getAll({
+        sortByFields: '-createdAt',
+        populates: [
+            { path: 'projectId', select: 'title service governrate status' },
+        ],
+        excludedFields: ['craftsmanId'],
+    });
+
+    /**
+     * @route POST /api/v1/projects/:id/proposals
+     * @desc Send a proposal of the authenticated craftsman on an open project needing one of their services,
+     * with the `price`, the `estimatedDuration` ({ value, unit }) and a `message`. One proposal per project.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const submitProposal = catchAsync(async (req, res, next) => {
+        const proposal = await proposalService.submitProposal(
+            req.user.id,
+            req.params.id,
+            req.body
+        );
+
+        return sendProposal(res, 201, 'Proposal sent successfully', proposal);
+    });
+
+    /**
+     * @route PATCH /api/v1/proposals/:id
+     * @desc Update a pending proposal of the authenticated craftsman.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const updateMyProposal = catchAsync(async (req, res, next) => {
+        const proposal = await proposalService.updateProposal(
+            req.user.id,
+            req.params.id,
+            req.body
+        );
+
+        return sendProposal(
+            res,
+            200,
+            'Proposal updated successfully',
+            proposal
+        );
+    });
+
+    /**
+     * @route PATCH /api/v1/proposals/:id/withdraw
+     * @desc Withdraw a pending proposal of the authenticated craftsman.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const withdrawMyProposal = catchAsync(async (req, res, next) => {
+        const proposal = await proposalService.withdrawProposal(
+            req.user.id,
+            req.params.id
+        );
+
+        return sendProposal(
+            res,
+            200,
+            'Proposal withdrawn successfully',
+            proposal
+        );
+    });
+
+    /**
+     * @route PATCH /api/v1/proposals/:id/accept
+     * @desc Accept a proposal on a project of the authenticated client. The project is assigned, the
+     * craftsman is booked at the proposed price, on their free `timeSlotId` if given, and the other
+     * proposals are declined.
+     * @access private
+     * @auth ['client']
+     */
+    const acceptProposal = catchAsync(async (req, res, next) => {
+        const result = await proposalService.acceptProposal(
+            req.user.id,
+            req.params.id,
+            req.body
+        );
+
+        return sendProposal(res, 200, 'Proposal accepted successfully', result);
+    });
+
+    /**
+     * @route PATCH /api/v1/proposals/:id/decline
+     * @desc Decline a proposal on a project of the authenticated client.
+     * @access private
+     * @auth ['client']
+     */
+    const declineProposal = catchAsync(async (req, res, next) => {
+        const proposal = await proposalService.declineProposal(
+            req.user.id,
+            req.params.id
+        );
+
+        return sendProposal(
+            res,
+            200,
+            'Proposal declined successfully',
+            proposal
+        );
+    });
+
+    return {
+        setProjectProposalsFilter,
+        getProjectProposals,
+        setMyProposalsFilter,
+        getMyProposals,
+        submitProposal,
+        updateMyProposal,
+        withdrawMyProposal,
+        acceptProposal,
+        declineProposal,
+    };
+};
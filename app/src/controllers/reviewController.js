@@ -0,0 +1,283 @@
+/**
+ * Review Controller Module
+ * @module reviewController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.reviewService - The review service object for handling review operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} ReviewController
+ * @property {Function} setCraftsmanReviewsFilter - A middleware that limits listing to the reviews of the requested craftsman.
+ * @property {Function} getCraftsmanReviews - A function to retrieve the reviews of a craftsman.
+ * @property {Function} setMyReviewsFilter - A middleware that limits listing to the reviews of the authenticated client.
+ * @property {Function} getMyReviews - A function to retrieve the reviews of the authenticated client.
+ * @property {Function} getReview - A function to retrieve a review.
+ * @property {Function} createReview - A function to review a craftsman who completed a project of the authenticated client.
+ * @property {Function} updateMyReview - A function to edit a review of the authenticated client.
+ * @property {Function} deleteReview - A function to delete a review of the authenticated client, or any review for admins.
+ * @property {Function} replyToReview - A function to post the authenticated craftsman's reply to a review of them.
+ * @property {Function} updateMyReply - A function to edit the authenticated craftsman's reply to a review.
+ * @property {Function} reportReview - A function to report a review to the moderation queue.
+ * @property {Function} getModerationQueue - A function to retrieve the reported reviews waiting for an admin.
+ * @property {Function} hideReview - A function to hide a review and leave it out of the craftsman's ratings.
+ * @property {Function} restoreReview - A function to show a review again, dismissing its reports.
+ *
+ * @returns {ReviewController} An object containing review-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { reviewService, utils, controller } = dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+    const controllerObj = controller(reviewService, utils, 'Review');
+
+    // Reviewer shown next to reviews
+    const clientPopulate = { path: 'clientId', select: 'name photo' };
+
+    /**
+     * Sends a review in a standard JSON response.
+     *
+     * @param {Object} res - Express response object.
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - The response message.
+     * @param {Object} review - The review.
+     */
+    const sendReview = (res, statusCode, message, review) =>
+        new StandardJsonResponse(res, statusCode)
+            .setMainContent(true, message)
+            .setSuccessPayload({
+                data: review,
+            })
+            .send();
+
+    /**
+     * Middleware that limits listing to the shown reviews of the craftsman user in `req.params.craftsmanId`.
+     *
+     * @function setCraftsmanReviewsFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setCraftsmanReviewsFilter = (req, res, next) => {
+        req.filter = {
+            craftsmanId: req.params.craftsmanId,
+            status: { $ne: 'Hidden' },
+        };
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/reviews/craftsmen/:craftsmanId?rating[gte]=4&sort=-createdAt&page=1&limit=20
+     * @desc Get the reviews of a craftsman with their replies, latest first. Hidden reviews are left out.
+     * @access public
+     */
+    const getCraftsmanReviews = controllerObj.getAll({
+        sortByFields: '-createdAt',
+        populates: [clientPopulate],
+        excludedFields: ['craftsmanId', 'status', 'moderationStatus'],
+    });
+
+    /**
+     * Middleware that limits listing to the reviews of the authenticated client.
+     *
+     * @function setMyReviewsFilter
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @param {Function} next - Express next middleware function.
+     */
+    const setMyReviewsFilter = (req, res, next) => {
+        req.filter = { clientId: req.user.id };
+
+        return next();
+    };
+
+    /**
+     * @route GET /api/v1/reviews/me
+     * @desc Get the reviews of the authenticated client, latest first.
+     * @access private
+     * @auth ['client']
+     */
+    const getMyReviews = controllerObj.getAll({
+        sortByFields: '-createdAt',
+        populates: [
+            { path: 'craftsmanId', select: 'name photo' },
+            { path: 'projectId', select: 'title' },
+        ],
+        excludedFields: ['clientId'],
+    });
+
+    /**
+     * @route GET /api/v1/reviews/:id
+     * @desc Get a review with its reply, unless an admin hid it.
+     * @access public
+     */
+    const getReview = catchAsync(async (req, res, next) => {
+        const review = await reviewService.getVisibleReview(req.params.id, {
+            populates: [clientPopulate],
+        });
+
+        if (!review) {
+            return next(new AppError('No review found with that ID', 404));
+        }
+
+        return sendReview(res, 200, 'Review retrieved successfully', review);
+    });
+
+    /**
+     * @route POST /api/v1/reviews
+     * @desc Review a craftsman (`craftsmanId`) for a `projectId` with a `rating` and a `review`. Only the
+     * client of a completed booking with the craftsman for the project may review it, once.
+     * @access private
+     * @auth ['client']
+     */
+    const createReview = catchAsync(async (req, res, next) => {
+        const review = await reviewService.createReview(req.user.id, req.body);
+
+        return sendReview(res, 201, 'Review created successfully', review);
+    });
+
+    /**
+     * @route PATCH /api/v1/reviews/:id
+     * @desc Edit the `rating` or `review` of a review of the authenticated client, within the edit window.
+     * @access private
+     * @auth ['client']
+     */
+    const updateMyReview = catchAsync(async (req, res, next) => {
+        const review = await reviewService.updateReview(
+            req.user.id,
+            req.params.id,
+            req.body
+        );
+
+        return sendReview(res, 200, 'Review updated successfully', review);
+    });
+
+    /**
+     * @route DELETE /api/v1/reviews/:id
+     * @desc Delete a review of the authenticated client, admins can delete any review.
+     * @access private
+     * @auth ['client', 'admin']
+     */
+    const deleteReview = catchAsync(async (req, res, next) => {
+        await reviewService.deleteReview(req.params.id, req.user);
+
+        return new StandardJsonResponse(res, 200)
+            .setMainContent(true, 'Review deleted successfully')
+            .setSuccessPayload({
+                data: null,
+            })
+            .send();
+    });
+
+    /**
+     * @route POST /api/v1/reviews/:id/reply
+     * @desc Post the authenticated craftsman's public reply (`text`) to a review of them, once per review.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const replyToReview = catchAsync(async (req, res, next) => {
+        const review = await reviewService.replyToReview(
+            req.user.id,
+            req.params.id,
+            req.body.text
+        );
+
+        return sendReview(res, 201, 'Reply posted successfully', review);
+    });
+
+    /**
+     * @route PATCH /api/v1/reviews/:id/reply
+     * @desc Edit the `text` of the authenticated craftsman's reply to a review.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const updateMyReply = catchAsync(async (req, res, next) => {
+        const review = await reviewService.updateReply(
+            req.user.id,
+            req.params.id,
+            req.body.text
+        );
+
+        return sendReview(res, 200, 'Reply updated successfully', review);
+    });
+
+    /**
+     * @route POST /api/v1/reviews/:id/reports
+     * @desc Report a review to the moderation queue with a `reason` (Spam, Offensive, Fake, Off-topic
+     * or Other) and optional `details`, once per user.
+     * @access private
+     * @auth ['client', 'craftsman', 'admin']
+     */
+    const reportReview = catchAsync(async (req, res, next) => {
+        await reviewService.reportReview(req.user.id, req.params.id, req.body);
+
+        return sendReview(res, 201, 'Review reported successfully', null);
+    });
+
+    /**
+     * @route GET /api/v1/reviews/moderation
+     * @desc Get the moderation queue: reported reviews waiting for an admin with their reports, most
+     * reported first (pass `moderationStatus=Resolved` to browse moderated ones).
+     * @access private
+     * @auth ['admin']
+     */
+    const getModerationQueue = controllerObj.getAll({
+        filter: { moderationStatus: 'Pending' },
+        sortByFields: '-reportsCount,createdAt',
+        selectedFields: '+reports',
+        populates: [
+            clientPopulate,
+            { path: 'craftsmanId', select: 'name photo' },
+            { path: 'reports.userId', select: 'name email' },
+        ],
+    });
+
+    /**
+     * @route PATCH /api/v1/reviews/:id/hide
+     * @desc Hide a review from the craftsman's reviews and ratings, resolving its reports, with an optional `note`.
+     * @access private
+     * @auth ['admin']
+     */
+    const hideReview = catchAsync(async (req, res, next) => {
+        const review = await reviewService.hideReview(
+            req.user.id,
+            req.params.id,
+            req.body.note
+        );
+
+        return sendReview(res, 200, 'Review hidden successfully', review);
+    });
+
+    /**
+     * @route PATCH /api/v1/reviews/:id/restore
+     * @desc Show a hidden review again, or keep a reported one shown, resolving its reports, with an optional `note`.
+     * @access private
+     * @auth ['admin']
+     */
+    const restoreReview = catchAsync(async (req, res, next) => {
+        const review = await reviewService.restoreReview(
+            req.user.id,
+            req.params.id,
+            req.body.note
+        );
+
+        return sendReview(res, 200, 'Review restored successfully', review);
+    });
+
+    return {
+        setCraftsmanReviewsFilter,
+        getCraftsmanReviews,
+        setMyReviewsFilter,
+        getMyReviews,
+        getReview,
+        createReview,
+        updateMyReview,
+        deleteReview,
+        replyToReview,
+        updateMyReply,
+        reportReview,
+        getModerationQueue,
+        hideReview,
+        restoreReview,
+    };
+};
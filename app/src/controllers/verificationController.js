@@ -0,0 +1,209 @@
+/**
+ * Verification Controller Module
+ * @module verificationController
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.verificationService - The verification service object for handling identity verification operations.
+ * @param {Object} dependencies.utils - Utility functions and classes.
+ * @param {Object} dependencies.controller - The controller object containing common CRUD operations.
+ *
+ * @typedef {Object} VerificationController
+ * @property {Function} getAllVerifications - A function to retrieve the verification review queue.
+ * @property {Function} getVerificationById - A function to retrieve a verification request by its unique identifier.
+ * @property {Function} submitVerification - A function to submit the authenticated craftsman's national ID for review.
+ * @property {Function} getMyVerification - A function to retrieve the authenticated craftsman's latest verification request.
+ * @property {Function} approveVerification - A function to approve a pending verification request.
+ * @property {Function} rejectVerification - A function to reject a pending verification request.
+ * @property {Function} getVerificationImage - A function to download a national ID image of a verification request.
+ *
+ * @returns {VerificationController} An object containing verification-related controller functions.
+ * @see {@link module:controller} For methods provided by the controller object.
+ */
+module.exports = (dependencies) => {
+    const { verificationService, uploadService, utils, controller } =
+        dependencies;
+    const { catchAsync, AppError, StandardJsonResponse } = utils;
+    const controllerObj = controller(
+        verificationService,
+        utils,
+        'Verification'
+    );
+
+    /**
+     * @route GET /api/v1/verifications
+     * @desc Get the review queue: pending verification requests, oldest first
+     * (pass `status=Approved` or `status=Rejected` to browse reviewed ones).
+     * @access private
+     * @auth ['admin']
+     */
+    const getAllVerifications = controllerObj.getAll({
+        filter: { status: 'Pending' },
+        sortByFields: 'submittedAt',
+        populates: [{ path: 'craftsmanId', select: 'name email phone' }],
+    });
+
+    /**
+     * @route GET /api/v1/verifications/:id
+     * @desc Get a single verification request by id with its history.
+     * @access private
+     * @auth ['admin']
+     */
+    const getVerificationById = controllerObj.getOneById({
+        populates: [
+            { path: 'craftsmanId', select: 'name email phone' },
+            { path: 'profileId' },
+        ],
+    });
+
+    /**
+     * @route GET /api/v1/verifications/:id/images/:index
+     * @desc Download a national ID image of a verification request, the images are
+     * private and only served through this route.
+     * @access private
+     * @auth ['admin']
+     */
+    const getVerificationImage = catchAsync(async (req, res, next) => {
+        const verification = await verificationService.getOneById(
+            req.params.id,
+            {}
+        );
+
+        if (!verification) {
+            return next(
+                new AppError('No verification found with that ID', 404)
+            );
+        }
+
+        const key = verification.nationalIdImages[Number(req.params.index)];
+
+        if (!key) {
+            return next(new AppError('No image found with that index', 404));
+        }
+
+        const image = await uploadService.readFile(key, {
+            visibility: 'private',
+        });
+
+        return res.status(200).type('jpeg').send(image);
+    });
+
+    /**
+     * Sends a verification request in a standard JSON response.
+     *
+     * @param {Object} res - Express response object.
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - The response message.
+     * @param {Object} verification - The verification request.
+     */
+    const sendVerification = (res, statusCode, message, verification) =>
+        new StandardJsonResponse(res, statusCode)
+            .setMainContent(true, message)
+            .setSuccessPayload({
+                data: verification,
+            })
+            .send();
+
+    /**
+     * @route POST /api/v1/craftsmen/me/verification
+     * @desc Submit the authenticated craftsman's national ID images (multipart `nationalIdImages` files, front and optionally back) for review.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const submitVerification = catchAsync(async (req, res, next) => {
+        const { nationalIdImages } = req.body;
+
+        if (!Array.isArray(nationalIdImages) || !nationalIdImages.length) {
+            return next(
+                new AppError('Please upload your national ID images', 400)
+            );
+        }
+
+        const verification = await verificationService.submit(
+            req.user.id,
+            nationalIdImages
+        );
+
+        return sendVerification(
+            res,
+            201,
+            'Verification submitted successfully',
+            verification
+        );
+    });
+
+    /**
+     * @route GET /api/v1/craftsmen/me/verification
+     * @desc Get the authenticated craftsman's latest verification request and its history.
+     * @access private
+     * @auth ['craftsman']
+     */
+    const getMyVerification = catchAsync(async (req, res, next) => {
+        const verification = await verificationService.getLatestByCraftsman(
+            req.user.id
+        );
+
+        if (!verification) {
+            return next(
+                new AppError('You have not submitted a verification yet', 404)
+            );
+        }
+
+        return sendVerification(
+            res,
+            200,
+            'Verification retrieved successfully',
+            verification
+        );
+    });
+
+    /**
+     * @route PATCH /api/v1/verifications/:id/approve
+     * @desc Approve a pending verification request and mark the craftsman as verified.
+     * @access private
+     * @auth ['admin']
+     */
+    const approveVerification = catchAsync(async (req, res, next) => {
+        const verification = await verificationService.review(req.params.id, {
+            status: 'Approved',
+            reason: req.body.reason,
+            reviewerId: req.user.id,
+        });
+
+        return sendVerification(
+            res,
+            200,
+            'Verification approved successfully',
+            verification
+        );
+    });
+
+    /**
+     * @route PATCH /api/v1/verifications/:id/reject
+     * @desc Reject a pending verification request with a reason.
+     * @access private
+     * @auth ['admin']
+     */
+    const rejectVerification = catchAsync(async (req, res, next) => {
+        const verification = await verificationService.review(req.params.id, {
+            status: 'Rejected',
+            reason: req.body.reason,
+            reviewerId: req.user.id,
+        });
+
+        return sendVerification(
+            res,
+            200,
+            'Verification rejected successfully',
+            verification
+        );
+    });
+
+    return {
+        getAllVerifications,
+        getVerificationById,
+        submitVerification,
+        getMyVerification,
+        approveVerification,
+        rejectVerification,
+        getVerificationImage,
+    };
+};
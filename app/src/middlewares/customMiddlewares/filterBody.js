@@ -0,0 +1,34 @@
+/**
+ * Middleware for Request Body Filtering
+ *
+ * This middleware keeps only the whitelisted fields in the request body, so routes
+ * that let users update their own documents cannot touch protected fields
+ * (e.g. `verified`, `ratingsAverage`).
+ *
+ * @returns {function} A factory that takes the allowed fields and returns an Express middleware function.
+ *
+ * @example
+ * // Import the middleware
+ * const filterBody = require('./middleware/filterBody')();
+ *
+ * // Use the middleware in your Express route
+ * app.patch('/me', filterBody('about', 'governrate'), (req, res) => {
+ *   // req.body only contains `about` and `governrate`
+ * });
+ */
+module.exports =
+    () =>
+    (...allowedFields) =>
+    (req, res, next) => {
+        const filteredBody = {};
+
+        Object.keys(req.body || {}).forEach((field) => {
+            if (allowedFields.includes(field)) {
+                filteredBody[field] = req.body[field];
+            }
+        });
+
+        req.body = filteredBody;
+
+        return next();
+    };
@@ -1,6 +1,8 @@
 // Load Middlewares
 const passwordUpdateProtectionLoader = require('./passwordUpdateProtection ');
 const authMiddlewareLoader = require('./authMiddleware');
+const filterBodyLoader = require('./filterBody');
+const uploadImagesLoader = require('./uploadImages');
 
 /**
  * Custom Middleware Collection
@@ -15,6 +17,9 @@ const authMiddlewareLoader = require('./authMiddleware');
  * @returns {Object} An object containing custom middleware functions.
  *
  * @property {function} passwordUpdateProtection - Middleware for protecting routes from unintended password updates.
+ * @property {Object} authMiddleware - Middlewares for authentication (`protect`) and authorization (`authorize`).
+ * @property {function} filterBody - Factory for middlewares that whitelist request body fields.
+ * @property {function} uploadImages - Factory for middlewares that validate, process and store uploaded images.
  *
  * @example
  * // Import the custom middleware collection
@@ -42,8 +47,19 @@ module.exports = (dependencies) => {
         catchAsync: utils.catchAsync,
     });
 
+    const filterBody = filterBodyLoader();
+
+    const uploadImages = uploadImagesLoader({
+        multer: libraries.multer,
+        uploadService: services.uploadService,
+        AppError: utils.AppError,
+        catchAsync: utils.catchAsync,
+    });
+
     return {
         passwordUpdateProtection,
         authMiddleware,
+        filterBody,
+        uploadImages,
     };
 };
@@ -0,0 +1,111 @@
+/**
+ * Middleware for Image Uploads
+ *
+ * This middleware parses multipart image uploads of a single field, validates their
+ * MIME type and size, processes them with the upload service and replaces the field
+ * in the request body with the keys of the stored images. Values sent for the field
+ * as plain text are dropped, so documents only ever link to uploaded files.
+ *
+ * If the request ends with an error response, the stored images are removed again.
+ *
+ * @module middlewares/uploadImages
+ * @param {Object} dependencies - An object containing the required dependencies.
+ * @param {Function} dependencies.multer - The multer multipart parser.
+ * @param {Object} dependencies.uploadService - The upload service used to process and store images.
+ * @param {Object} dependencies.AppError - The custom error class for handling application errors.
+ * @param {Function} dependencies.catchAsync - A utility function for handling asynchronous errors.
+ * @returns {function} A factory that takes the field name and upload options and returns Express middlewares.
+ *
+ * @throws {AppError} If a file is not an allowed image, is too large or there are too many files.
+ *
+ * @example
+ * // Accept up to 10 portfolio photos in the `photos` field
+ * router.post(
+ *   '/me/portfolio',
+ *   uploadImages('photos', { maxCount: 10, folder: 'portfolio' }),
+ *   (req, res) => {
+ *     // req.body.photos contains the keys of the stored photos
+ *   }
+ * );
+ */
+module.exports = ({ multer, uploadService, AppError, catchAsync }) => {
+    const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+    const maxFileSizeMB = Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5;
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSizeMB * 1024 * 1024 },
+        fileFilter: (req, file, cb) => {
+            if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+                return cb(
+                    new AppError(
+                        'Only JPEG, PNG and WebP images can be uploaded',
+                        400
+                    )
+                );
+            }
+
+            cb(null, true);
+        },
+    });
+
+    /**
+     * Creates the middlewares handling image uploads of a field.
+     *
+     * @function
+     * @param {string} field - The multipart field holding the images.
+     * @param {Object} options - The upload options.
+     * @param {string} options.folder - The storage folder of the images.
+     * @param {number} [options.maxCount=1] - The maximum number of images, with 1 the field is set to a single key.
+     * @param {string} [options.preset='photo'] - The image processing preset ('avatar', 'photo' or 'document').
+     * @param {string} [options.visibility='public'] - Either 'public' or 'private'.
+     * @returns {function[]} The Express middlewares parsing and storing the images.
+     */
+    return (
+        field,
+        { folder, maxCount = 1, preset = 'photo', visibility = 'public' }
+    ) => {
+        const parse = (req, res, next) =>
+            upload.array(field, maxCount)(req, res, (err) => {
+                if (err instanceof multer.MulterError) {
+                    const messages = {
+                        LIMIT_FILE_SIZE: `Each file must be at most ${maxFileSizeMB}MB`,
+                        LIMIT_UNEXPECTED_FILE: `Upload at most ${maxCount} image(s) in the '${field}' field`,
+                    };
+
+                    return next(
+                        new AppError(messages[err.code] || err.message, 400)
+                    );
+                }
+
+                next(err);
+            });
+
+        const store = catchAsync(async (req, res, next) => {
+            req.body = req.body || {};
+            delete req.body[field];
+
+            if (!req.files || !req.files.length) return next();
+
+            const keys = await uploadService.saveImages(req.files, {
+                folder,
+                prefix: req.user.id,
+                preset,
+                visibility,
+            });
+
+            // Remove the stored images if the request is not fulfilled
+            res.on('finish', () => {
+                if (res.statusCode >= 400) {
+                    uploadService.removeFiles(keys, { visibility });
+                }
+            });
+
+            req.body[field] = maxCount === 1 ? keys[0] : keys;
+
+            next();
+        });
+
+        return [parse, store];
+    };
+};
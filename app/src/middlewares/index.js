@@ -1,9 +1,10 @@
 // Import dependencies
 const morgan = require('morgan');
-const { json, urlencoded } = require('express');
+const { json, urlencoded, static: serveStatic } = require('express');
 const cookieParser = require('cookie-parser');
 const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
 const { errorController } = require('../controllers');
 const services = require('../services');
 
@@ -18,6 +19,7 @@ const customMiddlewares = require('./customMiddlewares')({
     libraries: {
         promisify,
         jwt,
+        multer,
     },
 });
 
@@ -57,6 +59,11 @@ module.exports = (app) => ({
             json,
             urlencoded,
             cookieParser,
+            serveStatic,
+            uploads: {
+                route: services.storage.baseUrl,
+                directory: services.storage.publicDirectory,
+            },
         });
     },
 
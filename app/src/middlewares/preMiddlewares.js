@@ -12,6 +12,8 @@ const { NODE_ENV: MODE } = process.env;
  * @param {function} dependencies.morgan - The Morgan logger middleware function.
  * @param {function} dependencies.json - The JSON body parser middleware function.
  * @param {function} dependencies.cookieParser - The Cookie Parser middleware function.
+ * @param {function} dependencies.serveStatic - The Express static files middleware function.
+ * @param {Object} dependencies.uploads - The route and directory public uploads are served from.
  *
  * @example
  * const express = require('express');
@@ -49,4 +51,10 @@ module.exports = (app, dependencies) => {
 
     // Parse cookies
     app.use(dependencies.cookieParser());
+
+    // Serve public uploads (e.g. user photos)
+    app.use(
+        dependencies.uploads.route,
+        dependencies.serveStatic(dependencies.uploads.directory)
+    );
 };
@@ -7,11 +7,15 @@
 
 /**
  * Mongoose Availability Schema
+ *
+ * One document per bookable slot, expanded from the craftsman's weekly schedule.
+ *
  * @typedef {object} AvailabilitySchema
- * @property {string} craftsmanid - The craftsman's user ID associated with the availability.
- * @property {Date} date - The date for the availability (required).
- * @property {boolean} isBooked - Indicates if the availability slot is booked (default: false).
- * @property {Date[]} timeSlots - An array of time slot ranges available on the specified date.
+ * @property {string} craftsmanId - The craftsman's user ID associated with the slot (required).
+ * @property {Date} startsAt - The start of the slot (required, unique per craftsman).
+ * @property {Date} endsAt - The end of the slot (required).
+ * @property {boolean} isBooked - Indicates if the slot is booked (default: false).
+ * @property {string} bookingId - The booking holding the slot.
  */
 
 /**
@@ -20,21 +24,32 @@
  */
 module.exports = (mongoose) => {
     const availabilitySchema = mongoose.Schema({
-        craftsmanid: {
+        craftsmanId: {
             type: mongoose.Schema.ObjectId,
             ref: 'User',
+            required: [true, 'Availability must belong to craftsman'],
         },
-        date: {
+        startsAt: {
             type: Date,
-            required: [true, 'please provide date for Availability'],
+            required: [true, 'please provide the start of the slot'],
+        },
+        endsAt: {
+            type: Date,
+            required: [true, 'please provide the end of the slot'],
         },
         isBooked: {
             type: Boolean,
             default: false,
         },
-        timeSlots: [Date, Date],
+        bookingId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Booking',
+        },
     });
 
+    // A craftsman cannot have two slots starting at the same time
+    availabilitySchema.index({ craftsmanId: 1, startsAt: 1 }, { unique: true });
+
     const Availability = mongoose.model('Availability', availabilitySchema);
 
     return Availability;
@@ -3,6 +3,7 @@
  * @module BookingSchema
  * @param {object} mongoose - The Mongoose instance.
  * @param {object} validator - The validator library for data validation.
+ * @param {object} schemas - Shared sub-schemas (pointSchema, quoteSchema).
  * @returns {Model} - The Mongoose model for the Booking schema.
  */
 
@@ -10,35 +11,62 @@
  * Mongoose Booking Schema
  * @typedef {object} BookingSchema
  * @property {string} craftsmanId - The craftsman's user ID associated with the booking.
+ * @property {string} clientId - The client's user ID who made the booking.
  * @property {Date} createAt - The date and time when the booking was created (default: current date and time).
  * @property {Date} completionAt - The date and time when the booking was completed.
  * @property {string} projectId - The project's ID associated with the booking.
+ * @property {string} serviceId - The ID of the service booked, used to price the booking from the craftsman's rate card.
  * @property {string} clientPhone - The client's phone number (must be in valid mobile phone format).
- * @property {number} fees - The fees associated with the booking (default: 0).
+ * @property {number} fees - The fees associated with the booking, pre-filled from the craftsman's rate card for new bookings and replaced by the total of the accepted quote (default: 0).
+ * @property {number} travelFee - The travel fee of the craftsman to the client's location, charged on top of the fees (default: 0).
+ * @property {number} distanceKm - The great-circle distance between the craftsman and the client's location in kilometers.
+ * @property {object} quote - The open quote waiting for an answer of the other party: a craftsman's quote or a client's counter offer.
+ * @property {object[]} quoteHistory - Every closed quote revision with its outcome (accepted, rejected, countered, revised, expired or withdrawn).
+ * @property {Date} feesLockedAt - When a quote was accepted, after which the fees cannot be negotiated anymore.
  * @property {object} clientLocation - The client's location in GeoJSON format.
+ * @property {string} clientAddress - The address of the job, shown in calendar exports.
+ * @property {string} seriesId - The ID of the recurring booking series the booking is an occurrence of.
  * @property {string} timeSlotId - The ID of the availability time slot associated with the booking.
- * @property {string} status - The status of the booking (enum: 'Pending', 'Confirmed', 'In progress', 'Completed', 'Cancelled').
+ * @property {Date} startsAt - The start of the booked slot.
+ * @property {Date} endsAt - The end of the booked slot.
+ * @property {string} status - The status of the booking (enum: 'Pending', 'Confirmed', 'In progress', 'Completed', 'Cancelled', default: 'Pending').
+ * @property {object} rescheduleRequest - The pending proposal to move the booking to another slot of the craftsman, and who made it.
+ * @property {object[]} previousSlots - The slots the booking was moved away from, with when and by whom.
+ * @property {object} cancellationPolicy - The cancellation policy agreed on when booking: free cancellation up to `freeCancellationHours` before the slot, then a `penaltyPercent` of the fees.
+ * @property {object} cancellation - Who cancelled the booking, when, why, whether it was late and the penalty charged to the client.
+ * @property {boolean} cancellation.noticePending - Whether the parties still have to be told about a cancellation made by the system.
+ * @property {object[]} statusHistory - Every status change with its timestamp, the user who made it and an optional reason.
  */
 
 /**
  * Mongoose Booking Model
  * @typedef {Model<BookingSchema>} Booking
  */
-module.exports = (mongoose, validator) => {
+module.exports = (mongoose, validator, schemas) => {
+    const { pointSchema, quoteSchema } = schemas;
+
     const bookingSchema = mongoose.Schema({
         craftsmanId: {
             type: mongoose.Schema.ObjectId,
             ref: 'User',
         },
+        clientId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+        },
         createAt: {
             type: Date,
-            default: Date.now(),
+            default: Date.now,
         },
         completionAt: Date,
         projectId: {
             type: mongoose.Schema.ObjectId,
             ref: 'Project',
         },
+        serviceId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Service',
+        },
         clientPhone: {
             type: String,
             validate: [
@@ -50,19 +78,34 @@ module.exports = (mongoose, validator) => {
             type: Number,
             default: 0,
         },
+        travelFee: {
+            type: Number,
+            default: 0,
+            min: [0, 'The travel fee cannot be negative'],
+        },
+        distanceKm: Number,
+        quote: quoteSchema,
+        quoteHistory: [quoteSchema],
+        feesLockedAt: Date,
         clientLocation: {
             // GeoJson
-            type: {
-                type: String,
-                default: 'Point',
-                enum: ['Point'],
-            },
-            coordinates: [Number],
+            type: pointSchema,
+        },
+        clientAddress: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'The address must be at most 300 characters'],
+        },
+        seriesId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'BookingSeries',
         },
         timeSlotId: {
             type: mongoose.Schema.ObjectId,
             ref: 'Availability',
         },
+        startsAt: Date,
+        endsAt: Date,
         status: {
             type: String,
             enum: [
@@ -72,13 +115,129 @@ module.exports = (mongoose, validator) => {
                 'Completed',
                 'Cancelled',
             ],
+            default: 'Pending',
         },
+        rescheduleRequest: {
+            timeSlotId: {
+                type: mongoose.Schema.ObjectId,
+                ref: 'Availability',
+            },
+            startsAt: Date,
+            endsAt: Date,
+            proposedBy: {
+                type: mongoose.Schema.ObjectId,
+                ref: 'User',
+            },
+            proposedAt: Date,
+        },
+        previousSlots: [
+            {
+                _id: false,
+                timeSlotId: {
+                    type: mongoose.Schema.ObjectId,
+                    ref: 'Availability',
+                },
+                startsAt: Date,
+                endsAt: Date,
+                changedBy: {
+                    type: mongoose.Schema.ObjectId,
+                    ref: 'User',
+                },
+                changedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+        cancellationPolicy: {
+            freeCancellationHours: {
+                type: Number,
+                min: [0, 'The free cancellation window cannot be negative'],
+            },
+            penaltyPercent: {
+                type: Number,
+                min: [0, 'The penalty cannot be negative'],
+                max: [100, 'The penalty cannot be more than the fees'],
+            },
+        },
+        cancellation: {
+            cancelledBy: {
+                type: mongoose.Schema.ObjectId,
+                ref: 'User',
+            },
+            role: String,
+            reason: String,
+            penalty: Number,
+            isLate: Boolean,
+            cancelledAt: Date,
+            noticePending: Boolean,
+        },
+        statusHistory: [
+            {
+                _id: false,
+                status: String,
+                reason: String,
+                changedBy: {
+                    type: mongoose.Schema.ObjectId,
+                    ref: 'User',
+                },
+                changedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
         paymentMethod: {
             type: String,
             enum: ['Cash', 'Card'],
         },
     });
 
+    // Enable geospatial queries on the client's location
+    bookingSchema.index({ clientLocation: '2dsphere' });
+
+    // Speed up listing the bookings of a client or a craftsman
+    bookingSchema.index({ clientId: 1, startsAt: -1 });
+    bookingSchema.index({ craftsmanId: 1, startsAt: -1 });
+
+    // Speed up finding the pending bookings to expire
+    bookingSchema.index({ status: 1, createAt: 1 });
+
+    // Speed up listing the occurrences of a recurring series
+    bookingSchema.index({ seriesId: 1 }, { sparse: true });
+
+    // Speed up finding the system cancellations nobody was told about yet
+    bookingSchema.index({ 'cancellation.noticePending': 1 }, { sparse: true });
+
+    // document middleware that prices new bookings from the craftsman's rate card:
+    // the fixed price of the booked service, but never less than the call-out fee
+    bookingSchema.pre('validate', async function (next) {
+        if (!this.isNew || !this.$isDefault('fees') || !this.craftsmanId) {
+            return next();
+        }
+
+        const profile = await mongoose
+            .model('CraftsmanProfile')
+            .findOne({ userId: this.craftsmanId })
+            .select('rateCard');
+        const rateCard = profile && profile.rateCard;
+
+        if (rateCard) {
+            const line =
+                this.serviceId &&
+                rateCard.services.find((item) =>
+                    item.service.equals(this.serviceId)
+                );
+
+            this.fees = Math.max(
+                line ? line.price : 0,
+                rateCard.callOutFee || 0
+            );
+        }
+
+        return next();
+    });
+
     const Booking = mongoose.model('Booking', bookingSchema);
 
     return Booking;
@@ -0,0 +1,168 @@
+/**
+ * Booking Series Schema Module
+ * @module BookingSeriesSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @param {object} validator - The validator library for data validation.
+ * @param {object} schemas - Shared sub-schemas (pointSchema).
+ * @returns {Model} - The Mongoose model for the Booking Series schema.
+ */
+
+/**
+ * Mongoose Booking Series Schema
+ * @typedef {object} BookingSeriesSchema
+ * @property {string} clientId - The client's user ID who booked the series (required).
+ * @property {string} craftsmanId - The craftsman's user ID booked by the series (required).
+ * @property {string} serviceId - The ID of the service booked by every occurrence.
+ * @property {string} projectId - The project's ID associated with the series.
+ * @property {string} clientPhone - The client's phone number (must be in valid mobile phone format).
+ * @property {object} clientLocation - The location of the job in GeoJSON format.
+ * @property {string} clientAddress - The address of the job.
+ * @property {string} paymentMethod - How every occurrence is paid (enum: 'Cash', 'Card').
+ * @property {object} recurrence - The recurrence rule of the series.
+ * @property {string} recurrence.frequency - How often the booking repeats (enum: 'weekly', 'biweekly', 'monthly', required).
+ * @property {number} recurrence.weekday - The day of the week (0 = Sunday ... 6 = Saturday, required).
+ * @property {number} recurrence.weekOfMonth - For monthly series, which weekday of the month (1 to 4, default: the one of the start date).
+ * @property {string} recurrence.time - The start time of every occurrence ('HH:mm', in the craftsman's time zone, required).
+ * @property {string} recurrence.startDate - The first date the series can start on ('YYYY-MM-DD', required).
+ * @property {number} recurrence.count - How many occurrences the series has (1 to 24, default: 6).
+ * @property {string} timezone - The craftsman's time zone the recurrence is in.
+ * @property {object[]} occurrences - The occurrences of the series.
+ * @property {Date} occurrences.startsAt - When the occurrence starts.
+ * @property {string} occurrences.status - The state of the occurrence (enum: 'Scheduled' until slots open that far ahead, 'Booked', 'Conflict', 'Cancelled').
+ * @property {string} occurrences.bookingId - The ID of the booking placed for the occurrence.
+ * @property {string} occurrences.reason - Why the occurrence could not be placed or was cancelled.
+ * @property {string} status - The status of the series (enum: 'Active', 'Cancelled', default: 'Active').
+ * @property {Date} createdAt - The date and time the series was created.
+ * @property {Date} cancelledAt - The date and time the series was cancelled.
+ * @property {Date} placingUntil - Until when a placement of the occurrences holds the series, so it is not placed twice at once.
+ */
+
+/**
+ * Mongoose Booking Series Model
+ * @typedef {Model<BookingSeriesSchema>} BookingSeries
+ */
+module.exports = (mongoose, validator, schemas) => {
+    const { pointSchema } = schemas;
+    const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const DATE_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+    const occurrenceSchema = mongoose.Schema({
+        startsAt: Date,
+        status: {
+            type: String,
+            enum: ['Scheduled', 'Booked', 'Conflict', 'Cancelled'],
+            default: 'Scheduled',
+        },
+        bookingId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Booking',
+        },
+        reason: String,
+    });
+
+    const bookingSeriesSchema = mongoose.Schema({
+        clientId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+            required: [true, 'Booking series must belong to a client'],
+        },
+        craftsmanId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+            required: [true, 'Please provide the craftsman to book'],
+        },
+        serviceId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Service',
+        },
+        projectId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Project',
+        },
+        clientPhone: {
+            type: String,
+            validate: [
+                validator.isMobilePhone,
+                'Please provide a valid phone number',
+            ],
+        },
+        clientLocation: {
+            // GeoJson
+            type: pointSchema,
+        },
+        clientAddress: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'The address must be at most 300 characters'],
+        },
+        paymentMethod: {
+            type: String,
+            enum: ['Cash', 'Card'],
+        },
+        recurrence: {
+            frequency: {
+                type: String,
+                required: [true, 'Please provide how often to book'],
+                enum: {
+                    values: ['weekly', 'biweekly', 'monthly'],
+                    message:
+                        'Bookings can only repeat weekly, biweekly or monthly',
+                },
+            },
+            weekday: {
+                type: Number,
+                required: [true, 'Please provide the day of the week'],
+                min: [0, 'Days of the week are 0 (Sunday) to 6 (Saturday)'],
+                max: [6, 'Days of the week are 0 (Sunday) to 6 (Saturday)'],
+            },
+            weekOfMonth: {
+                type: Number,
+                min: [1, 'The week of the month must be 1 to 4'],
+                max: [4, 'The week of the month must be 1 to 4'],
+            },
+            time: {
+                type: String,
+                required: [true, 'Please provide the start time'],
+                match: [TIME_REGEX, 'The start time must be in HH:mm format'],
+            },
+            startDate: {
+                type: String,
+                required: [true, 'Please provide the start date'],
+                match: [
+                    DATE_REGEX,
+                    'The start date must be in YYYY-MM-DD format',
+                ],
+            },
+            count: {
+                type: Number,
+                default: 6,
+                min: [1, 'A series must have at least 1 occurrence'],
+                max: [24, 'A series can have at most 24 occurrences'],
+            },
+        },
+        timezone: String,
+        occurrences: [occurrenceSchema],
+        status: {
+            type: String,
+            enum: ['Active', 'Cancelled'],
+            default: 'Active',
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        cancelledAt: Date,
+        placingUntil: Date,
+    });
+
+    // Speed up listing the series of a client or a craftsman
+    bookingSeriesSchema.index({ clientId: 1, createdAt: -1 });
+    bookingSeriesSchema.index({ craftsmanId: 1, createdAt: -1 });
+
+    // Speed up finding the occurrences waiting for their slots to open
+    bookingSeriesSchema.index({ status: 1, 'occurrences.status': 1 });
+
+    const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+    return BookingSeries;
+};
@@ -27,6 +27,8 @@ module.exports = (mongoose) => {
         userid: {
             type: mongoose.Schema.ObjectId,
             ref: 'User',
+            required: [true, 'Client profile must belong to a user'],
+            unique: true,
         },
         favoriteCraftsmen: [
             {
@@ -2,6 +2,7 @@
  * Craftsman Profile Schema Module
  * @module CraftsmanProfileSchema
  * @param {object} mongoose - The Mongoose instance.
+ * @param {object} dependencies - Shared sub-schemas (pointSchema, rateCardSchema) and reference data (governorates).
  * @returns {Model} - The Mongoose model for the Craftsman Profile schema.
  */
 
@@ -9,44 +10,121 @@
  * Mongoose Craftsman Profile Schema
  * @typedef {object} CraftsmanProfileSchema
  * @property {string} userId - The user ID associated with the craftsman profile.
- * @property {string} nationalId - The craftsman's national ID filename (default: 'default.jpg').
- * @property {string} governrate - The governrate in which the craftsman operates.
+ * @property {string} name - Copy of the craftsman user's name, kept in sync for full-text search.
+ * @property {string} nationalId - The private storage key of the craftsman's approved national ID image (default: 'default.jpg').
+ * @property {string} governrate - The code of the governrate in which the craftsman operates (names are normalized to codes, e.g. 'Cairo' -> 'EG-C').
+ * @property {string} governrateNames - The English and Arabic names of the governrate, kept in sync for full-text search.
  * @property {object} location - The geographic location of the craftsman using GeoJSON format.
  * @property {string} location.type - The type of GeoJSON location (default: 'Point').
  * @property {number[]} location.coordinates - The coordinates [longitude, latitude] of the craftsman's location.
- * @property {boolean} verified - Indicates if the craftsman profile is verified.
+ * @property {boolean} verified - Indicates if the craftsman's identity is verified by an admin (default: false).
  * @property {string} about - A brief description about the craftsman.
+ * @property {ObjectId[]} services - An array of service IDs the craftsman offers (must reference active services).
+ * @property {object} rateCard - The craftsman's published prices (hourly rate, call-out fee, inspection fee, travel pricing and fixed prices per service).
+ * @property {number} maxTravelKm - The farthest the craftsman travels from their location in kilometers, clients farther away cannot book them.
+ * @property {number} priceFrom - The lowest hourly or service price of the rate card, kept in sync for filtering and sorting by price.
+ * @property {string} calendarToken - The hashed token of the craftsman's calendar feed URL (not selected by default).
+ * @property {object} reliability - Booking stats: completed bookings, bookings the craftsman cancelled and how many of those were late.
  * @property {ObjectId[]} reviews - An array of review IDs associated with the craftsman.
  * @property {number} ratingsAverage - The average rating for the craftsman (min: 0.0, max: 5.0).
  * @property {number} ratingsQuantity - The number of ratings received by the craftsman.
+ * @property {number} ratingsWeighted - The Bayesian average of the ratings, pulled towards the platform's prior for craftsmen with few reviews, to rank by.
  */
 
 /**
  * Mongoose Craftsman Profile Model
  * @typedef {Model<CraftsmanProfileSchema>} CraftsmanProfile
  */
-module.exports = (mongoose) => {
+module.exports = (mongoose, dependencies) => {
+    const { pointSchema, rateCardSchema, governorates } = dependencies;
+    const { GOVERNORATE_CODES, findGovernorate, normalizeGovernorate } =
+        governorates;
+
     const craftsmanProfileSchema = mongoose.Schema({
         userId: {
             type: mongoose.Schema.ObjectId,
             ref: 'User',
+            required: [true, 'Craftsman profile must belong to a user'],
+            unique: true,
         },
+        name: String,
         nationalId: {
             type: String,
             default: 'default.jpg',
         },
-        governrate: String,
+        governrate: {
+            type: String,
+            set: normalizeGovernorate,
+            enum: {
+                values: GOVERNORATE_CODES,
+                message: 'Please provide a valid Egyptian governorate',
+            },
+        },
+        governrateNames: {
+            type: String,
+            select: false,
+        },
         location: {
             // GeoJson
-            type: {
-                type: String,
-                default: 'Point',
-                enum: ['Point'],
-            },
-            coordinates: [Number],
+            type: pointSchema,
+        },
+        verified: {
+            type: Boolean,
+            default: false,
         },
-        verified: Boolean,
         about: String,
+        services: {
+            type: [
+                {
+                    type: mongoose.Schema.ObjectId,
+                    ref: 'Service',
+                },
+            ],
+            validate: {
+                validator: async function (ids) {
+                    const uniqueIds = [
+                        ...new Set(ids.map((id) => id.toString())),
+                    ];
+                    const count = await mongoose
+                        .model('Service')
+                        .countDocuments({
+                            _id: { $in: uniqueIds },
+                            isActive: true,
+                        });
+
+                    return count === uniqueIds.length;
+                },
+                message: 'Please provide valid active services',
+            },
+        },
+        rateCard: {
+            type: rateCardSchema,
+        },
+        priceFrom: Number,
+        maxTravelKm: {
+            type: Number,
+            min: [1, 'The travel radius must be at least 1 km'],
+        },
+        calendarToken: {
+            type: String,
+            select: false,
+            unique: true,
+            sparse: true,
+        },
+        reliability: {
+            completedBookings: {
+                type: Number,
+                default: 0,
+            },
+            cancelledBookings: {
+                type: Number,
+                default: 0,
+            },
+            lateCancellations: {
+                type: Number,
+                default: 0,
+            },
+        },
         reviews: [
             {
                 type: mongoose.Schema.ObjectId,
@@ -64,6 +142,130 @@ module.exports = (mongoose) => {
             type: Number,
             default: 0,
         },
+        ratingsWeighted: {
+            type: Number,
+            default: 0,
+        },
+    });
+
+    // Enable geospatial queries ("craftsmen near me")
+    craftsmanProfileSchema.index({ location: '2dsphere' });
+
+    // Speed up searching craftsmen by service
+    craftsmanProfileSchema.index({ services: 1 });
+
+    // Speed up filtering and sorting craftsmen by price
+    craftsmanProfileSchema.index({ priceFrom: 1 });
+
+    // Speed up ranking craftsmen by their weighted rating
+    craftsmanProfileSchema.index({ ratingsWeighted: -1 });
+
+    // Relevance-ranked full-text search, matches on the name weigh the most.
+    // Arabic has no stemmer in MongoDB, so words are matched as they are.
+    craftsmanProfileSchema.index(
+        { name: 'text', governrateNames: 'text', about: 'text' },
+        {
+            name: 'CraftsmanTextIndex',
+            weights: { name: 10, governrateNames: 5, about: 1 },
+            default_language: 'none',
+        }
+    );
+
+    /**
+     * Gets the searchable English and Arabic names of a governrate.
+     *
+     * @param {string} value - The governrate code or name.
+     * @returns {string|undefined} The names separated by a space.
+     */
+    const getGovernrateNames = (value) => {
+        const governorate = findGovernorate(value);
+
+        return governorate
+            ? `${governorate.nameEn} ${governorate.nameAr}`
+            : undefined;
+    };
+
+    /**
+     * Gets the lowest hourly or service price of a rate card.
+     *
+     * @param {object} rateCard - The rate card.
+     * @returns {number|undefined} The lowest price, or undefined if nothing is priced.
+     */
+    const getPriceFrom = (rateCard) => {
+        if (!rateCard) return undefined;
+
+        const prices = [
+            rateCard.hourlyRate,
+            ...(rateCard.services || []).map((line) => line.price),
+        ].filter((price) => typeof price === 'number');
+
+        return prices.length ? Math.min(...prices) : undefined;
+    };
+
+    // document middleware that keeps the starting price in sync
+    craftsmanProfileSchema.pre('save', function (next) {
+        if (this.isModified('rateCard')) {
+            this.priceFrom = getPriceFrom(this.rateCard);
+        }
+
+        return next();
+    });
+
+    // query middleware that keeps the starting price in sync
+    craftsmanProfileSchema.pre('findOneAndUpdate', function (next) {
+        const update = this.getUpdate() || {};
+        const hasRateCard =
+            'rateCard' in update || (update.$set && 'rateCard' in update.$set);
+
+        if (hasRateCard) {
+            const priceFrom = getPriceFrom(
+                update.rateCard || (update.$set && update.$set.rateCard)
+            );
+
+            if (priceFrom === undefined) {
+                update.$unset = { ...update.$unset, priceFrom: 1 };
+            } else {
+                this.set('priceFrom', priceFrom);
+            }
+        }
+
+        return next();
+    });
+
+    // document middleware that keeps the searchable governrate names in sync
+    craftsmanProfileSchema.pre('save', function (next) {
+        if (this.isModified('governrate')) {
+            this.governrateNames = getGovernrateNames(this.governrate);
+        }
+
+        return next();
+    });
+
+    // query middleware that keeps the searchable governrate names in sync
+    craftsmanProfileSchema.pre('findOneAndUpdate', function (next) {
+        const update = this.getUpdate() || {};
+        const governrate =
+            update.governrate || (update.$set && update.$set.governrate);
+
+        if (governrate) {
+            this.set('governrateNames', getGovernrateNames(governrate));
+        }
+
+        return next();
+    });
+
+    // document middleware that copies the user's name to new profiles
+    craftsmanProfileSchema.pre('save', async function (next) {
+        if (this.isNew && !this.name) {
+            const user = await mongoose
+                .model('User')
+                .findById(this.userId)
+                .select('name');
+
+            if (user) this.name = user.name;
+        }
+
+        return next();
     });
 
     const CraftsmanProfile = mongoose.model(
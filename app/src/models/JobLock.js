@@ -0,0 +1,36 @@
+/**
+ * Job Lock Schema Module
+ * @module JobLockSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Model} - The Mongoose model for the Job Lock schema.
+ */
+
+/**
+ * Mongoose Job Lock Schema
+ * @typedef {object} JobLockSchema
+ * @property {string} _id - The name of the scheduled job.
+ * @property {string} lockedBy - The ID of the app instance running the job.
+ * @property {Date} lockedUntil - When the lock expires, so a crashed instance does not hold the job forever.
+ * @property {Date} lastRunAt - When the job last started, on any instance.
+ * @property {Date} lastFinishedAt - When the job last finished.
+ * @property {string} lastError - The error message of the last run, if it failed.
+ */
+
+/**
+ * Mongoose Job Lock Model
+ * @typedef {Model<JobLockSchema>} JobLock
+ */
+module.exports = (mongoose) => {
+    const jobLockSchema = mongoose.Schema({
+        _id: String,
+        lockedBy: String,
+        lockedUntil: Date,
+        lastRunAt: Date,
+        lastFinishedAt: Date,
+        lastError: String,
+    });
+
+    const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+    return JobLock;
+};
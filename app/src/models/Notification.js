@@ -11,6 +11,7 @@
  * @property {string} userId - The ID of the user associated with this notification (references User).
  * @property {string} contentType - The type of content for this notification (enum: 'message', 'booking', required).
  * @property {string} content - The content of the notification (required).
+ * @property {string} bookingId - The ID of the booking the notification is about.
  * @property {boolean} readStatus - Indicates if the notification has been read (default: false).
  * @property {Date} createdAt - The date when the notification was created (default: current date).
  */
@@ -34,13 +35,17 @@ module.exports = (mongoose) => {
             type: String,
             required: [true, 'please provide notification content'],
         },
+        bookingId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Booking',
+        },
         readStatus: {
             type: Boolean,
             default: false,
         },
         createdAt: {
             type: Date,
-            default: Date.now(),
+            default: Date.now,
         },
     });
 
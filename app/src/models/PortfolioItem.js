@@ -0,0 +1,73 @@
+/**
+ * Portfolio Item Schema Module
+ * @module PortfolioItemSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Model} - The Mongoose model for the Portfolio Item schema.
+ */
+
+/**
+ * Mongoose Portfolio Item Schema
+ * A photo gallery entry of a previous job done by a craftsman.
+ * @typedef {object} PortfolioItemSchema
+ * @property {string} profileId - The craftsman profile ID the item belongs to (required).
+ * @property {string[]} photos - The storage keys of the job photos (required, 1 to 10 photos).
+ * @property {string} caption - A short description of the job (max 300 characters).
+ * @property {string} service - The service ID of the job.
+ * @property {string} bookingId - The ID of the completed booking of the job.
+ * @property {string} projectId - The ID of the completed project of the job.
+ * @property {number} order - The position of the item in the portfolio, ascending (default: 0).
+ * @property {Date} createdAt - The date when the item was created (default: current date).
+ */
+
+/**
+ * Mongoose Portfolio Item Model
+ * @typedef {Model<PortfolioItemSchema>} PortfolioItem
+ */
+module.exports = (mongoose) => {
+    const portfolioItemSchema = mongoose.Schema({
+        profileId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'CraftsmanProfile',
+            required: [true, 'Portfolio item must belong to craftsman profile'],
+        },
+        photos: {
+            type: [String],
+            validate: [
+                (val) => val.length >= 1 && val.length <= 10,
+                'please provide between 1 and 10 photos',
+            ],
+        },
+        caption: {
+            type: String,
+            trim: true,
+            maxLength: [300, 'Caption should be 300 characters or less'],
+        },
+        service: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Service',
+        },
+        bookingId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Booking',
+        },
+        projectId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Project',
+        },
+        order: {
+            type: Number,
+            default: 0,
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    });
+
+    // Speed up listing a craftsman's portfolio in order
+    portfolioItemSchema.index({ profileId: 1, order: 1 });
+
+    const PortfolioItem = mongoose.model('PortfolioItem', portfolioItemSchema);
+
+    return PortfolioItem;
+};
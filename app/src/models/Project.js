@@ -2,6 +2,7 @@
  * Project Schema Module
  * @module ProjectSchema
  * @param {object} mongoose - The Mongoose instance.
+ * @param {object} dependencies - Shared sub-schemas (pointSchema) and reference data (governorates).
  * @returns {Model} - The Mongoose model for the Project schema.
  */
 
@@ -9,16 +10,27 @@
  * Mongoose Project Schema
  * @typedef {object} ProjectSchema
  * @property {string} clientId - The client's user ID associated with the project.
- * @property {string} title - The title of the project (required).
- * @property {string} description - The description of the project (required).
- * @property {string[]} photos - An array of photo filenames associated with the project.
+ * @property {string} title - The title of the project (required, at most 120 characters).
+ * @property {string} description - The description of the project (required, at most 5000 characters).
+ * @property {string[]} photos - The storage keys of the project photos (at most 10).
+ * @property {string} service - The ID of the service (trade) the project needs (required).
+ * @property {string} governrate - The code of the governrate where the project is (required, names are normalized to codes, e.g. 'Cairo' -> 'EG-C').
+ * @property {object} location - The location of the project in GeoJSON format.
+ * @property {object} budget - The budget range of the client in EGP.
+ * @property {number} budget.min - The lowest budget.
+ * @property {number} budget.max - The highest budget (not less than the lowest).
+ * @property {string} status - The status of the project (enum: 'Open', 'Assigned', 'Completed', 'Cancelled', default: 'Open'). Only open projects are on the job board.
+ * @property {Date} createdAt - The date and time the project was posted.
  */
 
 /**
  * Mongoose Project Model
  * @typedef {Model<ProjectSchema>} Project
  */
-module.exports = (mongoose) => {
+module.exports = (mongoose, dependencies) => {
+    const { pointSchema, governorates } = dependencies;
+    const { GOVERNORATE_CODES, normalizeGovernorate } = governorates;
+
     const projectSchema = mongoose.Schema({
         clientId: {
             type: mongoose.Schema.ObjectId,
@@ -26,15 +38,77 @@ module.exports = (mongoose) => {
         },
         title: {
             type: String,
-            require: [true, 'please provide title for project'],
+            trim: true,
+            required: [true, 'please provide title for project'],
+            maxlength: [120, 'Project titles must be at most 120 characters'],
         },
         description: {
             type: String,
-            require: [true, 'please provide description for project'],
+            trim: true,
+            required: [true, 'please provide description for project'],
+            maxlength: [
+                5000,
+                'Project descriptions must be at most 5000 characters',
+            ],
         },
         photos: [String],
+        service: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Service',
+            required: [true, 'please provide the service the project needs'],
+        },
+        governrate: {
+            type: String,
+            required: [true, 'please provide the governrate of the project'],
+            set: normalizeGovernorate,
+            enum: {
+                values: GOVERNORATE_CODES,
+                message: 'Please provide a valid Egyptian governorate',
+            },
+        },
+        location: {
+            // GeoJson
+            type: pointSchema,
+        },
+        budget: {
+            min: {
+                type: Number,
+                min: [0, 'The budget cannot be negative'],
+            },
+            max: {
+                type: Number,
+                min: [0, 'The budget cannot be negative'],
+                validate: [
+                    function (max) {
+                        return (
+                            typeof this.budget.min !== 'number' ||
+                            max >= this.budget.min
+                        );
+                    },
+                    'The highest budget cannot be less than the lowest',
+                ],
+            },
+        },
+        status: {
+            type: String,
+            enum: ['Open', 'Assigned', 'Completed', 'Cancelled'],
+            default: 'Open',
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
     });
 
+    // Speed up the job board: open projects of a service, latest first
+    projectSchema.index({ status: 1, service: 1, createdAt: -1 });
+
+    // Enable geospatial queries on the project's location
+    projectSchema.index({ location: '2dsphere' });
+
+    // Speed up listing the projects of a client
+    projectSchema.index({ clientId: 1, createdAt: -1 });
+
     const Project = mongoose.model('Project', projectSchema);
 
     return Project;
@@ -0,0 +1,104 @@
+/**
+ * Proposal Schema Module
+ * @module ProposalSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Model} - The Mongoose model for the Proposal schema.
+ */
+
+/**
+ * Mongoose Proposal Schema
+ * @typedef {object} ProposalSchema
+ * @property {string} projectId - The ID of the project the proposal bids on (required).
+ * @property {string} craftsmanId - The craftsman's user ID who made the proposal (required, one proposal per craftsman and project).
+ * @property {string} craftsmanProfile - The ID of the craftsman's profile, to compare ratings and reliability.
+ * @property {number} price - The price the craftsman asks for the project in EGP (required).
+ * @property {object} estimatedDuration - How long the craftsman expects the job to take.
+ * @property {number} estimatedDuration.value - The estimated duration (required).
+ * @property {string} estimatedDuration.unit - The unit of the estimated duration (enum: 'hours', 'days', 'weeks', default: 'days').
+ * @property {string} message - A message to the client (at most 2000 characters).
+ * @property {string} status - The status of the proposal (enum: 'Pending', 'Accepted', 'Declined', 'Withdrawn', 'Cancelled' once the booking of an accepted proposal is cancelled, default: 'Pending').
+ * @property {string} bookingId - The ID of the booking created when the proposal was accepted.
+ * @property {Date} createdAt - The date and time the proposal was made.
+ * @property {Date} updatedAt - The date and time the proposal was last changed.
+ * @property {Date} respondedAt - The date and time the client accepted or declined the proposal.
+ */
+
+/**
+ * Mongoose Proposal Model
+ * @typedef {Model<ProposalSchema>} Proposal
+ */
+module.exports = (mongoose) => {
+    const proposalSchema = mongoose.Schema({
+        projectId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Project',
+            required: [true, 'Proposal must be for a project'],
+        },
+        craftsmanId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+            required: [true, 'Proposal must belong to craftsman'],
+        },
+        craftsmanProfile: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'CraftsmanProfile',
+        },
+        price: {
+            type: Number,
+            required: [true, 'Please provide the price of the proposal'],
+            min: [0, 'The price cannot be negative'],
+        },
+        estimatedDuration: {
+            value: {
+                type: Number,
+                required: [true, 'Please provide the estimated duration'],
+                min: [0, 'The estimated duration cannot be negative'],
+            },
+            unit: {
+                type: String,
+                enum: {
+                    values: ['hours', 'days', 'weeks'],
+                    message:
+                        'The estimated duration must be in hours, days or weeks',
+                },
+                default: 'days',
+            },
+        },
+        message: {
+            type: String,
+            trim: true,
+            maxlength: [
+                2000,
+                'Proposal messages must be at most 2000 characters',
+            ],
+        },
+        status: {
+            type: String,
+            enum: ['Pending', 'Accepted', 'Declined', 'Withdrawn', 'Cancelled'],
+            default: 'Pending',
+        },
+        bookingId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Booking',
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        respondedAt: Date,
+    });
+
+    // One proposal per craftsman and project, also speeds up listing the proposals of a project
+    proposalSchema.index({ projectId: 1, craftsmanId: 1 }, { unique: true });
+
+    // Speed up listing the proposals of a craftsman
+    proposalSchema.index({ craftsmanId: 1, createdAt: -1 });
+
+    const Proposal = mongoose.model('Proposal', proposalSchema);
+
+    return Proposal;
+};
@@ -2,29 +2,89 @@
  * Review Schema Module
  * @module ReviewSchema
  * @param {object} mongoose - The Mongoose instance.
+ * @param {object} dependencies - The schema dependencies.
+ * @param {object} dependencies.ratings - The rating helpers computing the weighted average.
  * @returns {Model} - The Mongoose model for the Review schema.
  */
 
 /**
  * Mongoose Review Schema
  * @typedef {object} ReviewSchema
- * @property {string} review - The review text (required).
+ * @property {string} review - The review text (required, at most 2000 characters).
  * @property {number} rating - The rating for the review (required, must be between 0.0 and 5.0).
  * @property {Date} createdAt - The date when the review was created (default: current date).
+ * @property {Date} updatedAt - The date when the client last edited the review.
  * @property {string} clientId - The ID of the client who wrote the review (must be provided and reference a User).
  * @property {string} craftsmanId - The ID of the craftsman who the review is assigned to (must be provided and reference a User).
- * @property {string} projectId - The ID of the project related to the review (must be provided and reference a Project).
+ * @property {string} projectId - The ID of the project related to the review (must be provided and reference a Project, one review per project).
+ * @property {string} bookingId - The ID of the completed booking that made the client eligible to review.
+ * @property {object} reply - The craftsman's public reply to the review, one per review.
+ * @property {string} reply.text - The reply text (required, at most 1000 characters).
+ * @property {Date} reply.createdAt - The date when the craftsman replied.
+ * @property {Date} reply.updatedAt - The date when the craftsman last edited the reply.
+ * @property {object[]} reports - The reports of users flagging the review as abusive, one per user (not selected by default).
+ * @property {number} reportsCount - The number of reports on the review (default: 0).
+ * @property {string} status - Whether the review is shown (enum: 'Visible', 'Hidden', default: 'Visible'), hidden reviews are left out of the craftsman's ratings.
+ * @property {string} moderationStatus - Whether reports on the review wait for an admin (enum: 'Pending', 'Resolved').
+ * @property {string} moderatedBy - The admin's user ID who last hid or restored the review.
+ * @property {Date} moderatedAt - The date when the review was last hid or restored.
+ * @property {string} moderationNote - The admin's note on the moderation decision.
  */
 
 /**
  * Mongoose Review Model
  * @typedef {Model<ReviewSchema>} Review
  */
-module.exports = (mongoose) => {
+module.exports = (mongoose, { ratings }) => {
+    const reportSchema = mongoose.Schema({
+        userId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+            required: [true, 'Report must belong to user'],
+        },
+        reason: {
+            type: String,
+            enum: {
+                values: ['Spam', 'Offensive', 'Fake', 'Off-topic', 'Other'],
+                message:
+                    'Reason is either: Spam, Offensive, Fake, Off-topic or Other',
+            },
+            required: [true, 'Please provide the reason of the report'],
+        },
+        details: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Details must be at most 500 characters'],
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    });
+
+    const replySchema = mongoose.Schema(
+        {
+            text: {
+                type: String,
+                trim: true,
+                required: [true, 'Please provide your reply'],
+                maxlength: [1000, 'Reply must be at most 1000 characters'],
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now,
+            },
+            updatedAt: Date,
+        },
+        { _id: false }
+    );
+
     const reviewSchema = mongoose.Schema({
         review: {
             type: String,
+            trim: true,
             required: [true, 'please provide your review'],
+            maxlength: [2000, 'Review must be at most 2000 characters'],
         },
         rating: {
             type: Number,
@@ -35,8 +95,9 @@ module.exports = (mongoose) => {
         },
         createdAt: {
             type: Date,
-            default: Date.now(),
+            default: Date.now,
         },
+        updatedAt: Date,
         clientId: {
             type: mongoose.Schema.ObjectId,
             ref: 'User',
@@ -52,6 +113,145 @@ module.exports = (mongoose) => {
             ref: 'Project',
             required: [true, 'Review must be related to project'],
         },
+        bookingId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'Booking',
+        },
+        reply: replySchema,
+        reports: {
+            type: [reportSchema],
+            select: false,
+        },
+        reportsCount: {
+            type: Number,
+            default: 0,
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ['Visible', 'Hidden'],
+                message: 'Status is either: Visible or Hidden',
+            },
+            default: 'Visible',
+        },
+        moderationStatus: {
+            type: String,
+            enum: {
+                values: ['Pending', 'Resolved'],
+                message: 'Moderation status is either: Pending or Resolved',
+            },
+        },
+        moderatedBy: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+        },
+        moderatedAt: Date,
+        moderationNote: String,
+    });
+
+    // A project can only be reviewed once
+    reviewSchema.index({ projectId: 1 }, { unique: true });
+
+    // Speed up listing the reviews of a craftsman, latest first
+    reviewSchema.index({ craftsmanId: 1, createdAt: -1 });
+
+    // Speed up listing the moderation queue
+    reviewSchema.index({ moderationStatus: 1, reportsCount: -1 });
+
+    // Groups the shown reviews of craftsmen into their aggregates, the newest reviews first
+    const ratingsPipeline = (match) => [
+        { $match: { ...match, status: { $ne: 'Hidden' } } },
+        { $sort: { createdAt: -1 } },
+        {
+            $group: {
+                _id: '$craftsmanId',
+                ratingsQuantity: { $sum: 1 },
+                ratingsAverage: { $avg: '$rating' },
+                reviews: { $push: '$_id' },
+            },
+        },
+    ];
+
+    // The aggregates of a craftsman without reviews
+    const NO_RATINGS = {
+        ratingsAverage: 0,
+        ratingsQuantity: 0,
+        ratingsWeighted: 0,
+        reviews: [],
+    };
+
+    const toProfileRatings = ({
+        ratingsAverage,
+        ratingsQuantity,
+        reviews,
+    }) => ({
+        ratingsAverage: Math.round(ratingsAverage * 10) / 10,
+        ratingsQuantity,
+        ratingsWeighted: ratings.weightedRating(
+            ratingsAverage,
+            ratingsQuantity
+        ),
+        reviews,
+    });
+
+    /**
+     * Recomputes the rating aggregates (average, quantity, weighted average and
+     * review IDs) on the profile of a craftsman from their reviews.
+     *
+     * @param {ObjectId|string} craftsmanId - The craftsman's user ID.
+     * @returns {Promise<void>}
+     */
+    reviewSchema.statics.calcAverageRatings = async function (craftsmanId) {
+        const [stats] = await this.aggregate(
+            ratingsPipeline({
+                craftsmanId: new mongoose.Types.ObjectId(craftsmanId),
+            })
+        );
+
+        await mongoose
+            .model('CraftsmanProfile')
+            .updateOne(
+                { userId: craftsmanId },
+                stats ? toProfileRatings(stats) : NO_RATINGS
+            );
+    };
+
+    /**
+     * Recomputes the rating aggregates of every craftsman from scratch, e.g.
+     * after importing reviews or changing the weighted average prior.
+     *
+     * @returns {Promise<number>} The number of craftsmen with reviews.
+     */
+    reviewSchema.statics.rebuildAllRatings = async function () {
+        const CraftsmanProfile = mongoose.model('CraftsmanProfile');
+        const allStats = await this.aggregate(ratingsPipeline({}));
+
+        await CraftsmanProfile.updateMany(
+            { userId: { $nin: allStats.map((stats) => stats._id) } },
+            NO_RATINGS
+        );
+
+        if (allStats.length) {
+            await CraftsmanProfile.bulkWrite(
+                allStats.map((stats) => ({
+                    updateOne: {
+                        filter: { userId: stats._id },
+                        update: toProfileRatings(stats),
+                    },
+                }))
+            );
+        }
+
+        return allStats.length;
+    };
+
+    // keep the craftsman's rating aggregates up to date with their reviews
+    reviewSchema.post('save', async function () {
+        await this.constructor.calcAverageRatings(this.craftsmanId);
+    });
+
+    reviewSchema.post(/^findOneAnd/, async (doc) => {
+        if (doc) await doc.constructor.calcAverageRatings(doc.craftsmanId);
     });
 
     const Review = mongoose.model('Review', reviewSchema);
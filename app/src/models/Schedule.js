@@ -0,0 +1,158 @@
+/**
+ * Schedule Schema Module
+ * @module ScheduleSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Model} - The Mongoose model for the Schedule schema.
+ */
+
+/**
+ * Mongoose Schedule Schema
+ * @typedef {object} ScheduleSchema
+ * @property {string} craftsmanId - The craftsman's user ID owning the schedule (required, unique).
+ * @property {string} timezone - The IANA time zone the working hours are in (default: 'Africa/Cairo').
+ * @property {number} slotDuration - The length of a bookable slot in minutes (default: 120).
+ * @property {object[]} weeklyHours - The recurring working hours, e.g. Sun-Thu 09:00-17:00.
+ * @property {number} weeklyHours.day - The day of the week (0 = Sunday ... 6 = Saturday).
+ * @property {string} weeklyHours.start - The start time ('HH:mm').
+ * @property {string} weeklyHours.end - The end time ('HH:mm', after the start).
+ * @property {object[]} exceptions - Dates that replace the weekly hours (holidays, days off, special hours).
+ * @property {string} exceptions.date - The date ('YYYY-MM-DD', unique).
+ * @property {object[]} exceptions.hours - The working hours of that date, none for a day off.
+ * @property {string} exceptions.reason - An optional note (e.g. 'Eid al-Adha').
+ * @property {Date} updatedAt - The date and time the schedule was last changed.
+ */
+
+/**
+ * Mongoose Schedule Model
+ * @typedef {Model<ScheduleSchema>} Schedule
+ */
+module.exports = (mongoose) => {
+    const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const DATE_REGEX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+    /**
+     * Checks that working hours are valid and do not overlap.
+     *
+     * @param {object[]} hours - The working hours.
+     * @returns {boolean} Whether every interval ends after it starts and none overlap.
+     */
+    const isValidHours = (hours) => {
+        const sorted = [...hours].sort(
+            (a, b) =>
+                (a.day || 0) - (b.day || 0) || (a.start < b.start ? -1 : 1)
+        );
+
+        return sorted.every(
+            (interval, i) =>
+                interval.start < interval.end &&
+                (i === 0 ||
+                    sorted[i - 1].day !== interval.day ||
+                    sorted[i - 1].end <= interval.start)
+        );
+    };
+
+    const timeField = (name) => ({
+        type: String,
+        required: [true, `please provide the ${name} time`],
+        match: [TIME_REGEX, `The ${name} time must be in HH:mm format`],
+    });
+
+    const hoursSchema = mongoose.Schema(
+        {
+            start: timeField('start'),
+            end: timeField('end'),
+        },
+        { _id: false }
+    );
+
+    const weeklyHoursSchema = mongoose.Schema(
+        {
+            day: {
+                type: Number,
+                required: [true, 'please provide the day of the week'],
+                min: [0, 'Days of the week are 0 (Sunday) to 6 (Saturday)'],
+                max: [6, 'Days of the week are 0 (Sunday) to 6 (Saturday)'],
+            },
+            start: timeField('start'),
+            end: timeField('end'),
+        },
+        { _id: false }
+    );
+
+    const exceptionSchema = mongoose.Schema(
+        {
+            date: {
+                type: String,
+                required: [true, 'please provide the exception date'],
+                match: [DATE_REGEX, 'The date must be in YYYY-MM-DD format'],
+            },
+            hours: {
+                type: [hoursSchema],
+                validate: [
+                    isValidHours,
+                    'Working hours must end after they start and must not overlap',
+                ],
+            },
+            reason: {
+                type: String,
+                trim: true,
+                maxlength: [100, 'The reason must be at most 100 characters'],
+            },
+        },
+        { _id: false }
+    );
+
+    const scheduleSchema = mongoose.Schema({
+        craftsmanId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+            required: [true, 'Schedule must belong to craftsman'],
+            unique: true,
+        },
+        timezone: {
+            type: String,
+            default: 'Africa/Cairo',
+            validate: [
+                (val) => {
+                    try {
+                        Intl.DateTimeFormat(undefined, { timeZone: val });
+                        return true;
+                    } catch (err) {
+                        return false;
+                    }
+                },
+                'Please provide a valid time zone',
+            ],
+        },
+        slotDuration: {
+            type: Number,
+            default: 120,
+            min: [15, 'Slots must be at least 15 minutes'],
+            max: [720, 'Slots must be at most 12 hours'],
+        },
+        weeklyHours: {
+            type: [weeklyHoursSchema],
+            validate: [
+                isValidHours,
+                'Working hours must end after they start and must not overlap',
+            ],
+        },
+        exceptions: {
+            type: [exceptionSchema],
+            validate: [
+                (val) =>
+                    new Set(val.map((exception) => exception.date)).size ===
+                    val.length,
+                'Each date can only have one exception',
+            ],
+        },
+        updatedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    });
+
+    const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+    return Schedule;
+};
@@ -0,0 +1,68 @@
+/**
+ * Service Schema Module
+ * @module ServiceSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Model} - The Mongoose model for the Service schema.
+ */
+
+/**
+ * Mongoose Service Schema
+ * A service is a trade offered by craftsmen (e.g. plumbing, electrical, carpentry).
+ * @typedef {object} ServiceSchema
+ * @property {string} name - The English name of the service (required, unique).
+ * @property {string} nameAr - The Arabic name of the service.
+ * @property {string} slug - The URL friendly identifier of the service (generated from name, unique).
+ * @property {string} category - The category the service is grouped under (required, e.g. 'Maintenance').
+ * @property {string} description - A short description of the service.
+ * @property {boolean} isActive - Indicates if craftsmen can offer the service (default: true).
+ */
+
+/**
+ * Mongoose Service Model
+ * @typedef {Model<ServiceSchema>} Service
+ */
+module.exports = (mongoose) => {
+    const serviceSchema = mongoose.Schema({
+        name: {
+            type: String,
+            required: [true, 'please provide service name'],
+            unique: true,
+            trim: true,
+        },
+        nameAr: {
+            type: String,
+            trim: true,
+        },
+        slug: {
+            type: String,
+            unique: true,
+            lowercase: true,
+        },
+        category: {
+            type: String,
+            required: [true, 'please provide service category'],
+            trim: true,
+        },
+        description: String,
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    });
+
+    // document middleware that generates the slug from the service name
+    serviceSchema.pre('validate', function (next) {
+        if (this.isModified('name')) {
+            this.slug = this.name
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/(^-|-$)/g, '');
+        }
+
+        return next();
+    });
+
+    const Service = mongoose.model('Service', serviceSchema);
+
+    return Service;
+};
@@ -3,7 +3,7 @@
  * @typedef {import('mongoose').Model} User
  * @property {string} name - The user's name.
  * @property {string} email - The user's email address (must be unique and in valid email format).
- * @property {string} photo - The user's profile photo filename (default: 'default.jpg').
+ * @property {string} photo - The storage key of the user's profile photo, served from `/uploads/<key>` (default: 'default.jpg').
  * @property {string} phone - The user's phone number (must be in valid mobile phone format).
  * @property {string} role - The user's role (enum: 'client', 'craftsman', 'admin', default: 'client').
  * @property {string} password - The user's password (min length: 6 characters, not selected by default).
@@ -110,5 +110,14 @@ module.exports = (mongoose, libraries) => {
         this.createdAt = undefined;
     });
 
+    // keep the name copy on the craftsman profile (used by full-text search) in sync
+    userSchema.post('findOneAndUpdate', async (doc) => {
+        if (doc && doc.role === 'craftsman') {
+            await mongoose
+                .model('CraftsmanProfile')
+                .updateOne({ userId: doc._id }, { name: doc.name });
+        }
+    });
+
     return mongoose.model('User', userSchema);
 };
@@ -0,0 +1,90 @@
+/**
+ * Verification Schema Module
+ * @module VerificationSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Model} - The Mongoose model for the Verification schema.
+ */
+
+/**
+ * Mongoose Verification Schema
+ * An identity verification request submitted by a craftsman and reviewed by an admin.
+ * @typedef {object} VerificationSchema
+ * @property {string} craftsmanId - The craftsman's user ID who submitted the request (required).
+ * @property {string} profileId - The craftsman profile ID to verify (required).
+ * @property {string[]} nationalIdImages - The private storage keys of the national ID images, front and optionally back (required).
+ * @property {string} status - The status of the request (enum: 'Pending', 'Approved', 'Rejected', default: 'Pending').
+ * @property {string} reason - The reason given by the admin when rejecting the request.
+ * @property {string} reviewedBy - The admin's user ID who reviewed the request.
+ * @property {Date} reviewedAt - The date when the request was reviewed.
+ * @property {Date} submittedAt - The date when the request was submitted (default: current date).
+ * @property {object[]} history - Every status change with its timestamp and the user who made it.
+ */
+
+/**
+ * Mongoose Verification Model
+ * @typedef {Model<VerificationSchema>} Verification
+ */
+module.exports = (mongoose) => {
+    const verificationSchema = mongoose.Schema({
+        craftsmanId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+            required: [true, 'Verification must belong to craftsman'],
+        },
+        profileId: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'CraftsmanProfile',
+            required: [true, 'Verification must belong to craftsman profile'],
+        },
+        nationalIdImages: {
+            type: [String],
+            validate: [
+                (val) => val.length >= 1 && val.length <= 2,
+                'please provide the front and back images of your national ID',
+            ],
+        },
+        status: {
+            type: String,
+            enum: ['Pending', 'Approved', 'Rejected'],
+            default: 'Pending',
+        },
+        reason: String,
+        reviewedBy: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+        },
+        reviewedAt: Date,
+        submittedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        history: [
+            {
+                _id: false,
+                status: String,
+                reason: String,
+                changedBy: {
+                    type: mongoose.Schema.ObjectId,
+                    ref: 'User',
+                },
+                changedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
+    });
+
+    // A craftsman can only have one request waiting for review
+    verificationSchema.index(
+        { craftsmanId: 1 },
+        { unique: true, partialFilterExpression: { status: 'Pending' } }
+    );
+
+    // Speed up the admin review queue
+    verificationSchema.index({ status: 1, submittedAt: 1 });
+
+    const Verification = mongoose.model('Verification', verificationSchema);
+
+    return Verification;
+};
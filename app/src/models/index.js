@@ -11,10 +11,24 @@
  * @typedef {import('mongoose').Model} Chat
  * @typedef {import('mongoose').Model} Message
  * @typedef {import('mongoose').Model} Notification
+ * @typedef {import('mongoose').Model} Service
+ * @typedef {import('mongoose').Model} Verification
+ * @typedef {import('mongoose').Model} PortfolioItem
+ * @typedef {import('mongoose').Model} Schedule
+ * @typedef {import('mongoose').Model} BookingSeries
+ * @typedef {import('mongoose').Model} JobLock
+ * @typedef {import('mongoose').Model} Proposal
  */
 const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
+const governorates = require('../utils/governorates');
+const ratings = require('../utils/ratings');
+
+// Shared sub-schemas
+const pointSchema = require('./schemas/pointSchema')(mongoose);
+const rateCardSchema = require('./schemas/rateCardSchema')(mongoose);
+const quoteSchema = require('./schemas/quoteSchema')(mongoose);
 
 //Creates and exports the User model.
 const User = require('./User')(mongoose, { validator, bcrypt });
@@ -23,19 +37,29 @@ const User = require('./User')(mongoose, { validator, bcrypt });
 const ClientProfile = require('./ClientProfile')(mongoose);
 
 //Creates and exports the CraftsmanProfile model.
-const CraftsmanProfile = require('./CraftsmanProfile')(mongoose);
+const CraftsmanProfile = require('./CraftsmanProfile')(mongoose, {
+    pointSchema,
+    rateCardSchema,
+    governorates,
+});
 
 //Creates and exports the Availability model.
 const Availability = require('./Availability')(mongoose);
 
 //Creates and exports the Booking model.
-const Booking = require('./Booking')(mongoose, validator);
+const Booking = require('./Booking')(mongoose, validator, {
+    pointSchema,
+    quoteSchema,
+});
 
 //Creates and exports the Project model.
-const Project = require('./Project')(mongoose);
+const Project = require('./Project')(mongoose, {
+    pointSchema,
+    governorates,
+});
 
 //Creates and exports the Review model.
-const Review = require('./Review')(mongoose);
+const Review = require('./Review')(mongoose, { ratings });
 
 //Creates and exports the Chat model.
 const Chat = require('./Chat')(mongoose);
@@ -46,6 +70,29 @@ const Message = require('./Message')(mongoose);
 //Creates and exports the Notification model.
 const Notification = require('./Notification')(mongoose);
 
+//Creates and exports the Service model.
+const Service = require('./Service')(mongoose);
+
+//Creates and exports the Verification model.
+const Verification = require('./Verification')(mongoose);
+
+//Creates and exports the PortfolioItem model.
+const PortfolioItem = require('./PortfolioItem')(mongoose);
+
+//Creates and exports the Schedule model.
+const Schedule = require('./Schedule')(mongoose);
+
+//Creates and exports the BookingSeries model.
+const BookingSeries = require('./BookingSeries')(mongoose, validator, {
+    pointSchema,
+});
+
+//Creates and exports the JobLock model.
+const JobLock = require('./JobLock')(mongoose);
+
+//Creates and exports the Proposal model.
+const Proposal = require('./Proposal')(mongoose);
+
 module.exports = {
     User,
     ClientProfile,
@@ -57,4 +104,11 @@ module.exports = {
     Chat,
     Message,
     Notification,
+    Service,
+    Verification,
+    PortfolioItem,
+    Schedule,
+    BookingSeries,
+    JobLock,
+    Proposal,
 };
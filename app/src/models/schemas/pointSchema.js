@@ -0,0 +1,38 @@
+/**
+ * GeoJSON Point Schema Module
+ * @module PointSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Schema} - A reusable Mongoose sub-schema for GeoJSON points.
+ */
+
+/**
+ * Mongoose GeoJSON Point Schema
+ * @typedef {object} PointSchema
+ * @property {string} type - The type of GeoJSON location (always 'Point').
+ * @property {number[]} coordinates - The coordinates [longitude, latitude] of the location (required).
+ *
+ * Used as a single nested path so documents without a location simply omit
+ * the field, which keeps them valid for `2dsphere` indexes.
+ */
+module.exports = (mongoose) =>
+    mongoose.Schema(
+        {
+            type: {
+                type: String,
+                default: 'Point',
+                enum: ['Point'],
+            },
+            coordinates: {
+                type: [Number],
+                required: [true, 'please provide location coordinates'],
+                validate: [
+                    (val) =>
+                        val.length === 2 &&
+                        Math.abs(val[0]) <= 180 &&
+                        Math.abs(val[1]) <= 90,
+                    'Location coordinates must be [longitude, latitude]',
+                ],
+            },
+        },
+        { _id: false }
+    );
@@ -0,0 +1,101 @@
+/**
+ * Quote Schema Module
+ * @module QuoteSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Schema} - A reusable Mongoose sub-schema for the price quotes of a booking.
+ */
+
+/**
+ * Mongoose Quote Schema
+ * @typedef {object} QuoteSchema
+ * @property {object[]} items - The line items of the quote (at least one, at most 50).
+ * @property {string} items.description - What the line is for, e.g. materials or labour (required).
+ * @property {number} items.quantity - How many units the line is for (default: 1).
+ * @property {number} items.unitPrice - The price of a unit in EGP (required).
+ * @property {number} total - The total of the line items in EGP.
+ * @property {string} note - A message that comes with the quote.
+ * @property {Date} validUntil - Until when the quote can be accepted (required).
+ * @property {string} proposedBy - The ID of the user who made the quote.
+ * @property {string} role - Who made the quote (enum: 'craftsman' for quotes, 'client' for counter offers).
+ * @property {Date} proposedAt - When the quote was made (default: current date and time).
+ * @property {string} status - The outcome of the quote (enum: 'Pending', 'Accepted', 'Rejected', 'Countered', 'Revised', 'Expired', 'Withdrawn', default: 'Pending').
+ * @property {Date} closedAt - When the quote got its outcome.
+ */
+module.exports = (mongoose) => {
+    const quoteItemSchema = mongoose.Schema(
+        {
+            description: {
+                type: String,
+                trim: true,
+                required: [true, 'Quote items must have a description'],
+                maxlength: [
+                    200,
+                    'Quote item descriptions must be at most 200 characters',
+                ],
+            },
+            quantity: {
+                type: Number,
+                default: 1,
+                validate: [
+                    (quantity) => quantity > 0,
+                    'Quote item quantities must be positive',
+                ],
+            },
+            unitPrice: {
+                type: Number,
+                required: [true, 'Quote items must have a unit price'],
+                min: [0, 'Quote item prices cannot be negative'],
+            },
+        },
+        { _id: false }
+    );
+
+    return mongoose.Schema({
+        items: {
+            type: [quoteItemSchema],
+            validate: [
+                (items) => items.length > 0 && items.length <= 50,
+                'A quote must have between 1 and 50 items',
+            ],
+        },
+        total: {
+            type: Number,
+            min: [0, 'The total of a quote cannot be negative'],
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Quote notes must be at most 1000 characters'],
+        },
+        validUntil: {
+            type: Date,
+            required: [true, 'A quote must have a validity period'],
+        },
+        proposedBy: {
+            type: mongoose.Schema.ObjectId,
+            ref: 'User',
+        },
+        role: {
+            type: String,
+            enum: ['craftsman', 'client'],
+        },
+        proposedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        status: {
+            type: String,
+            enum: [
+                'Pending',
+                'Accepted',
+                'Rejected',
+                'Countered',
+                'Revised',
+                'Expired',
+                'Withdrawn',
+            ],
+            default: 'Pending',
+        },
+        closedAt: Date,
+    });
+};
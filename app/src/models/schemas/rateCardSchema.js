@@ -0,0 +1,63 @@
+/**
+ * Rate Card Schema Module
+ * @module RateCardSchema
+ * @param {object} mongoose - The Mongoose instance.
+ * @returns {Schema} - A reusable Mongoose sub-schema for craftsman rate cards.
+ */
+
+/**
+ * Mongoose Rate Card Schema
+ * @typedef {object} RateCardSchema
+ * @property {number} hourlyRate - The price of an hour of work in EGP.
+ * @property {number} callOutFee - The minimum price of any visit in EGP.
+ * @property {number} inspectionFee - The price of inspecting a job before quoting in EGP.
+ * @property {number} freeTravelKm - How many kilometers the craftsman travels for free (default: the platform's).
+ * @property {number} travelFeePerKm - The price of every kilometer after the free ones in EGP (default: the platform's).
+ * @property {object[]} services - Fixed prices per service type.
+ * @property {string} services.service - The ID of the service (required, unique per rate card).
+ * @property {number} services.price - The fixed price of the service in EGP (required).
+ */
+module.exports = (mongoose) => {
+    const price = (name) => ({
+        type: Number,
+        min: [0, `${name} cannot be negative`],
+    });
+
+    const rateCardLineSchema = mongoose.Schema(
+        {
+            service: {
+                type: mongoose.Schema.ObjectId,
+                ref: 'Service',
+                required: [true, 'Rate card lines must have a service'],
+            },
+            price: {
+                ...price('Service price'),
+                required: [true, 'Rate card lines must have a price'],
+            },
+        },
+        { _id: false }
+    );
+
+    return mongoose.Schema(
+        {
+            hourlyRate: price('Hourly rate'),
+            callOutFee: price('Call-out fee'),
+            inspectionFee: price('Inspection fee'),
+            freeTravelKm: {
+                type: Number,
+                min: [0, 'Free travel distance cannot be negative'],
+            },
+            travelFeePerKm: price('Travel fee per km'),
+            services: {
+                type: [rateCardLineSchema],
+                validate: [
+                    (lines) =>
+                        new Set(lines.map((line) => `${line.service}`)).size ===
+                        lines.length,
+                    'Each service can only be priced once',
+                ],
+            },
+        },
+        { _id: false }
+    );
+};
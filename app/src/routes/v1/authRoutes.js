@@ -30,6 +30,13 @@ module.exports = (dependencies) => {
     router.use(middlewares.authMiddleware.protect);
 
     router.route('/update_me').patch(authController.updateMe);
+    router.route('/update_photo').patch(
+        middlewares.uploadImages('photo', {
+            folder: 'users',
+            preset: 'avatar',
+        }),
+        authController.updatePhoto
+    );
     router.route('/update_password').patch(authController.updatePassword);
     router.route('/me').get(authController.getMe);
     router.route('/logout').get(authController.logout);
@@ -0,0 +1,106 @@
+/**
+ * Booking Routes Module
+ * @module routes/v1/bookingRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.bookingController - The controller object with booking-related methods.
+ * @param {Object} dependencies.calendarController - The controller object with calendar export methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with booking-related routes.
+ */
+module.exports = (dependencies) => {
+    const { bookingController, calendarController, Router, middlewares } =
+        dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Fields a client may set when booking
+    const bookingFields = [
+        'timeSlotId',
+        'serviceId',
+        'projectId',
+        'clientPhone',
+        'clientLocation',
+        'clientAddress',
+        'paymentMethod',
+    ];
+
+    // Protect routes, bookings are only visible to the users taking part
+    router.use(protect);
+
+    // Define routes for booking operations
+    router
+        .route('/')
+        .get(
+            bookingController.setBookingFilter,
+            bookingController.getMyBookings
+        )
+        .post(
+            authorize('client'),
+            middlewares.filterBody(...bookingFields),
+            bookingController.createBooking
+        );
+    router.route('/:id').get(bookingController.getBooking);
+    router.route('/:id/ics').get(calendarController.downloadBooking);
+
+    // Define routes for status transitions, each guarded by the roles allowed to make it
+    router
+        .route('/:id/confirm')
+        .patch(authorize('craftsman'), bookingController.confirmBooking);
+    router
+        .route('/:id/start')
+        .patch(authorize('craftsman'), bookingController.startBooking);
+    router
+        .route('/:id/complete')
+        .patch(authorize('craftsman'), bookingController.completeBooking);
+    router
+        .route('/:id/cancellation')
+        .get(
+            authorize('client', 'craftsman', 'admin'),
+            bookingController.getCancellationQuote
+        );
+    router
+        .route('/:id/cancel')
+        .patch(
+            authorize('client', 'craftsman', 'admin'),
+            bookingController.cancelBooking
+        );
+
+    // Define routes for moving a booking to another slot, agreed by both parties
+    router
+        .route('/:id/reschedule')
+        .post(
+            authorize('client', 'craftsman'),
+            middlewares.filterBody('timeSlotId'),
+            bookingController.proposeReschedule
+        );
+    router
+        .route('/:id/reschedule/accept')
+        .patch(
+            authorize('client', 'craftsman'),
+            bookingController.acceptReschedule
+        );
+    router
+        .route('/:id/reschedule/decline')
+        .patch(
+            authorize('client', 'craftsman'),
+            bookingController.declineReschedule
+        );
+
+    // Define routes for negotiating the fees, the accepted quote locks them
+    router
+        .route('/:id/quotes')
+        .post(
+            authorize('client', 'craftsman'),
+            middlewares.filterBody('items', 'validForHours', 'note'),
+            bookingController.submitQuote
+        );
+    router
+        .route('/:id/quotes/accept')
+        .patch(authorize('client', 'craftsman'), bookingController.acceptQuote);
+    router
+        .route('/:id/quotes/reject')
+        .patch(authorize('client', 'craftsman'), bookingController.rejectQuote);
+
+    return router;
+};
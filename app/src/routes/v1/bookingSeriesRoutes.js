@@ -0,0 +1,59 @@
+/**
+ * Booking Series Routes Module
+ * @module routes/v1/bookingSeriesRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.bookingSeriesController - The controller object with recurring booking methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with booking series-related routes.
+ */
+module.exports = (dependencies) => {
+    const { bookingSeriesController, Router, middlewares } = dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Fields a client may set when booking a series
+    const seriesFields = [
+        'craftsmanId',
+        'recurrence',
+        'serviceId',
+        'projectId',
+        'clientPhone',
+        'clientLocation',
+        'clientAddress',
+        'paymentMethod',
+    ];
+
+    // Protect routes, series are only visible to the users taking part
+    router.use(protect);
+
+    // Define routes for booking series operations
+    router
+        .route('/')
+        .get(
+            bookingSeriesController.setSeriesFilter,
+            bookingSeriesController.getMySeries
+        )
+        .post(
+            authorize('client'),
+            middlewares.filterBody(...seriesFields),
+            bookingSeriesController.createSeries
+        );
+    router.route('/:id').get(bookingSeriesController.getSeries);
+
+    // Define routes for cancelling a whole series or one of its occurrences
+    router
+        .route('/:id/cancel')
+        .patch(
+            authorize('client', 'craftsman', 'admin'),
+            bookingSeriesController.cancelSeries
+        );
+    router
+        .route('/:id/occurrences/:occurrenceId/cancel')
+        .patch(
+            authorize('client', 'craftsman', 'admin'),
+            bookingSeriesController.cancelOccurrence
+        );
+
+    return router;
+};
@@ -0,0 +1,28 @@
+/**
+ * Catalog Routes Module
+ * @module routes/v1/catalogRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.catalogController - The controller object with service catalog methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with service catalog routes.
+ */
+module.exports = (dependencies) => {
+    const { catalogController, Router, middlewares } = dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Define routes for service catalog operations
+    router
+        .route('/')
+        .get(catalogController.getAllServices)
+        .post(protect, authorize('admin'), catalogController.createService);
+
+    router
+        .route('/:id')
+        .get(catalogController.getServiceById)
+        .patch(protect, authorize('admin'), catalogController.updateService)
+        .delete(protect, authorize('admin'), catalogController.deleteService);
+
+    return router;
+};
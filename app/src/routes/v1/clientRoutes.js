@@ -0,0 +1,29 @@
+/**
+ * Client Routes Module
+ * @module routes/v1/clientRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.clientController - The controller object with client-related methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with client-related routes.
+ */
+module.exports = (dependencies) => {
+    const { clientController, Router, middlewares } = dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Protect routes, they all belong to the authenticated client
+    router.use(protect, authorize('client'));
+
+    // Define routes for the client's own profile and favorites
+    router.route('/me').get(clientController.getMyProfile);
+    router
+        .route('/me/favorites')
+        .get(clientController.getMyFavorites)
+        .post(clientController.addFavorite);
+    router
+        .route('/me/favorites/:craftsmanId')
+        .delete(clientController.removeFavorite);
+
+    return router;
+};
@@ -0,0 +1,185 @@
+/**
+ * Craftsman Routes Module
+ * @module routes/v1/craftsmanRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.craftsmanController - The controller object with craftsman-related methods.
+ * @param {Object} dependencies.verificationController - The controller object with identity verification methods.
+ * @param {Object} dependencies.portfolioController - The controller object with portfolio methods.
+ * @param {Object} dependencies.availabilityController - The controller object with schedule and slot methods.
+ * @param {Object} dependencies.calendarController - The controller object with calendar feed methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with craftsman-related routes.
+ */
+module.exports = (dependencies) => {
+    const {
+        craftsmanController,
+        verificationController,
+        portfolioController,
+        availabilityController,
+        calendarController,
+        Router,
+        middlewares,
+    } = dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Fields a craftsman may change on their own profile, and admins on any profile
+    // (verification and ratings only change through their own workflows)
+    const editableProfileFields = [
+        'governrate',
+        'about',
+        'location',
+        'services',
+        'rateCard',
+        'maxTravelKm',
+    ];
+
+    // Define routes for the authenticated craftsman's own profile
+    router
+        .route('/me')
+        .get(protect, authorize('craftsman'), craftsmanController.getMyProfile)
+        .patch(
+            protect,
+            authorize('craftsman'),
+            middlewares.filterBody(...editableProfileFields),
+            craftsmanController.updateMyProfile
+        );
+
+    router
+        .route('/me/verification')
+        .get(
+            protect,
+            authorize('craftsman'),
+            verificationController.getMyVerification
+        )
+        .post(
+            protect,
+            authorize('craftsman'),
+            middlewares.uploadImages('nationalIdImages', {
+                folder: 'verifications',
+                maxCount: 2,
+                preset: 'document',
+                visibility: 'private',
+            }),
+            verificationController.submitVerification
+        );
+
+    router
+        .route('/me/schedule')
+        .get(
+            protect,
+            authorize('craftsman'),
+            availabilityController.getMySchedule
+        )
+        .put(
+            protect,
+            authorize('craftsman'),
+            middlewares.filterBody(
+                'timezone',
+                'slotDuration',
+                'weeklyHours',
+                'exceptions'
+            ),
+            availabilityController.updateMySchedule
+        );
+
+    // Calendar feeds are fetched by calendar apps, the secret token replaces authentication
+    router
+        .route('/me/calendar')
+        .post(protect, authorize('craftsman'), calendarController.createMyFeed);
+    router
+        .route('/calendar/:token.ics')
+        .get(calendarController.getCraftsmanFeed);
+
+    // Fields a craftsman may set on their portfolio items
+    const editablePortfolioFields = [
+        'photos',
+        'caption',
+        'service',
+        'bookingId',
+        'projectId',
+    ];
+
+    // Portfolio photos are uploaded as multipart `photos` files
+    const uploadPortfolioPhotos = middlewares.uploadImages('photos', {
+        folder: 'portfolio',
+        maxCount: 10,
+    });
+
+    router
+        .route('/me/portfolio')
+        .post(
+            protect,
+            authorize('craftsman'),
+            uploadPortfolioPhotos,
+            middlewares.filterBody(...editablePortfolioFields),
+            portfolioController.createMyItem
+        );
+
+    router
+        .route('/me/portfolio/order')
+        .patch(
+            protect,
+            authorize('craftsman'),
+            portfolioController.reorderMyItems
+        );
+
+    router
+        .route('/me/portfolio/:itemId')
+        .patch(
+            protect,
+            authorize('craftsman'),
+            uploadPortfolioPhotos,
+            middlewares.filterBody(...editablePortfolioFields),
+            portfolioController.updateMyItem
+        )
+        .delete(
+            protect,
+            authorize('craftsman'),
+            portfolioController.deleteMyItem
+        );
+
+    // Define routes for craftsman profile operations
+    router
+        .route('/')
+        .get(
+            craftsmanController.setSearchFilter,
+            craftsmanController.getAllCraftsmen
+        )
+        .post(
+            protect,
+            authorize('craftsman', 'admin'),
+            middlewares.filterBody('userId', ...editableProfileFields),
+            craftsmanController.setProfileUser,
+            craftsmanController.createCraftsman
+        );
+
+    router
+        .route('/near')
+        .get(
+            craftsmanController.setSearchFilter,
+            craftsmanController.getCraftsmenNear
+        );
+
+    router
+        .route('/:id')
+        .get(craftsmanController.getCraftsmanById)
+        .patch(
+            protect,
+            authorize('admin'),
+            middlewares.filterBody(...editableProfileFields),
+            craftsmanController.updateCraftsman
+        );
+
+    router.route('/:id/slots').get(availabilityController.getCraftsmanSlots);
+
+    router
+        .route('/:id/portfolio')
+        .get(
+            portfolioController.setPortfolioFilter,
+            portfolioController.getCraftsmanPortfolio
+        );
+
+    return router;
+};
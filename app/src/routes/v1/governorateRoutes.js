@@ -0,0 +1,18 @@
+/**
+ * Governorate Routes Module
+ * @module routes/v1/governorateRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.governorateController - The controller object with governorate-related methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @returns {Object} - An Express router object with governorate-related routes.
+ */
+module.exports = (dependencies) => {
+    const { governorateController, Router } = dependencies;
+    const router = Router();
+
+    // Define routes for governorate reference data
+    router.route('/').get(governorateController.getAllGovernorates);
+    router.route('/:code').get(governorateController.getGovernorate);
+
+    return router;
+};
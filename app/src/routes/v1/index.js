@@ -1,6 +1,17 @@
 // Load Routers
 const userRoutes = require('./userRoutes');
 const authRoutes = require('./authRoutes');
+const craftsmanRoutes = require('./craftsmanRoutes');
+const catalogRoutes = require('./catalogRoutes');
+const governorateRoutes = require('./governorateRoutes');
+const verificationRoutes = require('./verificationRoutes');
+const clientRoutes = require('./clientRoutes');
+const projectRoutes = require('./projectRoutes');
+const proposalRoutes = require('./proposalRoutes');
+const reviewRoutes = require('./reviewRoutes');
+const bookingRoutes = require('./bookingRoutes');
+const bookingSeriesRoutes = require('./bookingSeriesRoutes');
+const notificationRoutes = require('./notificationRoutes');
 
 /**
  * Version 1 (v1) API Routes Module
@@ -41,5 +52,109 @@ module.exports = (dependencies) => {
         })
     );
 
+    routesV1.use(
+        '/craftsmen',
+        craftsmanRoutes({
+            Router,
+            craftsmanController: controllers.craftsmanController,
+            verificationController: controllers.verificationController,
+            portfolioController: controllers.portfolioController,
+            availabilityController: controllers.availabilityController,
+            calendarController: controllers.calendarController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/services',
+        catalogRoutes({
+            Router,
+            catalogController: controllers.catalogController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/governorates',
+        governorateRoutes({
+            Router,
+            governorateController: controllers.governorateController,
+        })
+    );
+
+    routesV1.use(
+        '/verifications',
+        verificationRoutes({
+            Router,
+            verificationController: controllers.verificationController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/clients',
+        clientRoutes({
+            Router,
+            clientController: controllers.clientController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/projects',
+        projectRoutes({
+            Router,
+            projectController: controllers.projectController,
+            proposalController: controllers.proposalController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/proposals',
+        proposalRoutes({
+            Router,
+            proposalController: controllers.proposalController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/reviews',
+        reviewRoutes({
+            Router,
+            reviewController: controllers.reviewController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/bookings',
+        bookingRoutes({
+            Router,
+            bookingController: controllers.bookingController,
+            calendarController: controllers.calendarController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/booking-series',
+        bookingSeriesRoutes({
+            Router,
+            bookingSeriesController: controllers.bookingSeriesController,
+            middlewares,
+        })
+    );
+
+    routesV1.use(
+        '/notifications',
+        notificationRoutes({
+            Router,
+            notificationController: controllers.notificationController,
+            middlewares,
+        })
+    );
+
     return routesV1;
 };
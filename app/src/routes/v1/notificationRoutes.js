@@ -0,0 +1,28 @@
+/**
+ * Notification Routes Module
+ * @module routes/v1/notificationRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.notificationController - The controller object with notification-related methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with notification-related routes.
+ */
+module.exports = (dependencies) => {
+    const { notificationController, Router, middlewares } = dependencies;
+    const { protect } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Protect routes, users only see their own notifications
+    router.use(protect);
+
+    // Define routes for notification operations
+    router
+        .route('/')
+        .get(
+            notificationController.setNotificationFilter,
+            notificationController.getMyNotifications
+        );
+    router.route('/:id/read').patch(notificationController.markAsRead);
+
+    return router;
+};
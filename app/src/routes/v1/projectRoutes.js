@@ -0,0 +1,97 @@
+/**
+ * Project Routes Module
+ * @module routes/v1/projectRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.projectController - The controller object with project-related methods.
+ * @param {Object} dependencies.proposalController - The controller object with proposal-related methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with project-related routes.
+ */
+module.exports = (dependencies) => {
+    const { projectController, proposalController, Router, middlewares } =
+        dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Fields a client may set on their projects
+    const projectFields = [
+        'title',
+        'description',
+        'service',
+        'governrate',
+        'location',
+        'budget',
+    ];
+
+    // Protect routes, projects are only visible to signed in users
+    router.use(protect);
+
+    // Define routes for the craftsmen job board
+    router
+        .route('/board')
+        .get(
+            authorize('craftsman'),
+            projectController.setBoardFilter,
+            projectController.getJobBoard
+        );
+
+    // Define routes for the client's own projects
+    router
+        .route('/me')
+        .get(
+            authorize('client'),
+            projectController.setMyProjectsFilter,
+            projectController.getMyProjects
+        );
+
+    router
+        .route('/')
+        .post(
+            authorize('client'),
+            middlewares.filterBody(...projectFields),
+            projectController.createProject
+        );
+
+    router
+        .route('/:id')
+        .get(projectController.getProject)
+        .patch(
+            authorize('client'),
+            middlewares.filterBody(...projectFields),
+            projectController.updateMyProject
+        );
+
+    router
+        .route('/:id/cancel')
+        .patch(authorize('client'), projectController.cancelMyProject);
+
+    // Define routes for the proposals on a project
+    router
+        .route('/:id/proposals')
+        .get(
+            authorize('client', 'admin'),
+            proposalController.setProjectProposalsFilter,
+            proposalController.getProjectProposals
+        )
+        .post(
+            authorize('craftsman'),
+            middlewares.filterBody('price', 'estimatedDuration', 'message'),
+            proposalController.submitProposal
+        );
+
+    // Define routes for the photos of the client's own projects
+    router.route('/:id/photos').post(
+        authorize('client'),
+        middlewares.uploadImages('photos', {
+            folder: 'projects',
+            maxCount: 10,
+        }),
+        projectController.addMyProjectPhotos
+    );
+    router
+        .route('/:id/photos/:index')
+        .delete(authorize('client'), projectController.removeMyProjectPhoto);
+
+    return router;
+};
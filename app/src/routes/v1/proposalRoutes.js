@@ -0,0 +1,57 @@
+/**
+ * Proposal Routes Module
+ * @module routes/v1/proposalRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.proposalController - The controller object with proposal-related methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with proposal-related routes.
+ */
+module.exports = (dependencies) => {
+    const { proposalController, Router, middlewares } = dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Protect all routes
+    router.use(protect);
+
+    // Define routes for the craftsman's own proposals
+    router
+        .route('/me')
+        .get(
+            authorize('craftsman'),
+            proposalController.setMyProposalsFilter,
+            proposalController.getMyProposals
+        );
+
+    router
+        .route('/:id')
+        .patch(
+            authorize('craftsman'),
+            middlewares.filterBody('price', 'estimatedDuration', 'message'),
+            proposalController.updateMyProposal
+        );
+
+    router
+        .route('/:id/withdraw')
+        .patch(authorize('craftsman'), proposalController.withdrawMyProposal);
+
+    // Define routes for the client answering proposals on their projects
+    router
+        .route('/:id/accept')
+        .patch(
+            authorize('client'),
+            middlewares.filterBody(
+                'timeSlotId',
+                'clientPhone',
+                'paymentMethod'
+            ),
+            proposalController.acceptProposal
+        );
+
+    router
+        .route('/:id/decline')
+        .patch(authorize('client'), proposalController.declineProposal);
+
+    return router;
+};
@@ -0,0 +1,111 @@
+/**
+ * Review Routes Module
+ * @module routes/v1/reviewRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.reviewController - The controller object with review-related methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with review-related routes.
+ */
+module.exports = (dependencies) => {
+    const { reviewController, Router, middlewares } = dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Define public routes for reading reviews
+    router
+        .route('/craftsmen/:craftsmanId')
+        .get(
+            reviewController.setCraftsmanReviewsFilter,
+            reviewController.getCraftsmanReviews
+        );
+
+    // Define routes for the client's own reviews
+    router
+        .route('/me')
+        .get(
+            protect,
+            authorize('client'),
+            reviewController.setMyReviewsFilter,
+            reviewController.getMyReviews
+        );
+
+    // Define routes for the admins' moderation queue
+    router
+        .route('/moderation')
+        .get(protect, authorize('admin'), reviewController.getModerationQueue);
+
+    router
+        .route('/')
+        .post(
+            protect,
+            authorize('client'),
+            middlewares.filterBody(
+                'craftsmanId',
+                'projectId',
+                'rating',
+                'review'
+            ),
+            reviewController.createReview
+        );
+
+    router
+        .route('/:id')
+        .get(reviewController.getReview)
+        .patch(
+            protect,
+            authorize('client'),
+            middlewares.filterBody('rating', 'review'),
+            reviewController.updateMyReview
+        )
+        .delete(
+            protect,
+            authorize('client', 'admin'),
+            reviewController.deleteReview
+        );
+
+    // Define routes for the craftsman's reply to a review of them
+    router
+        .route('/:id/reply')
+        .post(
+            protect,
+            authorize('craftsman'),
+            middlewares.filterBody('text'),
+            reviewController.replyToReview
+        )
+        .patch(
+            protect,
+            authorize('craftsman'),
+            middlewares.filterBody('text'),
+            reviewController.updateMyReply
+        );
+
+    // Define routes for reporting and moderating reviews
+    router
+        .route('/:id/reports')
+        .post(
+            protect,
+            middlewares.filterBody('reason', 'details'),
+            reviewController.reportReview
+        );
+
+    router
+        .route('/:id/hide')
+        .patch(
+            protect,
+            authorize('admin'),
+            middlewares.filterBody('note'),
+            reviewController.hideReview
+        );
+
+    router
+        .route('/:id/restore')
+        .patch(
+            protect,
+            authorize('admin'),
+            middlewares.filterBody('note'),
+            reviewController.restoreReview
+        );
+
+    return router;
+};
@@ -0,0 +1,32 @@
+/**
+ * Verification Routes Module
+ * @module routes/v1/verificationRoutes
+ * @param {Object} dependencies - A set of dependencies required for route handling.
+ * @param {Object} dependencies.verificationController - The controller object with verification-related methods.
+ * @param {Object} dependencies.Router - The router object for defining API routes.
+ * @param {Object} dependencies.middlewares - An object containing middleware functions.
+ * @returns {Object} - An Express router object with verification review routes.
+ */
+module.exports = (dependencies) => {
+    const { verificationController, Router, middlewares } = dependencies;
+    const { protect, authorize } = middlewares.authMiddleware;
+    const router = Router();
+
+    // Protect routes, only admins review verification requests
+    router.use(protect, authorize('admin'));
+
+    // Define routes for the verification review queue
+    router.route('/').get(verificationController.getAllVerifications);
+    router.route('/:id').get(verificationController.getVerificationById);
+    router
+        .route('/:id/images/:index')
+        .get(verificationController.getVerificationImage);
+    router
+        .route('/:id/approve')
+        .patch(verificationController.approveVerification);
+    router
+        .route('/:id/reject')
+        .patch(verificationController.rejectVerification);
+
+    return router;
+};
@@ -0,0 +1,226 @@
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * In-process scheduler running recurring jobs, coordinated through the database.
+ *
+ * Every job has a lock document holding when it last ran and which instance
+ * holds it. An instance only runs a job after taking its lock in a single
+ * conditional update, so when several instances run, each job runs once per
+ * interval on one of them. Since the state lives in the database, a restarted
+ * instance picks up where the previous one stopped, and the lock of a crashed
+ * instance expires after `lockTtl`.
+ *
+ * @class Scheduler
+ * @example
+ * const scheduler = new Scheduler({ JobLock });
+ * scheduler.register('expire-pending-bookings', expireBookings, { interval: 5 * 60 * 1000 });
+ * scheduler.start((err, name) => reportError(err, name));
+ */
+class Scheduler {
+    /**
+     * How often instances check whether a job is due, at most, in milliseconds.
+     *
+     * @static
+     * @type {number}
+     */
+    static POLL_INTERVAL = 60 * 1000;
+
+    /**
+     * The Mongoose JobLock model.
+     *
+     * @private
+     * @type {Model}
+     */
+    #JobLock;
+
+    /**
+     * The registered jobs by name.
+     *
+     * @private
+     * @type {Map<string, Object>}
+     */
+    #jobs = new Map();
+
+    /**
+     * The timers of the started jobs.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    #timers = [];
+
+    /**
+     * Creates an instance of Scheduler.
+     *
+     * @param {object} options - The scheduler options.
+     * @param {Model} options.JobLock - The Mongoose JobLock model.
+     * @param {string} [options.instanceId] - A unique ID of this app instance (default: host, process and a random suffix).
+     * @memberof Scheduler
+     */
+    constructor({ JobLock, instanceId }) {
+        this.#JobLock = JobLock;
+        this.instanceId =
+            instanceId ||
+            `${os.hostname()}-${process.pid}-${crypto
+                .randomBytes(4)
+                .toString('hex')}`;
+    }
+
+    /**
+     * Registers a recurring job.
+     *
+     * @param {string} name - The unique name of the job.
+     * @param {Function} handler - The async function doing the job, it should be safe to run again after a crash.
+     * @param {object} options - The job options.
+     * @param {number} options.interval - How often the job runs in milliseconds.
+     * @param {number} [options.lockTtl] - How long a run may take before another instance can take over (default: the interval).
+     * @returns {Scheduler} The scheduler, for chaining.
+     * @memberof Scheduler
+     */
+    register(name, handler, { interval, lockTtl = interval }) {
+        this.#jobs.set(name, { handler, interval, lockTtl });
+
+        return this;
+    }
+
+    /**
+     * Takes the lock of a job if the job is due and nobody holds the lock.
+     *
+     * @private
+     * @param {string} name - The name of the job.
+     * @param {object} job - The registered job.
+     * @returns {Promise<boolean>} Whether this instance got the lock.
+     * @memberof Scheduler
+     */
+    async #acquire(name, { interval, lockTtl }) {
+        const now = Date.now();
+
+        try {
+            const lock = await this.#JobLock.findOneAndUpdate(
+                {
+                    _id: name,
+                    $and: [
+                        {
+                            $or: [
+                                { lockedUntil: { $exists: false } },
+                                { lockedUntil: { $lte: new Date(now) } },
+                            ],
+                        },
+                        {
+                            $or: [
+                                { lastRunAt: { $exists: false } },
+                                {
+                                    lastRunAt: {
+                                        $lte: new Date(now - interval),
+                                    },
+                                },
+                            ],
+                        },
+                    ],
+                },
+                {
+                    $set: {
+                        lockedBy: this.instanceId,
+                        lockedUntil: new Date(now + lockTtl),
+                        lastRunAt: new Date(now),
+                    },
+                },
+                { upsert: true, new: true }
+            );
+
+            return Boolean(lock);
+        } catch (err) {
+            // The lock exists but is held or not due: the upsert hit the unique _id
+            if (err.code === 11000) return false;
+
+            throw err;
+        }
+    }
+
+    /**
+     * Runs a job if it is due and no other instance is running it. A failed
+     * run is recorded in the job's lock before its error is rethrown.
+     *
+     * @param {string} name - The name of the job.
+     * @returns {Promise<boolean>} Whether the job ran on this instance.
+     * @throws {Error} If the job is not registered or failed.
+     * @memberof Scheduler
+     */
+    async runJob(name) {
+        const job = this.#jobs.get(name);
+
+        if (!job) throw new Error(`No job registered with the name ${name}`);
+
+        if (!(await this.#acquire(name, job))) return false;
+
+        let error;
+
+        try {
+            await job.handler();
+        } catch (err) {
+            error = err;
+        }
+
+        await this.#JobLock.updateOne(
+            { _id: name, lockedBy: this.instanceId },
+            error
+                ? {
+                      $set: {
+                          lockedUntil: new Date(),
+                          lastFinishedAt: new Date(),
+                          lastError: error.message,
+                      },
+                  }
+                : {
+                      $set: {
+                          lockedUntil: new Date(),
+                          lastFinishedAt: new Date(),
+                      },
+                      $unset: { lastError: 1 },
+                  }
+        );
+
+        if (error) throw error;
+
+        return true;
+    }
+
+    /**
+     * Starts checking the registered jobs, running the due ones right away.
+     *
+     * @param {Function} [onError] - Called with the error and the job name when a job fails or cannot run.
+     * @returns {Scheduler} The scheduler, for chaining.
+     * @memberof Scheduler
+     */
+    start(onError = () => {}) {
+        this.stop();
+
+        this.#jobs.forEach(({ interval }, name) => {
+            const tick = () =>
+                this.runJob(name).catch((err) => onError(err, name));
+
+            tick();
+            this.#timers.push(
+                setInterval(tick, Math.min(interval, Scheduler.POLL_INTERVAL))
+            );
+        });
+
+        return this;
+    }
+
+    /**
+     * Stops checking the registered jobs, runs in progress finish on their own.
+     *
+     * @returns {Scheduler} The scheduler, for chaining.
+     * @memberof Scheduler
+     */
+    stop() {
+        this.#timers.forEach((timer) => clearInterval(timer));
+        this.#timers = [];
+
+        return this;
+    }
+}
+
+module.exports = Scheduler;
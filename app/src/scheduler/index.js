@@ -0,0 +1,43 @@
+const { JobLock } = require('../models');
+const services = require('../services');
+const Scheduler = require('./Scheduler');
+const expirePendingBookings = require('./jobs/expirePendingBookings');
+const placeSeriesOccurrences = require('./jobs/placeSeriesOccurrences');
+
+/**
+ * The scheduler of the app's recurring jobs.
+ * @module scheduler
+ * @see {@link Scheduler} for how jobs are coordinated between app instances.
+ */
+const scheduler = new Scheduler({ JobLock });
+
+// Cancel the pending bookings nobody confirmed in time and free their slots
+scheduler.register(
+    'expire-pending-bookings',
+    expirePendingBookings({
+        bookingService: services.bookingService,
+        notificationService: services.notificationService,
+    }),
+    {
+        interval:
+            Number(process.env.BOOKING_EXPIRY_INTERVAL_MINUTES || 5) *
+            60 *
+            1000,
+    }
+);
+
+// Book the occurrences of recurring series as their slots open
+scheduler.register(
+    'place-series-occurrences',
+    placeSeriesOccurrences({
+        bookingSeriesService: services.bookingSeriesService,
+    }),
+    {
+        interval:
+            Number(process.env.SERIES_PLACEMENT_INTERVAL_MINUTES || 60) *
+            60 *
+            1000,
+    }
+);
+
+module.exports = scheduler;
@@ -0,0 +1,54 @@
+/**
+ * Expire Pending Bookings Job Module
+ * @module scheduler/jobs/expirePendingBookings
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.bookingService - The booking service expiring the bookings.
+ * @param {Object} dependencies.notificationService - The notification service telling both parties.
+ * @returns {Function} The job, resolving to how many bookings it expired.
+ */
+module.exports = ({ bookingService, notificationService }) => {
+    /**
+     * Formats the start of a booking for notifications, in Egypt's time zone.
+     *
+     * @param {Date} date - The start of the booking.
+     * @returns {string} The formatted date, e.g. '12 Jul 2024, 10:00'.
+     */
+    const formatDate = (date) =>
+        date
+            ? date.toLocaleString('en-GB', {
+                  timeZone: 'Africa/Cairo',
+                  dateStyle: 'medium',
+                  timeStyle: 'short',
+              })
+            : 'an unknown date';
+
+    return async () => {
+        const expired = await bookingService.expirePendingBookings();
+
+        // Notices are only cleared once sent, so the ones a failed run
+        // left behind are sent by the next one
+        const bookings = await bookingService.getPendingExpiryNotices();
+
+        await Promise.all(
+            bookings.map(async (booking) => {
+                const when = formatDate(booking.startsAt);
+
+                await Promise.all([
+                    notificationService.notify([booking.clientId], {
+                        contentType: 'booking',
+                        content: `Your booking for ${when} was cancelled because the craftsman did not confirm it in time. The slot is free to book again.`,
+                        bookingId: booking._id,
+                    }),
+                    notificationService.notify([booking.craftsmanId], {
+                        contentType: 'booking',
+                        content: `The booking request for ${when} expired because you did not confirm it in time.`,
+                        bookingId: booking._id,
+                    }),
+                ]);
+                await bookingService.clearExpiryNotice(booking._id);
+            })
+        );
+
+        return expired.length;
+    };
+};
@@ -0,0 +1,14 @@
+/**
+ * Place Series Occurrences Job Module
+ * @module scheduler/jobs/placeSeriesOccurrences
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.bookingSeriesService - The booking series service placing the occurrences.
+ * @returns {Function} The job, resolving to how many series it placed.
+ */
+module.exports =
+    ({ bookingSeriesService }) =>
+    async () => {
+        const placed = await bookingSeriesService.placeDueOccurrences();
+
+        return placed.length;
+    };
@@ -3,6 +3,8 @@
  * @module authService
  * @param {Object} dependencies - An object containing required dependencies.
  * @param {Object} dependencies.model - The user model for database operations.
+ * @param {Object} dependencies.profileModels - The role profile models (ClientProfile, CraftsmanProfile) created alongside users.
+ * @param {Object} dependencies.uploadService - The upload service used to remove replaced photos.
  * @param {Object} dependencies.utils - Utility functions and classes for handling errors and asynchronous operations.
  * @param {Object} dependencies.libraries - External libraries like JWT, bcrypt, and crypto.
  *
@@ -15,13 +17,20 @@
  * @property {Function} resetPassword - Resets a user's password using a valid reset token and returns a new JWT token.
  * @property {Function} getMe - Retrieves user information by user ID.
  * @property {Function} updateMe - Updates user information by user ID.
+ * @property {Function} updatePhoto - Replaces the profile photo of a user.
  * @property {Function} logout - Logs out a user and returns a 'none' token.
  *
  * @returns {AuthService} An object containing authentication-related service methods.
  * @see {@link module:utils} For methods provided by the utils object.
  * @see {@link module:libraries} For external library dependencies.
  */
-module.exports = ({ model, utils, libraries }) => {
+module.exports = ({
+    model,
+    profileModels,
+    uploadService,
+    utils,
+    libraries,
+}) => {
     const { AppError } = utils;
     const { jwt, bcrypt, crypto } = libraries;
 
@@ -74,10 +83,12 @@ module.exports = ({ model, utils, libraries }) => {
     // Service functions
     /**
      * Registers a new user and generates a signed JWT token.
+     * Clients and craftsmen get their linked profile created in the same call.
      *
      * @function register
      * @async
      * @param {Object} userData - The user data to register.
+     * @param {Object} [profileData={}] - Initial profile data (e.g. governrate, about, location) for craftsmen.
      * @returns {Promise<string>} A promise that resolves to a signed JWT token for the registered user.
      * @throws {AppError} If an error occurs during user registration or JWT token generation.
      * @example
@@ -88,9 +99,24 @@ module.exports = ({ model, utils, libraries }) => {
      * };
      * const token = await authService.register(userData);
      */
-    const register = async (userData) => {
+    const register = async (userData, profileData = {}) => {
         const user = await model.create(userData);
 
+        // Every client and craftsman must have a linked profile
+        try {
+            if (user.role === 'client') {
+                await profileModels.ClientProfile.create({ userid: user._id });
+            } else if (user.role === 'craftsman') {
+                await profileModels.CraftsmanProfile.create(
+                    Object.assign(profileData, { userId: user._id })
+                );
+            }
+        } catch (err) {
+            // Rollback user creation so registration can be retried
+            await model.deleteOne({ _id: user._id });
+            throw err;
+        }
+
         const token = genSignedJwtToken(user._id);
 
         return token;
@@ -314,6 +340,39 @@ module.exports = ({ model, utils, libraries }) => {
         return updatedDoc;
     };
 
+    /**
+     * Replaces the profile photo of a user, the previous photo is removed from the storage.
+     *
+     * @function updatePhoto
+     * @async
+     * @param {string} id - The unique identifier of the user to update.
+     * @param {string} photo - The storage key of the uploaded photo.
+     * @returns {Promise<Object>} A promise that resolves to the updated user object.
+     * @throws {AppError} If the user does not exist.
+     * @example
+     * const user = await authService.updatePhoto('user123', 'users/user123-1690000000000-1a2b3c4d.jpeg');
+     */
+    const updatePhoto = async (id, photo) => {
+        const user = await model.findById(id);
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const previousPhoto = user.photo;
+
+        user.photo = photo;
+        await user.save({ validateBeforeSave: false });
+
+        if (previousPhoto && previousPhoto !== 'default.jpg') {
+            await uploadService.removeFiles([previousPhoto]);
+        }
+
+        user.__v = undefined;
+
+        return user;
+    };
+
     /**
      * Logs out a user and returns a 'none' token.
      *
@@ -339,6 +398,7 @@ module.exports = ({ model, utils, libraries }) => {
         updatePassword,
         getMe,
         updateMe,
+        updatePhoto,
         logout,
     };
 };
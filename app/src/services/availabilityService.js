@@ -0,0 +1,320 @@
+/**
+ * Availability Service Module
+ * @module availabilityService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose Availability model (bookable slots) for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.Schedule - The Mongoose Schedule model the slots are expanded from.
+ * @param {Model} dependencies.models.CraftsmanProfile - The Mongoose CraftsmanProfile model used to find craftsmen.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ * @param {Object} dependencies.libraries - External libraries like luxon's DateTime.
+ *
+ * @typedef {Object} AvailabilityService
+ * @property {Function} getSchedule - Retrieves the weekly schedule of a craftsman.
+ * @property {Function} updateSchedule - Creates or replaces the weekly schedule of a craftsman and refreshes the slots.
+ * @property {Function} syncSlots - Expands the schedule of a craftsman into bookable slots for a time range.
+ * @property {Function} getFreeSlots - Retrieves the free slots of a craftsman for a date range.
+ *
+ * @returns {AvailabilityService} An object containing availability-related service methods.
+ */
+module.exports = ({ model, models, utils, libraries }) => {
+    const { Schedule, CraftsmanProfile } = models;
+    const { AppError } = utils;
+    const { DateTime } = libraries;
+
+    // How far ahead slots can be booked, and the longest range listed at once
+    const HORIZON_DAYS = Number(process.env.SLOT_HORIZON_DAYS) || 60;
+    const MAX_RANGE_DAYS = 31;
+
+    // Helpers functions
+    /**
+     * Splits working hours of a day into consecutive slots.
+     *
+     * @function splitHours
+     * @param {DateTime} day - The start of the day in the schedule's time zone.
+     * @param {Object} hours - The working hours ('HH:mm' start and end).
+     * @param {number} slotDuration - The length of a slot in minutes.
+     * @returns {Object[]} The slots with their `startsAt` and `endsAt` dates.
+     */
+    const splitHours = (day, { start, end }, slotDuration) => {
+        const [startHour, startMinute] = start.split(':').map(Number);
+        const [endHour, endMinute] = end.split(':').map(Number);
+        const closesAt = day.set({ hour: endHour, minute: endMinute });
+        const slots = [];
+        let slotStart = day.set({ hour: startHour, minute: startMinute });
+
+        while (slotStart.plus({ minutes: slotDuration }) <= closesAt) {
+            const slotEnd = slotStart.plus({ minutes: slotDuration });
+
+            slots.push({
+                startsAt: slotStart.toJSDate(),
+                endsAt: slotEnd.toJSDate(),
+            });
+            slotStart = slotEnd;
+        }
+
+        return slots;
+    };
+
+    /**
+     * Expands a weekly schedule into slots starting within a time range.
+     *
+     * Dates with an exception use the exception hours instead of the weekly
+     * hours, an exception without hours is a day off.
+     *
+     * @function expandSchedule
+     * @param {Object} schedule - The craftsman's schedule.
+     * @param {Date} from - The start of the range.
+     * @param {Date} to - The end of the range (exclusive).
+     * @returns {Object[]} The slots with their `startsAt` and `endsAt` dates.
+     */
+    const expandSchedule = (schedule, from, to) => {
+        const { timezone, slotDuration, weeklyHours, exceptions } = schedule;
+        const firstDay = DateTime.fromJSDate(from, { zone: timezone }).startOf(
+            'day'
+        );
+        const dayCount = Math.ceil(
+            DateTime.fromJSDate(to, { zone: timezone }).diff(firstDay, 'days')
+                .days
+        );
+
+        return Array.from({ length: dayCount }, (_, i) =>
+            firstDay.plus({ days: i })
+        )
+            .flatMap((day) => {
+                const date = day.toISODate();
+                const exception = exceptions.find((item) => item.date === date);
+                const hours = exception
+                    ? exception.hours
+                    : weeklyHours.filter(
+                          (item) => item.day === day.weekday % 7
+                      );
+
+                return hours.flatMap((item) =>
+                    splitHours(day, item, slotDuration)
+                );
+            })
+            .filter((slot) => slot.startsAt >= from && slot.startsAt < to);
+    };
+
+    /**
+     * Retrieves the weekly schedule of a craftsman.
+     *
+     * @function getSchedule
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @returns {Promise<Object>} - A promise that resolves to the schedule or null.
+     * @example
+     * const schedule = await availabilityService.getSchedule('user123');
+     */
+    const getSchedule = async (craftsmanId) =>
+        await Schedule.findOne({ craftsmanId }).select('-__v');
+
+    /**
+     * Expands the schedule of a craftsman into bookable slots for a time range.
+     *
+     * Missing slots are created and free slots that no longer match the schedule
+     * are removed. Booked slots are never touched, and new slots overlapping them
+     * are skipped. Slots are only kept from now up to the booking horizon.
+     *
+     * @function syncSlots
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {Object} range - The time range.
+     * @param {Date} range.from - The start of the range.
+     * @param {Date} range.to - The end of the range (exclusive).
+     * @returns {Promise<void>}
+     * @example
+     * await availabilityService.syncSlots('user123', {
+     *   from: new Date('2024-01-01T00:00:00+02:00'),
+     *   to: new Date('2024-01-08T00:00:00+02:00'),
+     * });
+     */
+    const syncSlots = async (craftsmanId, range) => {
+        const now = new Date();
+        const horizon = DateTime.fromJSDate(now)
+            .plus({ days: HORIZON_DAYS })
+            .toJSDate();
+        const from = range.from > now ? range.from : now;
+        const to = range.to < horizon ? range.to : horizon;
+
+        if (from >= to) return;
+
+        const schedule = await Schedule.findOne({ craftsmanId });
+        const templateSlots = schedule
+            ? expandSchedule(schedule, from, to)
+            : [];
+
+        const existingSlots = await model.find({
+            craftsmanId,
+            startsAt: { $gte: from, $lt: to },
+        });
+        const bookedSlots = existingSlots.filter((slot) => slot.isBooked);
+        const slotKey = (slot) =>
+            `${slot.startsAt.getTime()}-${slot.endsAt.getTime()}`;
+        const templateKeys = new Set(templateSlots.map(slotKey));
+
+        // Remove free slots that are no longer in the schedule
+        const staleIds = existingSlots
+            .filter(
+                (slot) => !slot.isBooked && !templateKeys.has(slotKey(slot))
+            )
+            .map((slot) => slot._id);
+
+        if (staleIds.length) {
+            await model.deleteMany({ _id: { $in: staleIds }, isBooked: false });
+        }
+
+        // Create the missing slots that do not overlap booked ones
+        const newSlots = templateSlots.filter(
+            (slot) =>
+                !bookedSlots.some(
+                    (booked) =>
+                        slot.startsAt < booked.endsAt &&
+                        booked.startsAt < slot.endsAt
+                )
+        );
+
+        if (!newSlots.length) return;
+
+        try {
+            await model.bulkWrite(
+                newSlots.map((slot) => ({
+                    updateOne: {
+                        filter: { craftsmanId, startsAt: slot.startsAt },
+                        update: { $setOnInsert: { endsAt: slot.endsAt } },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+        } catch (err) {
+            // A concurrent sync already created some of the slots
+            if (err.code !== 11000) throw err;
+        }
+    };
+
+    /**
+     * Creates or replaces the weekly schedule of a craftsman and refreshes the
+     * slots up to the booking horizon.
+     *
+     * @function updateSchedule
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {Object} scheduleData - The schedule fields (timezone, slotDuration, weeklyHours, exceptions).
+     * @returns {Promise<Object>} - A promise that resolves to the updated schedule.
+     * @example
+     * const schedule = await availabilityService.updateSchedule('user123', {
+     *   slotDuration: 120,
+     *   weeklyHours: [0, 1, 2, 3, 4].map((day) => ({ day, start: '09:00', end: '17:00' })),
+     *   exceptions: [{ date: '2024-04-10', hours: [], reason: 'Eid al-Fitr' }],
+     * });
+     */
+    const updateSchedule = async (craftsmanId, scheduleData) => {
+        const schedule = await Schedule.findOneAndUpdate(
+            { craftsmanId },
+            { ...scheduleData, updatedAt: Date.now() },
+            {
+                new: true,
+                upsert: true,
+                runValidators: true,
+                setDefaultsOnInsert: true,
+            }
+        ).select('-__v');
+
+        const now = new Date();
+        await syncSlots(craftsmanId, {
+            from: now,
+            to: DateTime.fromJSDate(now)
+                .plus({ days: HORIZON_DAYS })
+                .toJSDate(),
+        });
+
+        return schedule;
+    };
+
+    /**
+     * Retrieves the free slots of a craftsman for a date range, in the time zone
+     * of the craftsman's schedule.
+     *
+     * @function getFreeSlots
+     * @async
+     * @param {string} profileId - The unique identifier of the craftsman profile.
+     * @param {Object} range - The date range.
+     * @param {string} [range.from] - The first date ('YYYY-MM-DD', default: today).
+     * @param {string} [range.to] - The last date ('YYYY-MM-DD', default: 6 days after `from`).
+     * @returns {Promise<Object>} - A promise that resolves to the time zone and the free slots.
+     * @throws {AppError} If the craftsman does not exist or the date range is invalid.
+     * @example
+     * const { timezone, slots } = await availabilityService.getFreeSlots('profile123', {
+     *   from: '2024-01-01',
+     *   to: '2024-01-07',
+     * });
+     */
+    const getFreeSlots = async (profileId, { from, to }) => {
+        const profile = await CraftsmanProfile.findById(profileId).select(
+            'userId'
+        );
+
+        if (!profile) {
+            throw new AppError('No craftsman found with that ID', 404);
+        }
+
+        const craftsmanId = profile.userId;
+        const schedule = await Schedule.findOne({ craftsmanId }).select(
+            'timezone'
+        );
+        const timezone = schedule ? schedule.timezone : 'Africa/Cairo';
+
+        const firstDay = from
+            ? DateTime.fromISO(from, { zone: timezone })
+            : DateTime.now().setZone(timezone).startOf('day');
+        const lastDay = to
+            ? DateTime.fromISO(to, { zone: timezone })
+            : firstDay.plus({ days: 6 });
+
+        if (!firstDay.isValid || !lastDay.isValid) {
+            throw new AppError('from and to must be dates (YYYY-MM-DD)', 400);
+        }
+
+        if (lastDay < firstDay) {
+            throw new AppError('to must not be before from', 400);
+        }
+
+        if (lastDay.diff(firstDay, 'days').days >= MAX_RANGE_DAYS) {
+            throw new AppError(
+                `The date range must be at most ${MAX_RANGE_DAYS} days`,
+                400
+            );
+        }
+
+        const range = {
+            from: firstDay.startOf('day').toJSDate(),
+            to: lastDay.plus({ days: 1 }).startOf('day').toJSDate(),
+        };
+
+        await syncSlots(craftsmanId, range);
+
+        const now = new Date();
+        const slots = await model
+            .find({
+                craftsmanId,
+                isBooked: false,
+                startsAt: {
+                    $gte: range.from > now ? range.from : now,
+                    $lt: range.to,
+                },
+            })
+            .sort('startsAt')
+            .select('startsAt endsAt');
+
+        return { timezone, slots };
+    };
+
+    return {
+        getSchedule,
+        updateSchedule,
+        syncSlots,
+        getFreeSlots,
+    };
+};
@@ -0,0 +1,536 @@
+/**
+ * Booking Series Service Module
+ * @module bookingSeriesService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose BookingSeries model for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.Availability - The Mongoose Availability model (bookable slots).
+ * @param {Model} dependencies.models.Schedule - The Mongoose Schedule model holding the craftsman's time zone.
+ * @param {Object} dependencies.service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies.bookingService - The booking service placing and cancelling the occurrences.
+ * @param {Object} dependencies.availabilityService - The availability service opening the slots the occurrences are booked on.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ * @param {Object} dependencies.libraries - External libraries like luxon's DateTime.
+ *
+ * @typedef {Object} BookingSeriesService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} getOneForUser - Retrieves a booking series the user takes part in.
+ * @property {Function} createSeries - Creates a recurring booking series and books its occurrences.
+ * @property {Function} placeOccurrences - Books the scheduled occurrences of a series whose slots are open.
+ * @property {Function} placeDueOccurrences - Books the scheduled occurrences of every active series whose slots opened since.
+ * @property {Function} cancelOccurrence - Cancels one occurrence of a series.
+ * @property {Function} cancelSeries - Cancels a series with all its upcoming occurrences.
+ *
+ * @returns {BookingSeriesService} An object containing booking series-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = ({
+    model: BookingSeries,
+    models,
+    service,
+    bookingService,
+    availabilityService,
+    utils,
+    libraries,
+}) => {
+    const { Availability, Schedule } = models;
+    const { AppError } = utils;
+    const { DateTime } = libraries;
+    const { getAll, count } = service(BookingSeries);
+
+    // Occurrences are booked once their slots open, as far ahead as slots go
+    const HORIZON_DAYS = Number(process.env.SLOT_HORIZON_DAYS) || 60;
+
+    // How long a placement may hold a series before another one can take over
+    const PLACEMENT_LOCK_MS = 5 * 60 * 1000;
+
+    // The booking details every occurrence is booked with
+    const BOOKING_FIELDS = [
+        'serviceId',
+        'projectId',
+        'clientPhone',
+        'clientLocation',
+        'clientAddress',
+        'paymentMethod',
+    ];
+
+    // Helpers functions
+    /**
+     * Computes the start of every occurrence of a recurrence rule.
+     *
+     * Weekly and biweekly series repeat on the weekday from the first one on or
+     * after the start date. Monthly series repeat on the nth weekday of every
+     * month, e.g. the 2nd Tuesday.
+     *
+     * @function expandRecurrence
+     * @param {Object} recurrence - The recurrence rule of the series.
+     * @param {string} timezone - The time zone of the rule.
+     * @returns {Date[]} The start of every occurrence.
+     */
+    const expandRecurrence = (recurrence, timezone) => {
+        const { frequency, weekday, weekOfMonth, time, startDate } = recurrence;
+        const [hour, minute] = time.split(':').map(Number);
+        // Luxon counts weekdays from 1 (Monday) to 7 (Sunday)
+        const isoWeekday = weekday || 7;
+        const start = DateTime.fromISO(startDate, { zone: timezone }).set({
+            hour,
+            minute,
+        });
+        const first = start.plus({
+            days: (isoWeekday - start.weekday + 7) % 7,
+        });
+
+        if (frequency !== 'monthly') {
+            const weeks = frequency === 'weekly' ? 1 : 2;
+
+            return Array.from({ length: recurrence.count }, (_, i) =>
+                first.plus({ weeks: i * weeks }).toJSDate()
+            );
+        }
+
+        const nth = weekOfMonth || Math.min(4, Math.ceil(first.day / 7));
+        const nthWeekday = (month) => {
+            const firstOfMonth = start.plus({ months: month }).set({ day: 1 });
+
+            return firstOfMonth.plus({
+                days:
+                    ((isoWeekday - firstOfMonth.weekday + 7) % 7) +
+                    (nth - 1) * 7,
+            });
+        };
+
+        // The first month may have its nth weekday before the start date
+        return Array.from({ length: recurrence.count + 1 }, (_, i) =>
+            nthWeekday(i)
+        )
+            .filter((date) => date >= start)
+            .slice(0, recurrence.count)
+            .map((date) => date.toJSDate());
+    };
+
+    /**
+     * Retrieves a series the user may act on: as its client, its craftsman or an admin.
+     *
+     * @function getOwnSeries
+     * @async
+     * @param {string} seriesId - The unique identifier of the series.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<Object>} - A promise that resolves to the series.
+     * @throws {AppError} If the series does not exist or belongs to someone else.
+     */
+    const getOwnSeries = async (seriesId, user) => {
+        const series = await BookingSeries.findById(seriesId);
+
+        if (
+            !series ||
+            (user.role === 'craftsman' &&
+                `${series.craftsmanId}` !== user.id) ||
+            (user.role === 'client' && `${series.clientId}` !== user.id)
+        ) {
+            throw new AppError('No booking series found with that ID', 404);
+        }
+
+        return series;
+    };
+
+    /**
+     * Retrieves a booking series the user takes part in, as the client or the
+     * craftsman, with the status and fees of its bookings.
+     *
+     * @function getOneForUser
+     * @async
+     * @param {string} seriesId - The unique identifier of the series.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<Object>} - A promise that resolves to the series or null.
+     * @example
+     * const series = await bookingSeriesService.getOneForUser('series123', req.user);
+     */
+    const getOneForUser = async (seriesId, user) => {
+        const filter = { _id: seriesId };
+
+        if (user.role !== 'admin') {
+            filter.$or = [{ clientId: user.id }, { craftsmanId: user.id }];
+        }
+
+        return await BookingSeries.findOne(filter).select('-__v').populate({
+            path: 'occurrences.bookingId',
+            select: 'status fees travelFee startsAt endsAt',
+        });
+    };
+
+    /**
+     * Takes the placement lock of a series, unless another placement holds it.
+     *
+     * @function claimSeries
+     * @async
+     * @param {string} seriesId - The unique identifier of the series.
+     * @returns {Promise<Object|null>} - A promise that resolves to the series as stored, or null if it is held.
+     */
+    const claimSeries = async (seriesId) =>
+        await BookingSeries.findOneAndUpdate(
+            {
+                _id: seriesId,
+                $or: [
+                    { placingUntil: { $exists: false } },
+                    { placingUntil: { $lte: new Date() } },
+                ],
+            },
+            {
+                $set: {
+                    placingUntil: new Date(Date.now() + PLACEMENT_LOCK_MS),
+                },
+            },
+            { new: true }
+        );
+
+    /**
+     * Books the scheduled occurrences of a series the caller holds the
+     * placement lock of, and releases the lock.
+     *
+     * The craftsman's slots are opened for the due occurrences first, so
+     * occurrences beyond the slots opened so far are not taken for conflicts.
+     *
+     * @function placeClaimedOccurrences
+     * @async
+     * @param {Object} series - The booking series, holding its placement lock.
+     * @returns {Promise<Object>} - A promise that resolves to the updated series.
+     */
+    const placeClaimedOccurrences = async (series) => {
+        const now = new Date();
+        const horizon = DateTime.fromJSDate(now)
+            .plus({ days: HORIZON_DAYS })
+            .toJSDate();
+        const details = {};
+
+        BOOKING_FIELDS.forEach((field) => {
+            if (series[field] !== undefined) details[field] = series[field];
+        });
+
+        const conflict = (occurrence, reason) => {
+            occurrence.status = 'Conflict';
+            occurrence.reason = reason;
+        };
+
+        const booked = [];
+        let failure;
+
+        const due = series.occurrences.filter(
+            (occurrence) =>
+                occurrence.status === 'Scheduled' &&
+                occurrence.startsAt < horizon
+        );
+
+        try {
+            if (due.length) {
+                const starts = due.map((occurrence) => occurrence.startsAt);
+
+                await availabilityService.syncSlots(series.craftsmanId, {
+                    from: new Date(Math.min(...starts)),
+                    to: new Date(Math.max(...starts) + 1),
+                });
+            }
+
+            await Promise.all(
+                due.map(async (occurrence) => {
+                    if (occurrence.startsAt <= now) {
+                        return conflict(
+                            occurrence,
+                            'This occurrence has passed'
+                        );
+                    }
+
+                    const slot = await Availability.findOne({
+                        craftsmanId: series.craftsmanId,
+                        startsAt: occurrence.startsAt,
+                        isBooked: false,
+                    });
+
+                    if (!slot) {
+                        return conflict(
+                            occurrence,
+                            'The craftsman has no free slot at this time'
+                        );
+                    }
+
+                    try {
+                        const booking = await bookingService.createBooking(
+                            series.clientId,
+                            {
+                                ...details,
+                                timeSlotId: slot._id,
+                                seriesId: series._id,
+                            }
+                        );
+
+                        booked.push(booking._id);
+                        occurrence.status = 'Booked';
+                        occurrence.bookingId = booking._id;
+                        occurrence.reason = undefined;
+                    } catch (err) {
+                        if (!err.isOperational) {
+                            failure = failure || err;
+                            return;
+                        }
+
+                        conflict(occurrence, err.message);
+                    }
+                })
+            );
+        } catch (err) {
+            failure = failure || err;
+        }
+
+        if (failure) {
+            await Promise.all(
+                booked.map((bookingId) =>
+                    bookingService.discardBooking(bookingId)
+                )
+            );
+            await BookingSeries.updateOne(
+                { _id: series._id },
+                { $unset: { placingUntil: 1 } }
+            );
+            throw failure;
+        }
+
+        series.placingUntil = undefined;
+
+        return await series.save();
+    };
+
+    /**
+     * Books the scheduled occurrences of a series whose slots are open, each
+     * against the craftsman's free slot starting at the same time. Occurrences
+     * that cannot be booked are marked as conflicts with the reason, and the
+     * ones beyond the booking horizon stay scheduled until a later run.
+     *
+     * Only one placement of a series runs at a time: while another one holds
+     * the series, it is left to that one.
+     *
+     * If an unexpected error stops the placement, the bookings it already made
+     * are discarded before the error is rethrown, so no booking is left
+     * outside its series.
+     *
+     * @function placeOccurrences
+     * @async
+     * @param {Object} series - The booking series.
+     * @returns {Promise<Object|null>} - A promise that resolves to the updated series, or null if another placement holds it.
+     * @example
+     * const series = await bookingSeriesService.placeOccurrences(series);
+     */
+    const placeOccurrences = async (series) => {
+        const claimed = await claimSeries(series._id);
+
+        if (!claimed) return null;
+
+        return await placeClaimedOccurrences(claimed);
+    };
+
+    /**
+     * Books the scheduled occurrences of every active series whose slots
+     * opened since they were last placed, as time moves the booking horizon.
+     *
+     * @function placeDueOccurrences
+     * @async
+     * @param {Object} [options] - The placement options.
+     * @param {number} [options.limit=50] - How many series to place at most in one run.
+     * @returns {Promise<Object[]>} - A promise that resolves to the placed series.
+     * @example
+     * const placed = await bookingSeriesService.placeDueOccurrences();
+     */
+    const placeDueOccurrences = async ({ limit = 50 } = {}) => {
+        const horizon = DateTime.now().plus({ days: HORIZON_DAYS }).toJSDate();
+
+        const dueSeries = await BookingSeries.find({
+            status: 'Active',
+            occurrences: {
+                $elemMatch: { status: 'Scheduled', startsAt: { $lt: horizon } },
+            },
+            $or: [
+                { placingUntil: { $exists: false } },
+                { placingUntil: { $lte: new Date() } },
+            ],
+        }).limit(limit);
+
+        const placed = await Promise.all(dueSeries.map(placeOccurrences));
+
+        return placed.filter(Boolean);
+    };
+
+    /**
+     * Creates a recurring booking series for a client and books every
+     * occurrence whose slot is already open. Occurrences without a matching
+     * free slot are reported as conflicts instead of failing the series.
+     *
+     * @function createSeries
+     * @async
+     * @param {string} clientId - The unique identifier of the client user.
+     * @param {Object} seriesData - The series data.
+     * @param {string} seriesData.craftsmanId - The user ID of the craftsman to book.
+     * @param {Object} seriesData.recurrence - The recurrence rule (`frequency`, `weekday`, `time`, `startDate`, `count` and for monthly series `weekOfMonth`).
+     * @returns {Promise<Object>} - A promise that resolves to the new series with its occurrences.
+     * @throws {AppError} If the craftsman does not take bookings or the series starts in the past.
+     * @example
+     * const series = await bookingSeriesService.createSeries('user123', {
+     *   craftsmanId: 'user456',
+     *   serviceId: 'service123',
+     *   recurrence: { frequency: 'monthly', weekday: 0, time: '10:00', startDate: '2024-07-01', count: 12 },
+     * });
+     */
+    const createSeries = async (clientId, seriesData) => {
+        if (`${seriesData.craftsmanId}` === `${clientId}`) {
+            throw new AppError('You cannot book yourself', 400);
+        }
+
+        const series = new BookingSeries({
+            ...seriesData,
+            clientId,
+            status: 'Active',
+        });
+
+        await series.validate();
+
+        const schedule = await Schedule.findOne({
+            craftsmanId: series.craftsmanId,
+        });
+
+        if (!schedule) {
+            throw new AppError(
+                'This craftsman does not take bookings yet',
+                404
+            );
+        }
+
+        const dates = expandRecurrence(series.recurrence, schedule.timezone);
+
+        if (!dates.length || dates[0] <= new Date()) {
+            throw new AppError(
+                'A booking series must start in the future',
+                400
+            );
+        }
+
+        series.timezone = schedule.timezone;
+        series.occurrences = dates.map((startsAt) => ({ startsAt }));
+        // Hold the new series so the scheduled placement leaves it to us
+        series.placingUntil = new Date(Date.now() + PLACEMENT_LOCK_MS);
+
+        await series.save();
+
+        return await placeClaimedOccurrences(series);
+    };
+
+    /**
+     * Cancels one occurrence of a series. A booked occurrence cancels its
+     * booking, with the booking's cancellation policy.
+     *
+     * @function cancelOccurrence
+     * @async
+     * @param {string} seriesId - The unique identifier of the series.
+     * @param {string} occurrenceId - The unique identifier of the occurrence.
+     * @param {Object} user - The authenticated user.
+     * @param {Object} [options] - The cancellation options.
+     * @param {string} [options.reason] - Why the occurrence is cancelled.
+     * @returns {Promise<Object>} - A promise that resolves to the updated series.
+     * @throws {AppError} If the occurrence does not exist or cannot be cancelled anymore (409).
+     * @example
+     * const series = await bookingSeriesService.cancelOccurrence('series123', 'occurrence123', req.user);
+     */
+    const cancelOccurrence = async (
+        seriesId,
+        occurrenceId,
+        user,
+        { reason } = {}
+    ) => {
+        const series = await getOwnSeries(seriesId, user);
+        const occurrence = series.occurrences.id(occurrenceId);
+
+        if (!occurrence) {
+            throw new AppError('No occurrence found with that ID', 404);
+        }
+
+        if (occurrence.status === 'Booked') {
+            await bookingService.transitionBooking(
+                occurrence.bookingId,
+                'cancel',
+                user,
+                { reason }
+            );
+        } else if (occurrence.status !== 'Scheduled') {
+            throw new AppError(
+                `This occurrence is already ${occurrence.status.toLowerCase()}`,
+                409
+            );
+        }
+
+        occurrence.status = 'Cancelled';
+        occurrence.reason = reason;
+
+        return await series.save();
+    };
+
+    /**
+     * Cancels a series: the scheduled occurrences are dropped and every booking
+     * that can still be cancelled is, with its cancellation policy. Bookings
+     * that already started are kept.
+     *
+     * @function cancelSeries
+     * @async
+     * @param {string} seriesId - The unique identifier of the series.
+     * @param {Object} user - The authenticated user.
+     * @param {Object} [options] - The cancellation options.
+     * @param {string} [options.reason] - Why the series is cancelled.
+     * @returns {Promise<Object>} - A promise that resolves to the cancelled series.
+     * @throws {AppError} If the series does not exist or is already cancelled (409).
+     * @example
+     * const series = await bookingSeriesService.cancelSeries('series123', req.user, { reason: 'Contract ended' });
+     */
+    const cancelSeries = async (seriesId, user, { reason } = {}) => {
+        const series = await getOwnSeries(seriesId, user);
+
+        if (series.status === 'Cancelled') {
+            throw new AppError('This booking series is already cancelled', 409);
+        }
+
+        await Promise.all(
+            series.occurrences.map(async (occurrence) => {
+                if (occurrence.status === 'Booked') {
+                    try {
+                        await bookingService.transitionBooking(
+                            occurrence.bookingId,
+                            'cancel',
+                            user,
+                            { reason }
+                        );
+                    } catch (err) {
+                        // Bookings that started or ended stay as they are
+                        if (!err.isOperational) throw err;
+                        return;
+                    }
+                } else if (occurrence.status !== 'Scheduled') {
+                    return;
+                }
+
+                occurrence.status = 'Cancelled';
+                occurrence.reason = reason;
+            })
+        );
+
+        series.status = 'Cancelled';
+        series.cancelledAt = Date.now();
+
+        return await series.save();
+    };
+
+    return {
+        getAll,
+        count,
+        getOneForUser,
+        createSeries,
+        placeOccurrences,
+        placeDueOccurrences,
+        cancelOccurrence,
+        cancelSeries,
+    };
+};
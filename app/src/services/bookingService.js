@@ -0,0 +1,1124 @@
+/**
+ * Booking Service Module
+ * @module bookingService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose Booking model for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.Availability - The Mongoose Availability model (bookable slots).
+ * @param {Model} dependencies.models.CraftsmanProfile - The Mongoose CraftsmanProfile model holding the travel pricing and reliability stats.
+ * @param {Model} dependencies.models.BookingSeries - The Mongoose BookingSeries model whose occurrences point at bookings.
+ * @param {Model} dependencies.models.Project - The Mongoose Project model, bookings can only be linked to projects of their client.
+ * @param {Model} dependencies.models.Proposal - The Mongoose Proposal model, the accepted proposal of a project is settled with its booking.
+ * @param {Object} dependencies.service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors and pricing travel.
+ *
+ * @typedef {Object} BookingService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} getOneForUser - Retrieves a booking the user takes part in.
+ * @property {Function} createBooking - Reserves a slot and books it for a client.
+ * @property {Function} transitionBooking - Moves a booking to its next status, releasing the slot of cancelled bookings.
+ * @property {Function} getCancellationQuote - Tells what cancelling a booking would cost the user right now.
+ * @property {Function} proposeReschedule - Proposes moving a booking to another slot of the craftsman.
+ * @property {Function} acceptReschedule - Accepts the proposal of the other party and moves the booking.
+ * @property {Function} declineReschedule - Declines or withdraws the pending reschedule proposal.
+ * @property {Function} submitQuote - Submits a quote of the craftsman, or a counter offer of the client.
+ * @property {Function} acceptQuote - Accepts the open quote of the other party and locks the booking fees.
+ * @property {Function} rejectQuote - Rejects the open quote of the other party.
+ * @property {Function} expirePendingBookings - Cancels the pending bookings nobody confirmed in time and frees their slots.
+ * @property {Function} getPendingExpiryNotices - Retrieves the expired bookings whose parties were not told yet.
+ * @property {Function} clearExpiryNotice - Records that the parties of an expired booking were told.
+ * @property {Function} discardBooking - Deletes a pending booking whose making failed halfway and frees its slot.
+ *
+ * @returns {BookingService} An object containing booking-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = ({ model: Booking, models, service, utils }) => {
+    const { Availability, CraftsmanProfile, BookingSeries, Project, Proposal } =
+        models;
+    const { AppError, travel } = utils;
+    const { getAll, count } = service(Booking);
+
+    /**
+     * The allowed status transitions, each with the statuses it starts from and
+     * the roles that may make it. Completed and Cancelled bookings are final.
+     * @type {Object}
+     */
+    const TRANSITIONS = {
+        confirm: { from: ['Pending'], to: 'Confirmed', roles: ['craftsman'] },
+        start: { from: ['Confirmed'], to: 'In progress', roles: ['craftsman'] },
+        complete: {
+            from: ['In progress'],
+            to: 'Completed',
+            roles: ['craftsman'],
+        },
+        cancel: {
+            from: ['Pending', 'Confirmed'],
+            to: 'Cancelled',
+            roles: ['client', 'craftsman', 'admin'],
+        },
+    };
+
+    /**
+     * The cancellation policy given to new bookings: free cancellation up to
+     * `freeCancellationHours` before the slot, then a `penaltyPercent` of the fees.
+     * @type {Object}
+     */
+    const CANCELLATION_POLICY = {
+        freeCancellationHours: Number(
+            process.env.CANCELLATION_FREE_HOURS || 24
+        ),
+        penaltyPercent: Number(process.env.CANCELLATION_PENALTY_PERCENT || 20),
+    };
+
+    // How long quotes stay valid by default, and at most, in hours
+    const QUOTE_VALIDITY_HOURS = Number(process.env.QUOTE_VALIDITY_HOURS || 48);
+    const QUOTE_MAX_VALIDITY_HOURS = 30 * 24;
+
+    // How long a booking can wait for the craftsman to confirm it, in hours
+    const PENDING_TTL_HOURS = Number(
+        process.env.BOOKING_PENDING_TTL_HOURS || 24
+    );
+
+    // Fees can only be negotiated before the job starts
+    const NEGOTIABLE_STATUSES = ['Pending', 'Confirmed'];
+
+    // Helpers functions
+    /**
+     * Reserves a free future slot for a booking, checking and setting the
+     * `isBooked` flag in a single conditional update so only one booking can win.
+     *
+     * @function reserveSlot
+     * @async
+     * @param {string} slotId - The unique identifier of the slot.
+     * @param {string} bookingId - The unique identifier of the booking holding the slot.
+     * @returns {Promise<Object>} - A promise that resolves to the reserved slot.
+     * @throws {AppError} If the slot does not exist, has passed or is already booked.
+     */
+    const reserveSlot = async (slotId, bookingId) => {
+        const slot = await Availability.findOneAndUpdate(
+            { _id: slotId, isBooked: false, startsAt: { $gt: new Date() } },
+            { $set: { isBooked: true, bookingId } },
+            { new: true }
+        );
+
+        if (slot) return slot;
+
+        const existingSlot = await Availability.findById(slotId);
+
+        if (!existingSlot) {
+            throw new AppError('No slot found with that ID', 404);
+        }
+
+        if (existingSlot.isBooked) {
+            throw new AppError('This slot has already been booked', 409);
+        }
+
+        throw new AppError('This slot has already started', 400);
+    };
+
+    /**
+     * Releases the slot held by a booking, a slot held by another booking is left untouched.
+     *
+     * @function releaseSlot
+     * @async
+     * @param {string} slotId - The unique identifier of the slot.
+     * @param {string} bookingId - The unique identifier of the booking holding the slot.
+     * @returns {Promise<void>}
+     */
+    const releaseSlot = async (slotId, bookingId) => {
+        await Availability.updateOne(
+            { _id: slotId, bookingId },
+            { $set: { isBooked: false }, $unset: { bookingId: 1 } }
+        );
+    };
+
+    /**
+     * Moves the project of a booking made from an accepted proposal along with
+     * the booking: the project is completed with its booking, and reopened when
+     * its booking is cancelled. The accepted proposal is then cancelled, and the
+     * proposals declined because of it are pending again, so the client can
+     * pick another craftsman.
+     *
+     * @function settleProject
+     * @async
+     * @param {Object} booking - The completed or cancelled booking.
+     * @returns {Promise<void>}
+     */
+    const settleProject = async (booking) => {
+        if (!booking.projectId) return;
+
+        if (booking.status === 'Completed') {
+            await Project.updateOne(
+                { _id: booking.projectId, status: 'Assigned' },
+                { status: 'Completed' }
+            );
+            return;
+        }
+
+        const proposal = await Proposal.findOneAndUpdate(
+            { bookingId: booking._id, status: 'Accepted' },
+            { status: 'Cancelled', updatedAt: Date.now() }
+        );
+
+        if (!proposal) return;
+
+        await Proposal.updateMany(
+            {
+                projectId: proposal.projectId,
+                status: 'Declined',
+                respondedAt: { $gte: proposal.respondedAt },
+            },
+            { status: 'Pending', $unset: { respondedAt: 1 } }
+        );
+        await Project.updateOne(
+            { _id: proposal.projectId, status: 'Assigned' },
+            { status: 'Open' }
+        );
+    };
+
+    /**
+     * Prices the craftsman's travel to the client's location on a new booking,
+     * from the craftsman's rate card or the platform's pricing. Clients outside
+     * the craftsman's travel radius cannot book them.
+     *
+     * @function priceTravel
+     * @async
+     * @param {Object} booking - The new booking, with its craftsman set.
+     * @returns {Promise<void>}
+     * @throws {AppError} If the client is outside the craftsman's travel radius or did not give a location the craftsman needs.
+     */
+    const priceTravel = async (booking) => {
+        const profile = await CraftsmanProfile.findOne({
+            userId: booking.craftsmanId,
+        }).select('location rateCard maxTravelKm');
+
+        if (!profile || !profile.location) return;
+
+        if (!booking.clientLocation) {
+            if (profile.maxTravelKm) {
+                throw new AppError(
+                    'Please provide the location of the job, this craftsman only travels within a radius',
+                    400
+                );
+            }
+
+            return;
+        }
+
+        const distanceKm =
+            Math.round(
+                travel.haversineDistance(
+                    profile.location.coordinates,
+                    booking.clientLocation.coordinates
+                ) * 10
+            ) / 10;
+
+        if (profile.maxTravelKm && distanceKm > profile.maxTravelKm) {
+            throw new AppError(
+                `This craftsman only travels up to ${profile.maxTravelKm} km, the job is ${distanceKm} km away`,
+                400
+            );
+        }
+
+        booking.distanceKm = distanceKm;
+        booking.travelFee = travel.calculateTravelFee(
+            distanceKm,
+            profile.rateCard
+        );
+    };
+
+    /**
+     * Retrieves a booking the user takes part in, as the client or the craftsman.
+     *
+     * @function getOneForUser
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<Object>} - A promise that resolves to the booking or null.
+     * @example
+     * const booking = await bookingService.getOneForUser('booking123', req.user);
+     */
+    const getOneForUser = async (bookingId, user) => {
+        const filter = { _id: bookingId };
+
+        if (user.role !== 'admin') {
+            filter.$or = [{ clientId: user.id }, { craftsmanId: user.id }];
+        }
+
+        return await Booking.findOne(filter).select('-__v');
+    };
+
+    /**
+     * Reserves a slot and books it for a client.
+     *
+     * The slot is reserved first with a conditional update, so of two clients
+     * racing for the same slot only one gets it. If the booking then cannot be
+     * saved, e.g. the client is out of the craftsman's travel radius, the slot
+     * is released again.
+     *
+     * Bookings with a price agreed on beforehand (`feesLockedAt`), like accepted
+     * proposals, already include the travel and may be made without a slot, to
+     * be scheduled later with a reschedule request.
+     *
+     * @function createBooking
+     * @async
+     * @param {string} clientId - The unique identifier of the client user.
+     * @param {Object} bookingData - The booking data.
+     * @param {string} bookingData.timeSlotId - The unique identifier of the slot to book.
+     * @param {string} [bookingData.craftsmanId] - The craftsman to book, the slot must be theirs (required without a slot).
+     * @param {string} [bookingData.projectId] - A project of the client the booking is for.
+     * @param {Object} [bookingData.clientLocation] - The GeoJSON location of the job, used to price the craftsman's travel.
+     * @returns {Promise<Object>} - A promise that resolves to the new booking.
+     * @throws {AppError} If the project is not the client's, the slot does not exist, is not the craftsman's, has passed or is already booked (409).
+     * @example
+     * const booking = await bookingService.createBooking('user123', {
+     *   timeSlotId: 'slot123',
+     *   serviceId: 'service123',
+     *   paymentMethod: 'Cash',
+     * });
+     */
+    const createBooking = async (clientId, bookingData) => {
+        if (
+            bookingData.projectId &&
+            !(await Project.exists({ _id: bookingData.projectId, clientId }))
+        ) {
+            throw new AppError('No project of yours found with that ID', 404);
+        }
+
+        const booking = new Booking({
+            ...bookingData,
+            clientId,
+            status: 'Pending',
+            statusHistory: [{ status: 'Pending', changedBy: clientId }],
+            cancellationPolicy: CANCELLATION_POLICY,
+        });
+
+        const slot =
+            bookingData.timeSlotId &&
+            (await reserveSlot(bookingData.timeSlotId, booking._id));
+        const release = async () => {
+            if (slot) await releaseSlot(slot._id, booking._id);
+        };
+
+        if (slot) {
+            if (
+                booking.craftsmanId &&
+                !slot.craftsmanId.equals(booking.craftsmanId)
+            ) {
+                await release();
+                throw new AppError('This slot is not of the craftsman', 400);
+            }
+
+            booking.craftsmanId = slot.craftsmanId;
+            booking.startsAt = slot.startsAt;
+            booking.endsAt = slot.endsAt;
+        }
+
+        if (!booking.craftsmanId) {
+            throw new AppError('Please provide the slot to book', 400);
+        }
+
+        if (booking.craftsmanId.equals(clientId)) {
+            await release();
+            throw new AppError('You cannot book your own slot', 400);
+        }
+
+        try {
+            if (!booking.feesLockedAt) await priceTravel(booking);
+            await booking.save();
+        } catch (err) {
+            await release();
+            throw err;
+        }
+
+        booking.__v = undefined;
+
+        return booking;
+    };
+
+    /**
+     * Retrieves a booking the user may act on: as its client, its craftsman or an admin.
+     *
+     * @function getOwnBooking
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<Object>} - A promise that resolves to the booking.
+     * @throws {AppError} If the booking does not exist or belongs to someone else.
+     */
+    const getOwnBooking = async (bookingId, user) => {
+        const booking = await getOneForUser(bookingId, user);
+
+        // Both parties can see a booking but only the matching role can change it
+        if (
+            !booking ||
+            (user.role === 'craftsman' &&
+                `${booking.craftsmanId}` !== user.id) ||
+            (user.role === 'client' && `${booking.clientId}` !== user.id)
+        ) {
+            throw new AppError('No booking found with that ID', 404);
+        }
+
+        return booking;
+    };
+
+    /**
+     * Turns an open quote into an entry of the quote history.
+     *
+     * @function closeQuote
+     * @param {Object} quote - The open quote of a booking.
+     * @param {string} status - The outcome of the quote.
+     * @returns {Object} The closed quote.
+     */
+    const closeQuote = (quote, status) => ({
+        ...quote.toObject(),
+        status,
+        closedAt: Date.now(),
+    });
+
+    /**
+     * Computes what cancelling a booking costs at a given time.
+     *
+     * Cancelling is free until the free cancellation window of the booking's
+     * policy closes. After that, clients pay the penalty percentage of the fees,
+     * while late craftsman cancellations are free for the client but count
+     * against the craftsman's reliability. Admin cancellations are always free.
+     *
+     * @function quoteCancellation
+     * @param {Object} booking - The booking.
+     * @param {string} role - The role of the user cancelling.
+     * @param {Date} [now=new Date()] - The time of the cancellation.
+     * @returns {Object} The quote with `penalty` (EGP), `isLate`, `freeUntil` and the `policy`.
+     */
+    const quoteCancellation = (booking, role, now = new Date()) => {
+        const policy = booking.cancellationPolicy || {};
+        const freeUntil = booking.startsAt
+            ? new Date(
+                  booking.startsAt.getTime() -
+                      (policy.freeCancellationHours || 0) * 60 * 60 * 1000
+              )
+            : undefined;
+        const isLate =
+            Boolean(freeUntil) && now > freeUntil && role !== 'admin';
+        const penalty =
+            isLate && role === 'client'
+                ? Math.round(
+                      (booking.fees || 0) * (policy.penaltyPercent || 0)
+                  ) / 100
+                : 0;
+
+        return {
+            penalty,
+            isLate,
+            freeUntil,
+            policy: {
+                freeCancellationHours: policy.freeCancellationHours,
+                penaltyPercent: policy.penaltyPercent,
+            },
+        };
+    };
+
+    /**
+     * Moves a booking to its next status.
+     *
+     * The status only changes if the booking is still in a status the transition
+     * starts from, checked in the same update, and the change is recorded in the
+     * status history. Cancelling a booking releases its slot.
+     *
+     * @function transitionBooking
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {string} action - The transition ('confirm', 'start', 'complete' or 'cancel').
+     * @param {Object} user - The authenticated user making the change.
+     * @param {Object} [options] - The transition options.
+     * @param {string} [options.reason] - Why the status changed (e.g. why the booking was cancelled).
+     * @returns {Promise<Object>} - A promise that resolves to the updated booking.
+     * @throws {AppError} If the user may not make the transition, the booking does not exist or is not in a valid status.
+     * @example
+     * const booking = await bookingService.transitionBooking('booking123', 'confirm', req.user);
+     */
+    const transitionBooking = async (
+        bookingId,
+        action,
+        user,
+        { reason } = {}
+    ) => {
+        const transition = TRANSITIONS[action];
+
+        if (!transition || !transition.roles.includes(user.role)) {
+            throw new AppError(
+                'You do not have permission to perform this action',
+                403
+            );
+        }
+
+        const booking = await getOwnBooking(bookingId, user);
+
+        const update = {
+            status: transition.to,
+            $push: {
+                statusHistory: {
+                    status: transition.to,
+                    reason,
+                    changedBy: user.id,
+                },
+            },
+        };
+
+        if (transition.to === 'Completed') update.completionAt = Date.now();
+
+        const cancellation =
+            transition.to === 'Cancelled' &&
+            quoteCancellation(booking, user.role);
+
+        if (cancellation) {
+            update.$unset = { rescheduleRequest: 1, quote: 1 };
+            update.cancellation = {
+                cancelledBy: user.id,
+                role: user.role,
+                reason,
+                penalty: cancellation.penalty,
+                isLate: cancellation.isLate,
+                cancelledAt: Date.now(),
+            };
+
+            if (booking.quote) {
+                update.$push.quoteHistory = closeQuote(
+                    booking.quote,
+                    'Withdrawn'
+                );
+            }
+        }
+
+        const updatedBooking = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: { $in: transition.from } },
+            update,
+            { new: true }
+        ).select('-__v');
+
+        if (!updatedBooking) {
+            throw new AppError(
+                `A booking that is ${booking.status} cannot be moved to ${transition.to}`,
+                409
+            );
+        }
+
+        if (transition.to === 'Cancelled' && updatedBooking.timeSlotId) {
+            await releaseSlot(updatedBooking.timeSlotId, updatedBooking._id);
+        }
+
+        if (['Completed', 'Cancelled'].includes(transition.to)) {
+            await settleProject(updatedBooking);
+        }
+
+        // Keep the craftsman's reliability stats up to date
+        const stats = {};
+
+        if (transition.to === 'Completed') {
+            stats['reliability.completedBookings'] = 1;
+        }
+
+        if (cancellation && user.role === 'craftsman') {
+            stats['reliability.cancelledBookings'] = 1;
+            if (cancellation.isLate) stats['reliability.lateCancellations'] = 1;
+        }
+
+        if (Object.keys(stats).length) {
+            await CraftsmanProfile.updateOne(
+                { userId: updatedBooking.craftsmanId },
+                { $inc: stats }
+            );
+        }
+
+        return updatedBooking;
+    };
+
+    /**
+     * Tells what cancelling a booking would cost the user right now, so it can be
+     * shown before the user confirms the cancellation.
+     *
+     * @function getCancellationQuote
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<Object>} - A promise that resolves to the quote with `canCancel`, `penalty`, `isLate`, `freeUntil` and the `policy`.
+     * @throws {AppError} If the booking does not exist or belongs to someone else.
+     * @example
+     * const { penalty } = await bookingService.getCancellationQuote('booking123', req.user);
+     */
+    const getCancellationQuote = async (bookingId, user) => {
+        const booking = await getOwnBooking(bookingId, user);
+
+        return {
+            canCancel: TRANSITIONS.cancel.from.includes(booking.status),
+            ...quoteCancellation(booking, user.role),
+        };
+    };
+
+    /**
+     * Proposes moving a pending or confirmed booking to another free slot of the
+     * same craftsman. The slot is not held until the other party accepts.
+     *
+     * @function proposeReschedule
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated client or craftsman of the booking.
+     * @param {string} slotId - The unique identifier of the proposed slot.
+     * @returns {Promise<Object>} - A promise that resolves to the booking with the proposal.
+     * @throws {AppError} If the slot cannot be booked or the booking already has a pending proposal (409).
+     * @example
+     * const booking = await bookingService.proposeReschedule('booking123', req.user, 'slot456');
+     */
+    const proposeReschedule = async (bookingId, user, slotId) => {
+        const booking = await getOwnBooking(bookingId, user);
+        const slot = await Availability.findById(slotId);
+
+        if (!slot || !slot.craftsmanId.equals(booking.craftsmanId)) {
+            throw new AppError(
+                'No slot of this craftsman found with that ID',
+                404
+            );
+        }
+
+        if (slot.isBooked || slot.startsAt <= new Date()) {
+            throw new AppError('This slot is not available anymore', 409);
+        }
+
+        const updatedBooking = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                status: { $in: ['Pending', 'Confirmed'] },
+                'rescheduleRequest.timeSlotId': { $exists: false },
+            },
+            {
+                rescheduleRequest: {
+                    timeSlotId: slot._id,
+                    startsAt: slot.startsAt,
+                    endsAt: slot.endsAt,
+                    proposedBy: user.id,
+                    proposedAt: Date.now(),
+                },
+            },
+            { new: true }
+        ).select('-__v');
+
+        if (!updatedBooking) {
+            throw new AppError(
+                TRANSITIONS.cancel.from.includes(booking.status)
+                    ? 'This booking already has a pending reschedule request'
+                    : `A booking that is ${booking.status} cannot be rescheduled`,
+                409
+            );
+        }
+
+        return updatedBooking;
+    };
+
+    /**
+     * Accepts the reschedule proposal of the other party: the proposed slot is
+     * reserved atomically, the booking moves to it keeping the old slot in its
+     * history, and the old slot is released. If the proposed slot was taken in
+     * the meantime, the proposal is dropped.
+     *
+     * @function acceptReschedule
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated client or craftsman of the booking.
+     * @returns {Promise<Object>} - A promise that resolves to the rescheduled booking.
+     * @throws {AppError} If there is no proposal to accept or the proposed slot was booked meanwhile (409).
+     * @example
+     * const booking = await bookingService.acceptReschedule('booking123', req.user);
+     */
+    const acceptReschedule = async (bookingId, user) => {
+        const booking = await getOwnBooking(bookingId, user);
+        const request = booking.rescheduleRequest;
+
+        if (!request || !request.timeSlotId) {
+            throw new AppError(
+                'This booking has no pending reschedule request',
+                404
+            );
+        }
+
+        if (`${request.proposedBy}` === user.id) {
+            throw new AppError(
+                'The other party has to accept your request',
+                403
+            );
+        }
+
+        try {
+            await reserveSlot(request.timeSlotId, booking._id);
+        } catch (err) {
+            await Booking.updateOne(
+                {
+                    _id: booking._id,
+                    'rescheduleRequest.timeSlotId': request.timeSlotId,
+                },
+                { $unset: { rescheduleRequest: 1 } }
+            );
+            throw err;
+        }
+
+        const updatedBooking = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                status: { $in: ['Pending', 'Confirmed'] },
+                'rescheduleRequest.timeSlotId': request.timeSlotId,
+            },
+            {
+                timeSlotId: request.timeSlotId,
+                startsAt: request.startsAt,
+                endsAt: request.endsAt,
+                $unset: { rescheduleRequest: 1 },
+                $push: {
+                    previousSlots: {
+                        timeSlotId: booking.timeSlotId,
+                        startsAt: booking.startsAt,
+                        endsAt: booking.endsAt,
+                        changedBy: user.id,
+                    },
+                },
+            },
+            { new: true }
+        ).select('-__v');
+
+        if (!updatedBooking) {
+            await releaseSlot(request.timeSlotId, booking._id);
+            throw new AppError(
+                'This booking cannot be rescheduled anymore',
+                409
+            );
+        }
+
+        if (booking.timeSlotId) {
+            await releaseSlot(booking.timeSlotId, booking._id);
+        }
+
+        return updatedBooking;
+    };
+
+    /**
+     * Declines the reschedule proposal of the other party, or withdraws one's own.
+     *
+     * @function declineReschedule
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated client or craftsman of the booking.
+     * @returns {Promise<Object>} - A promise that resolves to the booking without the proposal.
+     * @throws {AppError} If there is no proposal to decline.
+     * @example
+     * const booking = await bookingService.declineReschedule('booking123', req.user);
+     */
+    const declineReschedule = async (bookingId, user) => {
+        const booking = await getOwnBooking(bookingId, user);
+
+        const updatedBooking = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                'rescheduleRequest.timeSlotId': { $exists: true },
+            },
+            { $unset: { rescheduleRequest: 1 } },
+            { new: true }
+        ).select('-__v');
+
+        if (!updatedBooking) {
+            throw new AppError(
+                'This booking has no pending reschedule request',
+                404
+            );
+        }
+
+        return updatedBooking;
+    };
+
+    /**
+     * Submits a quote for a pending or confirmed booking whose fees were not
+     * agreed on yet. Craftsmen quote the job at any time, while clients can only
+     * answer an open quote with a counter offer. A new quote replaces the open
+     * one, which is kept in the quote history as countered or revised.
+     *
+     * @function submitQuote
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated client or craftsman of the booking.
+     * @param {Object} quoteData - The quote data.
+     * @param {Object[]} quoteData.items - The line items, each with a `description`, a `quantity` and a `unitPrice`.
+     * @param {number} [quoteData.validForHours=48] - For how many hours the quote can be accepted.
+     * @param {string} [quoteData.note] - A message for the other party.
+     * @returns {Promise<Object>} - A promise that resolves to the booking with the new quote.
+     * @throws {AppError} If the fees were already agreed on, the booking has started, or the open quote changed meanwhile (409).
+     * @example
+     * const booking = await bookingService.submitQuote('booking123', req.user, {
+     *   items: [{ description: 'Replace the sink', quantity: 1, unitPrice: 450 }],
+     *   validForHours: 24,
+     * });
+     */
+    const submitQuote = async (
+        bookingId,
+        user,
+        { items, validForHours = QUOTE_VALIDITY_HOURS, note } = {}
+    ) => {
+        const booking = await getOwnBooking(bookingId, user);
+        const openQuote = booking.quote;
+
+        if (booking.feesLockedAt) {
+            throw new AppError(
+                'The fees of this booking have already been agreed on',
+                409
+            );
+        }
+
+        if (!NEGOTIABLE_STATUSES.includes(booking.status)) {
+            throw new AppError(
+                `The fees of a booking that is ${booking.status} cannot be negotiated`,
+                409
+            );
+        }
+
+        if (user.role === 'client' && !openQuote) {
+            throw new AppError(
+                'You can only counter a quote of the craftsman',
+                400
+            );
+        }
+
+        const hours = Number(validForHours);
+
+        if (!(hours > 0 && hours <= QUOTE_MAX_VALIDITY_HOURS)) {
+            throw new AppError(
+                `A quote must be valid for up to ${QUOTE_MAX_VALIDITY_HOURS} hours`,
+                400
+            );
+        }
+
+        // Build the quote on a draft booking to validate it before saving
+        const { quote } = new Booking({
+            quote: {
+                items,
+                note,
+                validUntil: Date.now() + hours * 60 * 60 * 1000,
+                proposedBy: user.id,
+                role: user.role,
+            },
+        });
+        const error = quote.validateSync();
+
+        if (error) throw error;
+
+        quote.total =
+            Math.round(
+                quote.items.reduce(
+                    (total, item) =>
+                        total + item.quantity * item.unitPrice * 100,
+                    0
+                )
+            ) / 100;
+
+        const update = { quote: quote.toObject() };
+
+        if (openQuote) {
+            update.$push = {
+                quoteHistory: closeQuote(
+                    openQuote,
+                    `${openQuote.proposedBy}` === user.id
+                        ? 'Revised'
+                        : 'Countered'
+                ),
+            };
+        }
+
+        const updatedBooking = await Booking.findOneAndUpdate(
+            {
+                _id: booking._id,
+                status: { $in: NEGOTIABLE_STATUSES },
+                feesLockedAt: { $exists: false },
+                'quote._id': openQuote ? openQuote._id : { $exists: false },
+            },
+            update,
+            { new: true }
+        ).select('-__v');
+
+        if (!updatedBooking) {
+            throw new AppError(
+                'The quote of this booking changed in the meantime, please try again',
+                409
+            );
+        }
+
+        return updatedBooking;
+    };
+
+    /**
+     * Answers the open quote of the other party. An accepted quote locks the
+     * booking fees to its total, an expired quote cannot be accepted anymore.
+     *
+     * @function answerQuote
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated client or craftsman of the booking.
+     * @param {string} status - The answer ('Accepted' or 'Rejected').
+     * @returns {Promise<Object>} - A promise that resolves to the booking with the quote closed.
+     * @throws {AppError} If there is no open quote, it is the user's own quote, or it has expired (409).
+     */
+    const answerQuote = async (bookingId, user, status) => {
+        const booking = await getOwnBooking(bookingId, user);
+        const { quote } = booking;
+
+        if (!quote) {
+            throw new AppError('This booking has no open quote', 404);
+        }
+
+        if (`${quote.proposedBy}` === user.id) {
+            throw new AppError('The other party has to answer your quote', 403);
+        }
+
+        const filter = {
+            _id: booking._id,
+            status: { $in: NEGOTIABLE_STATUSES },
+            feesLockedAt: { $exists: false },
+            'quote._id': quote._id,
+        };
+
+        if (status === 'Accepted' && quote.validUntil <= new Date()) {
+            await Booking.updateOne(filter, {
+                $unset: { quote: 1 },
+                $push: { quoteHistory: closeQuote(quote, 'Expired') },
+            });
+            throw new AppError('This quote has expired', 409);
+        }
+
+        const update = {
+            $unset: { quote: 1 },
+            $push: { quoteHistory: closeQuote(quote, status) },
+        };
+
+        if (status === 'Accepted') {
+            update.fees = quote.total;
+            update.feesLockedAt = Date.now();
+        }
+
+        const updatedBooking = await Booking.findOneAndUpdate(filter, update, {
+            new: true,
+        }).select('-__v');
+
+        if (!updatedBooking) {
+            throw new AppError('This quote cannot be answered anymore', 409);
+        }
+
+        return updatedBooking;
+    };
+
+    /**
+     * Accepts the open quote of the other party, locking the booking fees to its total.
+     *
+     * @function acceptQuote
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated client or craftsman of the booking.
+     * @returns {Promise<Object>} - A promise that resolves to the booking with the agreed fees.
+     * @throws {AppError} If there is no open quote to accept or it has expired (409).
+     * @example
+     * const booking = await bookingService.acceptQuote('booking123', req.user);
+     */
+    const acceptQuote = (bookingId, user) =>
+        answerQuote(bookingId, user, 'Accepted');
+
+    /**
+     * Rejects the open quote of the other party, the fees stay open for a new quote.
+     *
+     * @function rejectQuote
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated client or craftsman of the booking.
+     * @returns {Promise<Object>} - A promise that resolves to the booking with the quote rejected.
+     * @throws {AppError} If there is no open quote to reject.
+     * @example
+     * const booking = await bookingService.rejectQuote('booking123', req.user);
+     */
+    const rejectQuote = (bookingId, user) =>
+        answerQuote(bookingId, user, 'Rejected');
+
+    /**
+     * Cancels the pending bookings nobody confirmed in time, either because they
+     * were made more than the pending TTL ago or because their slot already
+     * started, and frees their slots. The occurrences of expired series
+     * bookings are cancelled with them.
+     *
+     * Bookings without a slot or with a price both parties agreed on
+     * (`feesLockedAt`), like accepted proposals, never expire: they wait for
+     * the parties to schedule and confirm them.
+     *
+     * Each booking is only cancelled if it is still pending, checked in the same
+     * update, so app instances running this at the same time never expire the
+     * same booking twice. The same update leaves a pending notice on the
+     * booking until its parties are told, see `getPendingExpiryNotices`.
+     *
+     * @function expirePendingBookings
+     * @async
+     * @param {Object} [options] - The expiry options.
+     * @param {number} [options.limit=100] - How many bookings to expire at most in one run.
+     * @returns {Promise<Object[]>} - A promise that resolves to the bookings this call expired.
+     * @example
+     * const expired = await bookingService.expirePendingBookings();
+     */
+    const expirePendingBookings = async ({ limit = 100 } = {}) => {
+        const now = new Date();
+        const reason = 'Expired: the booking was not confirmed in time';
+
+        const candidates = await Booking.find({
+            status: 'Pending',
+            timeSlotId: { $exists: true },
+            feesLockedAt: { $exists: false },
+            $or: [
+                {
+                    createAt: {
+                        $lte: new Date(
+                            now.getTime() - PENDING_TTL_HOURS * 60 * 60 * 1000
+                        ),
+                    },
+                },
+                { startsAt: { $lte: now } },
+            ],
+        })
+            .sort('createAt')
+            .limit(limit);
+
+        const expired = await Promise.all(
+            candidates.map(async (booking) => {
+                const update = {
+                    status: 'Cancelled',
+                    $unset: { rescheduleRequest: 1, quote: 1 },
+                    $push: {
+                        statusHistory: { status: 'Cancelled', reason },
+                    },
+                    cancellation: {
+                        role: 'system',
+                        reason,
+                        penalty: 0,
+                        isLate: false,
+                        cancelledAt: now,
+                        noticePending: true,
+                    },
+                };
+
+                if (booking.quote) {
+                    update.$push.quoteHistory = closeQuote(
+                        booking.quote,
+                        'Withdrawn'
+                    );
+                }
+
+                const expiredBooking = await Booking.findOneAndUpdate(
+                    { _id: booking._id, status: 'Pending' },
+                    update,
+                    { new: true }
+                ).select('-__v');
+
+                if (expiredBooking && expiredBooking.timeSlotId) {
+                    await releaseSlot(
+                        expiredBooking.timeSlotId,
+                        expiredBooking._id
+                    );
+                }
+
+                if (expiredBooking) await settleProject(expiredBooking);
+
+                if (expiredBooking && expiredBooking.seriesId) {
+                    await BookingSeries.updateOne(
+                        {
+                            _id: expiredBooking.seriesId,
+                            'occurrences.bookingId': expiredBooking._id,
+                        },
+                        {
+                            'occurrences.$.status': 'Cancelled',
+                            'occurrences.$.reason': reason,
+                        }
+                    );
+                }
+
+                return expiredBooking;
+            })
+        );
+
+        return expired.filter(Boolean);
+    };
+
+    /**
+     * Retrieves the expired bookings whose parties were not told yet, including
+     * the ones a previous run expired but failed to notify.
+     *
+     * @function getPendingExpiryNotices
+     * @async
+     * @param {Object} [options] - The query options.
+     * @param {number} [options.limit=100] - How many bookings to retrieve at most.
+     * @returns {Promise<Object[]>} - A promise that resolves to the bookings with their parties and start.
+     * @example
+     * const bookings = await bookingService.getPendingExpiryNotices();
+     */
+    const getPendingExpiryNotices = async ({ limit = 100 } = {}) =>
+        await Booking.find({ 'cancellation.noticePending': true })
+            .sort('cancellation.cancelledAt')
+            .limit(limit)
+            .select('clientId craftsmanId startsAt');
+
+    /**
+     * Records that the parties of an expired booking were told about it.
+     *
+     * @function clearExpiryNotice
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @returns {Promise<void>}
+     * @example
+     * await bookingService.clearExpiryNotice('booking123');
+     */
+    const clearExpiryNotice = async (bookingId) => {
+        await Booking.updateOne(
+            { _id: bookingId },
+            { $unset: { 'cancellation.noticePending': 1 } }
+        );
+    };
+
+    /**
+     * Deletes a pending booking that was made as part of an operation that then
+     * failed, e.g. placing the occurrences of a series, and frees its slot.
+     * Bookings confirmed in the meantime are kept.
+     *
+     * @function discardBooking
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @returns {Promise<void>}
+     * @example
+     * await bookingService.discardBooking('booking123');
+     */
+    const discardBooking = async (bookingId) => {
+        const booking = await Booking.findOneAndDelete({
+            _id: bookingId,
+            status: 'Pending',
+        });
+
+        if (booking && booking.timeSlotId) {
+            await releaseSlot(booking.timeSlotId, booking._id);
+        }
+    };
+
+    return {
+        getAll,
+        count,
+        getOneForUser,
+        createBooking,
+        transitionBooking,
+        getCancellationQuote,
+        proposeReschedule,
+        acceptReschedule,
+        declineReschedule,
+        submitQuote,
+        acceptQuote,
+        rejectQuote,
+        expirePendingBookings,
+        getPendingExpiryNotices,
+        clearExpiryNotice,
+        discardBooking,
+    };
+};
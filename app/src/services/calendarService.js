@@ -0,0 +1,206 @@
+/**
+ * Calendar Service Module
+ * @module calendarService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Object} dependencies.models - Mongoose models.
+ * @param {Model} dependencies.models.Booking - The Mongoose Booking model exported as events.
+ * @param {Model} dependencies.models.Availability - The Mongoose Availability model (blocked slots).
+ * @param {Model} dependencies.models.CraftsmanProfile - The Mongoose CraftsmanProfile model holding the feed tokens.
+ * @param {Object} dependencies.bookingService - The booking service used to find the bookings of a user.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors and building calendars.
+ * @param {Object} dependencies.libraries - External libraries like crypto.
+ *
+ * @typedef {Object} CalendarService
+ * @property {Function} createFeedToken - Creates a new calendar feed token for a craftsman, revoking the previous one.
+ * @property {Function} getCraftsmanFeed - Builds the iCalendar feed of the craftsman owning a feed token.
+ * @property {Function} getBookingCalendar - Builds an iCalendar document with a single booking.
+ *
+ * @returns {CalendarService} An object containing calendar-related service methods.
+ */
+module.exports = ({ models, bookingService, utils, libraries }) => {
+    const { Booking, Availability, CraftsmanProfile } = models;
+    const { AppError, ICalendar } = utils;
+    const { crypto } = libraries;
+
+    // How far back the feed goes, calendar apps keep older events themselves
+    const FEED_PAST_DAYS = 30;
+
+    // Booking fields shown in calendar events
+    const bookingPopulates = [
+        { path: 'clientId', select: 'name phone' },
+        { path: 'projectId', select: 'title' },
+        { path: 'serviceId', select: 'name' },
+    ];
+
+    // Helpers functions
+    /**
+     * Hashes a feed token, only hashes are stored so a leaked database does not leak feeds.
+     *
+     * @function hashToken
+     * @param {string} token - The feed token.
+     * @returns {string} The hashed token.
+     */
+    const hashToken = (token) =>
+        crypto.createHash('sha256').update(`${token}`).digest('hex');
+
+    /**
+     * Turns a populated booking into a calendar event.
+     *
+     * @function toEvent
+     * @param {Object} booking - The booking with its client, project and service populated.
+     * @returns {Object} The calendar event.
+     */
+    const toEvent = (booking) => {
+        const client = booking.clientId || {};
+        const title = booking.serviceId ? booking.serviceId.name : 'Booking';
+        const details = [
+            booking.projectId && `Project: ${booking.projectId.title}`,
+            client.name && `Client: ${client.name}`,
+            (booking.clientPhone || client.phone) &&
+                `Phone: ${booking.clientPhone || client.phone}`,
+            `Status: ${booking.status}`,
+        ];
+        const statuses = { Pending: 'TENTATIVE', Cancelled: 'CANCELLED' };
+
+        return {
+            id: `booking-${booking._id}`,
+            start: booking.startsAt,
+            end: booking.endsAt,
+            summary: client.name ? `${title} - ${client.name}` : title,
+            description: details.filter(Boolean).join('\n'),
+            location: booking.clientAddress,
+            coordinates:
+                booking.clientLocation && booking.clientLocation.coordinates,
+            status: statuses[booking.status] || 'CONFIRMED',
+        };
+    };
+
+    /**
+     * Creates a new calendar feed token for a craftsman, revoking the previous one.
+     *
+     * @function createFeedToken
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @returns {Promise<string>} - A promise that resolves to the new feed token, only known to the craftsman.
+     * @throws {AppError} If the craftsman has no profile.
+     * @example
+     * const token = await calendarService.createFeedToken('user123');
+     */
+    const createFeedToken = async (craftsmanId) => {
+        const token = crypto.randomBytes(32).toString('hex');
+
+        const profile = await CraftsmanProfile.findOneAndUpdate(
+            { userId: craftsmanId },
+            { calendarToken: hashToken(token) }
+        );
+
+        if (!profile) {
+            throw new AppError('Craftsman profile not found', 404);
+        }
+
+        return token;
+    };
+
+    /**
+     * Builds the iCalendar feed of the craftsman owning a feed token: confirmed
+     * and ongoing bookings from the last 30 days on, and optionally the other
+     * booked slots (e.g. held by pending bookings) as blocked time.
+     *
+     * @function getCraftsmanFeed
+     * @async
+     * @param {string} token - The feed token.
+     * @param {Object} [options] - The feed options.
+     * @param {boolean} [options.includeBlocked=false] - Whether to export the other booked slots.
+     * @returns {Promise<string>} - A promise that resolves to the iCalendar document.
+     * @throws {AppError} If the token is unknown or was revoked.
+     * @example
+     * const ics = await calendarService.getCraftsmanFeed(req.params.token, { includeBlocked: true });
+     */
+    const getCraftsmanFeed = async (token, { includeBlocked = false } = {}) => {
+        const profile = await CraftsmanProfile.findOne({
+            calendarToken: hashToken(token),
+        }).populate({ path: 'userId', select: 'name' });
+
+        if (!profile) {
+            throw new AppError(
+                'This calendar link is invalid or was revoked',
+                404
+            );
+        }
+
+        const craftsman = profile.userId;
+        const since = new Date(
+            Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000
+        );
+        const calendar = new ICalendar({
+            name: `Sala7ly - ${craftsman.name || 'Bookings'}`,
+        });
+
+        const bookings = await Booking.find({
+            craftsmanId: craftsman._id,
+            status: { $in: ['Confirmed', 'In progress'] },
+            startsAt: { $gte: since },
+        })
+            .sort('startsAt')
+            .populate(bookingPopulates);
+
+        bookings.forEach((booking) => calendar.addEvent(toEvent(booking)));
+
+        if (includeBlocked) {
+            const slots = await Availability.find({
+                craftsmanId: craftsman._id,
+                isBooked: true,
+                startsAt: { $gte: since },
+                bookingId: { $nin: bookings.map((booking) => booking._id) },
+            }).sort('startsAt');
+
+            slots.forEach((slot) =>
+                calendar.addEvent({
+                    id: `slot-${slot._id}`,
+                    start: slot.startsAt,
+                    end: slot.endsAt,
+                    summary: 'Blocked',
+                    status: 'TENTATIVE',
+                })
+            );
+        }
+
+        return calendar.toString();
+    };
+
+    /**
+     * Builds an iCalendar document with a single booking the user takes part in.
+     *
+     * @function getBookingCalendar
+     * @async
+     * @param {string} bookingId - The unique identifier of the booking.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<string>} - A promise that resolves to the iCalendar document.
+     * @throws {AppError} If the booking does not exist or has no slot.
+     * @example
+     * const ics = await calendarService.getBookingCalendar('booking123', req.user);
+     */
+    const getBookingCalendar = async (bookingId, user) => {
+        const booking = await bookingService.getOneForUser(bookingId, user);
+
+        if (!booking) {
+            throw new AppError('No booking found with that ID', 404);
+        }
+
+        if (!booking.startsAt) {
+            throw new AppError('This booking has no time slot', 400);
+        }
+
+        await booking.populate(bookingPopulates);
+
+        return new ICalendar({ name: 'Sala7ly booking' })
+            .addEvent(toEvent(booking))
+            .toString();
+    };
+
+    return {
+        createFeedToken,
+        getCraftsmanFeed,
+        getBookingCalendar,
+    };
+};
@@ -0,0 +1,61 @@
+/**
+ * Catalog Service Module
+ * @module catalogService
+ * @param {Model} Service - The Mongoose Service model (trades offered by craftsmen) for database operations.
+ * @param {Object} service - The service object containing methods for common CRUD operations.
+ * @param {Object} models - Related Mongoose models.
+ * @param {Model} models.CraftsmanProfile - The Mongoose CraftsmanProfile model linked to services.
+ *
+ * @typedef {Object} CatalogService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} getOneById - Retrieves a single document by its unique identifier.
+ * @property {Function} createOne - Creates a new document with the provided data.
+ * @property {Function} updateOneById - Updates an existing document by its unique identifier.
+ * @property {Function} deleteOneById - Deletes a service and unlinks it from every craftsman profile.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} isExist - Checks if a document with the specified unique identifier exists.
+ *
+ * @returns {CatalogService} An object containing service catalog methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = (Service, service, models) => {
+    const { CraftsmanProfile } = models;
+    const {
+        getAll,
+        getOneById,
+        createOne,
+        updateOneById,
+        deleteOneById: deleteServiceById,
+        count,
+        isExist,
+    } = service(Service);
+
+    /**
+     * Deletes a service and unlinks it from every craftsman profile.
+     *
+     * @function deleteOneById
+     * @async
+     * @param {string} id - The unique identifier of the service to delete.
+     * @returns {Promise} - A promise indicating the success of the delete operation.
+     * @example
+     * await catalogService.deleteOneById('service123');
+     */
+    const deleteOneById = async (id) => {
+        await CraftsmanProfile.updateMany(
+            { services: id },
+            { $pull: { services: id } }
+        );
+
+        return await deleteServiceById(id);
+    };
+
+    return {
+        getAll,
+        getOneById,
+        createOne,
+        updateOneById,
+        deleteOneById,
+        count,
+        isExist,
+    };
+};
@@ -0,0 +1,138 @@
+/**
+ * Client Service Module
+ * @module clientService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose ClientProfile model for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.User - The Mongoose User model.
+ * @param {Model} dependencies.models.CraftsmanProfile - The Mongoose CraftsmanProfile model used for craftsman cards.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ *
+ * @typedef {Object} ClientService
+ * @property {Function} getOneByUserId - Retrieves the client profile linked to a user, creating it if missing.
+ * @property {Function} getFavorites - Retrieves the favorite craftsmen of a client as craftsman cards.
+ * @property {Function} addFavorite - Adds a craftsman to the favorites of a client.
+ * @property {Function} removeFavorite - Removes a craftsman from the favorites of a client.
+ *
+ * @returns {ClientService} An object containing client-related service methods.
+ */
+module.exports = ({ model, models, utils }) => {
+    const { User, CraftsmanProfile } = models;
+    const { AppError } = utils;
+
+    /**
+     * Retrieves the client profile linked to a user, creating it if missing
+     * (clients registered before profiles existed have none).
+     *
+     * @function getOneByUserId
+     * @async
+     * @param {string} userId - The unique identifier of the client user.
+     * @returns {Promise<Object>} - A promise that resolves to the client profile.
+     * @example
+     * const profile = await clientService.getOneByUserId('user123');
+     */
+    const getOneByUserId = async (userId) => {
+        const profile = await model
+            .findOneAndUpdate(
+                { userid: userId },
+                { $setOnInsert: { userid: userId } },
+                { new: true, upsert: true }
+            )
+            .select('-__v');
+
+        return profile;
+    };
+
+    /**
+     * Retrieves the favorite craftsmen of a client as craftsman cards
+     * (name, photo, governrate and rating), most recently added first.
+     *
+     * @function getFavorites
+     * @async
+     * @param {string} userId - The unique identifier of the client user.
+     * @returns {Promise<Object[]>} - A promise that resolves to the craftsman cards.
+     * @example
+     * const favorites = await clientService.getFavorites('user123');
+     */
+    const getFavorites = async (userId) => {
+        const { favoriteCraftsmen } = await getOneByUserId(userId);
+
+        const cards = await CraftsmanProfile.find({
+            userId: { $in: favoriteCraftsmen },
+        })
+            .select(
+                'userId governrate verified ratingsAverage ratingsQuantity services'
+            )
+            .populate({ path: 'userId', select: 'name photo' })
+            .populate({ path: 'services', select: 'name nameAr slug' });
+
+        // Most recently added first, skipping craftsmen whose user was deleted
+        const order = favoriteCraftsmen.map((id) => id.toString()).reverse();
+
+        return cards
+            .filter((card) => card.userId)
+            .sort(
+                (a, b) =>
+                    order.indexOf(a.userId._id.toString()) -
+                    order.indexOf(b.userId._id.toString())
+            );
+    };
+
+    /**
+     * Adds a craftsman to the favorites of a client.
+     *
+     * @function addFavorite
+     * @async
+     * @param {string} userId - The unique identifier of the client user.
+     * @param {string} craftsmanId - The user ID of the craftsman to add.
+     * @returns {Promise<Object[]>} - A promise that resolves to the updated favorite craftsmen cards.
+     * @throws {AppError} If the given user is not a craftsman.
+     * @example
+     * const favorites = await clientService.addFavorite('user123', 'craftsman123');
+     */
+    const addFavorite = async (userId, craftsmanId) => {
+        const isCraftsman = await User.exists({
+            _id: craftsmanId,
+            role: 'craftsman',
+        });
+
+        if (!isCraftsman) {
+            throw new AppError('Only craftsmen can be added to favorites', 400);
+        }
+
+        await model.updateOne(
+            { userid: userId },
+            { $addToSet: { favoriteCraftsmen: craftsmanId } },
+            { upsert: true }
+        );
+
+        return await getFavorites(userId);
+    };
+
+    /**
+     * Removes a craftsman from the favorites of a client.
+     *
+     * @function removeFavorite
+     * @async
+     * @param {string} userId - The unique identifier of the client user.
+     * @param {string} craftsmanId - The user ID of the craftsman to remove.
+     * @returns {Promise<Object[]>} - A promise that resolves to the updated favorite craftsmen cards.
+     * @example
+     * const favorites = await clientService.removeFavorite('user123', 'craftsman123');
+     */
+    const removeFavorite = async (userId, craftsmanId) => {
+        await model.updateOne(
+            { userid: userId },
+            { $pull: { favoriteCraftsmen: craftsmanId } }
+        );
+
+        return await getFavorites(userId);
+    };
+
+    return {
+        getOneByUserId,
+        getFavorites,
+        addFavorite,
+        removeFavorite,
+    };
+};
@@ -0,0 +1,248 @@
+/**
+ * Craftsman Service Module
+ * @module craftsmanService
+ * @param {Model} CraftsmanProfile - The Mongoose CraftsmanProfile model for database operations.
+ * @param {Object} service - The service object containing methods for common CRUD operations.
+ * @param {Object} models - Related Mongoose models used for searching.
+ * @param {Model} models.User - The Mongoose User model.
+ * @param {Model} models.Service - The Mongoose Service model.
+ * @param {Object} utils - Utility functions and classes, such as APIFeatures.
+ *
+ * @typedef {Object} CraftsmanService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} getOneById - Retrieves a single document by its unique identifier.
+ * @property {Function} createOne - Creates a new document with the provided data.
+ * @property {Function} updateOneById - Updates an existing document by its unique identifier.
+ * @property {Function} deleteOneById - Deletes a document by its unique identifier.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} isExist - Checks if a document with the specified unique identifier exists.
+ * @property {Function} getOneByUserId - Retrieves the craftsman profile linked to a user.
+ * @property {Function} updateOneByUserId - Updates the craftsman profile linked to a user.
+ * @property {Function} getNearby - Retrieves craftsman profiles around a point, sorted by distance.
+ * @property {Function} buildSearchFilter - Builds profile filter criteria from service, craftsman name and price search terms.
+ *
+ * @returns {CraftsmanService} An object containing craftsman-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = (CraftsmanProfile, service, models, utils) => {
+    const { User, Service } = models;
+    const { APIFeatures } = utils;
+
+    const {
+        getAll,
+        getOneById,
+        createOne,
+        updateOneById,
+        deleteOneById,
+        count,
+        isExist,
+    } = service(CraftsmanProfile);
+
+    /**
+     * Retrieves the craftsman profile linked to a user.
+     *
+     * @function getOneByUserId
+     * @async
+     * @param {string} userId - The unique identifier of the craftsman user.
+     * @param {Object} options - Options for populating fields in the retrieved document.
+     * @param {string[]} options.populates - The fields to populate in the retrieved document.
+     * @returns {Promise<Object>} - A promise that resolves to the craftsman profile or null.
+     * @example
+     * const profile = await craftsmanService.getOneByUserId('user123', {});
+     */
+    const getOneByUserId = async (userId, { populates = [] }) => {
+        const query = CraftsmanProfile.findOne({ userId }).select('-__v');
+
+        populates.forEach((item) => query.populate(item));
+
+        const doc = await query;
+
+        return doc;
+    };
+
+    /**
+     * Updates the craftsman profile linked to a user.
+     *
+     * @function updateOneByUserId
+     * @async
+     * @param {string} userId - The unique identifier of the craftsman user.
+     * @param {Object} updatedFields - The fields to update in the profile.
+     * @returns {Promise<Object>} - A promise that resolves to the updated profile or null.
+     * @example
+     * const profile = await craftsmanService.updateOneByUserId('user123', {
+     *   about: 'Plumber with 10 years of experience',
+     * });
+     */
+    const updateOneByUserId = async (userId, updatedFields = {}) => {
+        const updatedDoc = await CraftsmanProfile.findOneAndUpdate(
+            { userId },
+            updatedFields,
+            {
+                new: true,
+                runValidators: true,
+            }
+        );
+
+        if (updatedDoc) updatedDoc.__v = undefined;
+
+        return updatedDoc;
+    };
+
+    /**
+     * Retrieves craftsman profiles around a point, nearest first.
+     * Each profile gets a computed `distance` field in kilometers.
+     *
+     * @function getNearby
+     * @async
+     * @param {Object} options - Options for the geospatial query.
+     * @param {number[]} options.coordinates - The [longitude, latitude] of the search origin.
+     * @param {number} options.maxDistance - The search radius in meters.
+     * @param {Object} options.filter - Additional filter criteria for the profiles.
+     * @param {number} options.page - The page number for pagination, anything but a positive integer reads as 1.
+     * @param {number} options.pageLimit - The maximum number of documents to retrieve per page, anything but a positive integer reads as 100.
+     * @param {Array} options.populates - The fields to populate in the retrieved documents.
+     * @returns {Promise<{docs: Object[], total: number}>} - A promise that resolves to the page of profiles and the total count of matches.
+     * @example
+     * const { docs, total } = await craftsmanService.getNearby({
+     *   coordinates: [31.2357, 30.0444],
+     *   maxDistance: 10000,
+     *   filter: { governrate: 'Cairo' },
+     *   page: 1,
+     *   pageLimit: 10,
+     * });
+     */
+    const getNearby = async ({
+        coordinates,
+        maxDistance,
+        filter = {},
+        page = 1,
+        pageLimit = 100,
+        populates = [],
+    }) => {
+        // $skip and $limit only take positive integers
+        const limit = APIFeatures.toPositiveInteger(pageLimit, 100);
+        const startIndex = (APIFeatures.toPositiveInteger(page, 1) - 1) * limit;
+
+        // Aggregation pipelines are not casted, so cast the filter up front
+        const query = CraftsmanProfile.find().cast(CraftsmanProfile, filter);
+
+        const [result] = await CraftsmanProfile.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates },
+                    distanceField: 'distance',
+                    maxDistance,
+                    query,
+                    spherical: true,
+                    // Report distances in kilometers
+                    distanceMultiplier: 0.001,
+                },
+            },
+            {
+                $facet: {
+                    docs: [
+                        { $skip: startIndex },
+                        { $limit: limit },
+                        { $project: { __v: 0 } },
+                        {
+                            $addFields: {
+                                distance: { $round: ['$distance', 2] },
+                            },
+                        },
+                    ],
+                    total: [{ $count: 'count' }],
+                },
+            },
+        ]);
+
+        const docs = await CraftsmanProfile.populate(result.docs, populates);
+        const total = result.total.length ? result.total[0].count : 0;
+
+        return { docs, total };
+    };
+
+    /**
+     * Builds profile filter criteria from service, craftsman name and price search terms.
+     *
+     * Price bounds match the fixed price of the searched service, or the starting
+     * price (`priceFrom`) of the rate card when no service is searched.
+     *
+     * @function buildSearchFilter
+     * @async
+     * @param {Object} searchTerms - The search terms.
+     * @param {string} [searchTerms.service] - The ID or slug of the service the craftsman offers.
+     * @param {string} [searchTerms.name] - A part of the craftsman's name (case insensitive).
+     * @param {number} [searchTerms.minPrice] - The lowest accepted price in EGP.
+     * @param {number} [searchTerms.maxPrice] - The highest accepted price in EGP.
+     * @returns {Promise<Object>} - A promise that resolves to the filter criteria for craftsman profiles.
+     * @example
+     * const filter = await craftsmanService.buildSearchFilter({
+     *   service: 'plumbing',
+     *   name: 'ahmed',
+     *   maxPrice: 300,
+     * });
+     */
+    const buildSearchFilter = async ({
+        service: serviceTerm,
+        name,
+        minPrice,
+        maxPrice,
+    }) => {
+        const filter = {};
+        const priceFilter = {};
+
+        if (minPrice !== undefined) priceFilter.$gte = minPrice;
+        if (maxPrice !== undefined) priceFilter.$lte = maxPrice;
+
+        const hasPriceFilter = Object.keys(priceFilter).length > 0;
+
+        if (serviceTerm) {
+            // Accept either a service ID or a service slug
+            const serviceDoc = await Service.findOne(
+                /^[a-f\d]{24}$/i.test(serviceTerm)
+                    ? { _id: serviceTerm }
+                    : { slug: `${serviceTerm}`.toLowerCase() }
+            ).select('_id');
+
+            // Unknown services match no craftsmen
+            filter.services = serviceDoc ? serviceDoc._id : { $in: [] };
+
+            if (serviceDoc && hasPriceFilter) {
+                filter['rateCard.services'] = {
+                    $elemMatch: { service: serviceDoc._id, price: priceFilter },
+                };
+            }
+        } else if (hasPriceFilter) {
+            filter.priceFrom = priceFilter;
+        }
+
+        if (name) {
+            const escapedName = `${name}`.replace(
+                /[.*+?^${}()|[\]\\]/g,
+                '\\$&'
+            );
+            const users = await User.find({
+                role: 'craftsman',
+                name: { $regex: escapedName, $options: 'i' },
+            }).select('_id');
+
+            filter.userId = { $in: users.map((user) => user._id) };
+        }
+
+        return filter;
+    };
+
+    return {
+        getAll,
+        getOneById,
+        createOne,
+        updateOneById,
+        deleteOneById,
+        count,
+        isExist,
+        getOneByUserId,
+        updateOneByUserId,
+        getNearby,
+        buildSearchFilter,
+    };
+};
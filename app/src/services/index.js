@@ -2,14 +2,145 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { DateTime } = require('luxon');
 const models = require('../models');
 const service = require('./service');
 const utils = require('../utils');
+const LocalDiskStorage = require('./storage/LocalDiskStorage');
+
+// Create the storage of uploaded files
+const storage = new LocalDiskStorage({
+    directory:
+        process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads'),
+});
 
 // Load Services
+const uploadService = require('./uploadService')({
+    storage,
+    utils,
+    libraries: {
+        sharp,
+        crypto,
+    },
+});
 const userService = require('./userService')(models.User, service);
+const craftsmanService = require('./craftsmanService')(
+    models.CraftsmanProfile,
+    service,
+    { User: models.User, Service: models.Service },
+    utils
+);
+const catalogService = require('./catalogService')(models.Service, service, {
+    CraftsmanProfile: models.CraftsmanProfile,
+});
+const verificationService = require('./verificationService')({
+    model: models.Verification,
+    models: { CraftsmanProfile: models.CraftsmanProfile },
+    service,
+    utils,
+});
+const clientService = require('./clientService')({
+    model: models.ClientProfile,
+    models: { User: models.User, CraftsmanProfile: models.CraftsmanProfile },
+    utils,
+});
+const portfolioService = require('./portfolioService')({
+    model: models.PortfolioItem,
+    models: {
+        CraftsmanProfile: models.CraftsmanProfile,
+        Booking: models.Booking,
+    },
+    service,
+    uploadService,
+    utils,
+});
+const availabilityService = require('./availabilityService')({
+    model: models.Availability,
+    models: {
+        Schedule: models.Schedule,
+        CraftsmanProfile: models.CraftsmanProfile,
+    },
+    utils,
+    libraries: {
+        DateTime,
+    },
+});
+const bookingService = require('./bookingService')({
+    model: models.Booking,
+    models: {
+        Availability: models.Availability,
+        CraftsmanProfile: models.CraftsmanProfile,
+        BookingSeries: models.BookingSeries,
+        Project: models.Project,
+        Proposal: models.Proposal,
+    },
+    service,
+    utils,
+});
+const notificationService = require('./notificationService')({
+    model: models.Notification,
+    service,
+    utils,
+});
+const bookingSeriesService = require('./bookingSeriesService')({
+    model: models.BookingSeries,
+    models: {
+        Availability: models.Availability,
+        Schedule: models.Schedule,
+    },
+    service,
+    bookingService,
+    availabilityService,
+    utils,
+    libraries: {
+        DateTime,
+    },
+});
+const calendarService = require('./calendarService')({
+    models: {
+        Booking: models.Booking,
+        Availability: models.Availability,
+        CraftsmanProfile: models.CraftsmanProfile,
+    },
+    bookingService,
+    utils,
+    libraries: {
+        crypto,
+    },
+});
+const projectService = require('./projectService')(models.Project, service, {
+    CraftsmanProfile: models.CraftsmanProfile,
+    uploadService,
+    utils,
+});
+const proposalService = require('./proposalService')({
+    model: models.Proposal,
+    models: {
+        Project: models.Project,
+        CraftsmanProfile: models.CraftsmanProfile,
+    },
+    service,
+    bookingService,
+    notificationService,
+    utils,
+});
+const reviewService = require('./reviewService')({
+    model: models.Review,
+    models: {
+        Booking: models.Booking,
+    },
+    service,
+    utils,
+});
 const authService = require('./authService')({
     model: models.User,
+    profileModels: {
+        ClientProfile: models.ClientProfile,
+        CraftsmanProfile: models.CraftsmanProfile,
+    },
+    uploadService,
     utils,
     libraries: {
         jwt,
@@ -27,9 +158,38 @@ const authService = require('./authService')({
  *
  * @property {Object} userService - Service module for user-related operations.
  * @property {Object} authService - Service module for user authentication and authorization.
+ * @property {Object} craftsmanService - Service module for craftsman profile operations.
+ * @property {Object} catalogService - Service module for the catalog of services (trades) craftsmen offer.
+ * @property {Object} verificationService - Service module for craftsman identity verification.
+ * @property {Object} clientService - Service module for client profiles and favorite craftsmen.
+ * @property {Object} portfolioService - Service module for craftsman portfolios of past work.
+ * @property {Object} availabilityService - Service module for craftsman schedules and bookable slots.
+ * @property {Object} bookingService - Service module for booking craftsman slots.
+ * @property {Object} notificationService - Service module for user notifications.
+ * @property {Object} bookingSeriesService - Service module for recurring booking series.
+ * @property {Object} calendarService - Service module for iCalendar exports of bookings.
+ * @property {Object} projectService - Service module for client projects and the craftsmen job board.
+ * @property {Object} proposalService - Service module for craftsman proposals on client projects.
+ * @property {Object} reviewService - Service module for reviews of craftsmen by their clients.
+ * @property {Object} uploadService - Service module for processing and storing uploaded files.
+ * @property {StorageAdapter} storage - The storage adapter uploaded files are saved to.
  *
  * @see {@link module:services/userService} for user service methods.
  * @see {@link module:services/authService} for authentication service methods.
+ * @see {@link module:services/craftsmanService} for craftsman profile service methods.
+ * @see {@link module:services/catalogService} for service catalog methods.
+ * @see {@link module:services/verificationService} for identity verification methods.
+ * @see {@link module:services/clientService} for client profile methods.
+ * @see {@link module:services/portfolioService} for portfolio methods.
+ * @see {@link module:services/availabilityService} for schedule and slot methods.
+ * @see {@link module:services/bookingService} for booking methods.
+ * @see {@link module:services/notificationService} for notification methods.
+ * @see {@link module:services/bookingSeriesService} for recurring booking methods.
+ * @see {@link module:services/calendarService} for calendar export methods.
+ * @see {@link module:services/projectService} for project methods.
+ * @see {@link module:services/proposalService} for proposal methods.
+ * @see {@link module:services/reviewService} for review methods.
+ * @see {@link module:services/uploadService} for file upload methods.
  * @see {@link module:models} for Mongoose models used in the application.
  * @see {@link module:utils} for utility functions and classes.
  *
@@ -44,4 +204,19 @@ const authService = require('./authService')({
 module.exports = {
     userService,
     authService,
+    craftsmanService,
+    catalogService,
+    verificationService,
+    clientService,
+    portfolioService,
+    availabilityService,
+    bookingService,
+    bookingSeriesService,
+    calendarService,
+    notificationService,
+    projectService,
+    proposalService,
+    reviewService,
+    uploadService,
+    storage,
 };
@@ -0,0 +1,77 @@
+/**
+ * Notification Service Module
+ * @module notificationService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose Notification model for database operations.
+ * @param {Object} dependencies.service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ *
+ * @typedef {Object} NotificationService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} notify - Sends the same notification to several users.
+ * @property {Function} markAsRead - Marks a notification of a user as read.
+ *
+ * @returns {NotificationService} An object containing notification-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = ({ model: Notification, service, utils }) => {
+    const { AppError } = utils;
+    const { getAll, count } = service(Notification);
+
+    /**
+     * Sends the same notification to several users.
+     *
+     * @function notify
+     * @async
+     * @param {string[]} userIds - The unique identifiers of the users to notify.
+     * @param {Object} notification - The notification.
+     * @param {string} notification.contentType - The type of content ('message' or 'booking').
+     * @param {string} notification.content - The text of the notification.
+     * @param {string} [notification.bookingId] - The booking the notification is about.
+     * @returns {Promise<Object[]>} - A promise that resolves to the new notifications.
+     * @example
+     * await notificationService.notify([booking.clientId, booking.craftsmanId], {
+     *   contentType: 'booking',
+     *   content: 'Your booking was confirmed',
+     *   bookingId: booking._id,
+     * });
+     */
+    const notify = async (userIds, notification) =>
+        await Notification.insertMany(
+            userIds.map((userId) => ({ ...notification, userId }))
+        );
+
+    /**
+     * Marks a notification of a user as read.
+     *
+     * @function markAsRead
+     * @async
+     * @param {string} notificationId - The unique identifier of the notification.
+     * @param {string} userId - The unique identifier of the user owning the notification.
+     * @returns {Promise<Object>} - A promise that resolves to the read notification.
+     * @throws {AppError} If the notification does not exist or belongs to someone else.
+     * @example
+     * const notification = await notificationService.markAsRead('notification123', 'user123');
+     */
+    const markAsRead = async (notificationId, userId) => {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: notificationId, userId },
+            { readStatus: true },
+            { new: true }
+        ).select('-__v');
+
+        if (!notification) {
+            throw new AppError('No notification found with that ID', 404);
+        }
+
+        return notification;
+    };
+
+    return {
+        getAll,
+        count,
+        notify,
+        markAsRead,
+    };
+};
@@ -0,0 +1,246 @@
+/**
+ * Portfolio Service Module
+ * @module portfolioService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose PortfolioItem model for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.CraftsmanProfile - The Mongoose CraftsmanProfile model owning the items.
+ * @param {Model} dependencies.models.Booking - The Mongoose Booking model used to check linked jobs.
+ * @param {Object} dependencies.service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies.uploadService - The upload service used to remove replaced photos.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ *
+ * @typedef {Object} PortfolioService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} createItem - Adds an item to the portfolio of a craftsman.
+ * @property {Function} updateItem - Updates an item of the portfolio of a craftsman.
+ * @property {Function} deleteItem - Deletes an item from the portfolio of a craftsman.
+ * @property {Function} reorderItems - Reorders the portfolio of a craftsman.
+ *
+ * @returns {PortfolioService} An object containing portfolio-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = ({ model, models, service, uploadService, utils }) => {
+    const { CraftsmanProfile, Booking } = models;
+    const { AppError } = utils;
+    const { getAll, count } = service(model);
+
+    // Helpers functions
+    /**
+     * Retrieves the craftsman profile of a user.
+     *
+     * @function getProfile
+     * @async
+     * @param {string} userId - The unique identifier of the craftsman user.
+     * @returns {Promise<Object>} - A promise that resolves to the craftsman profile.
+     * @throws {AppError} If the craftsman has no profile.
+     */
+    const getProfile = async (userId) => {
+        const profile = await CraftsmanProfile.findOne({ userId }).select(
+            '_id userId'
+        );
+
+        if (!profile) {
+            throw new AppError('Craftsman profile not found', 404);
+        }
+
+        return profile;
+    };
+
+    /**
+     * Checks that the job linked to a portfolio item is a completed job of the craftsman.
+     *
+     * @function validateLinkedJob
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {Object} itemData - The portfolio item data.
+     * @param {string} [itemData.bookingId] - The ID of the linked booking.
+     * @param {string} [itemData.projectId] - The ID of the linked project.
+     * @throws {AppError} If there is no completed booking of the craftsman for the linked job.
+     */
+    const validateLinkedJob = async (craftsmanId, { bookingId, projectId }) => {
+        if (!bookingId && !projectId) return;
+
+        const filter = { craftsmanId, status: 'Completed' };
+
+        if (bookingId) filter._id = bookingId;
+        if (projectId) filter.projectId = projectId;
+
+        const isCompletedJob = await Booking.exists(filter);
+
+        if (!isCompletedJob) {
+            throw new AppError(
+                'Portfolio items can only be linked to your completed jobs',
+                400
+            );
+        }
+    };
+
+    // Service functions
+    /**
+     * Adds an item at the end of the portfolio of a craftsman.
+     *
+     * @function createItem
+     * @async
+     * @param {string} userId - The unique identifier of the craftsman user.
+     * @param {Object} itemData - The portfolio item data.
+     * @returns {Promise<Object>} - A promise that resolves to the new portfolio item.
+     * @throws {AppError} If the craftsman has no profile or the linked job is not theirs.
+     * @example
+     * const item = await portfolioService.createItem('user123', {
+     *   photos: ['kitchen-1.jpg', 'kitchen-2.jpg'],
+     *   caption: 'Kitchen sink replacement',
+     * });
+     */
+    const createItem = async (userId, itemData) => {
+        const profile = await getProfile(userId);
+
+        await validateLinkedJob(userId, itemData);
+
+        const lastItem = await model
+            .findOne({ profileId: profile._id })
+            .sort('-order')
+            .select('order');
+
+        const item = await model.create({
+            ...itemData,
+            profileId: profile._id,
+            order: lastItem ? lastItem.order + 1 : 0,
+        });
+
+        item.__v = undefined;
+
+        return item;
+    };
+
+    /**
+     * Updates an item of the portfolio of a craftsman.
+     *
+     * @function updateItem
+     * @async
+     * @param {string} userId - The unique identifier of the craftsman user.
+     * @param {string} itemId - The unique identifier of the portfolio item.
+     * @param {Object} itemData - The fields to update.
+     * @returns {Promise<Object>} - A promise that resolves to the updated portfolio item.
+     * @throws {AppError} If the item is not in the craftsman's portfolio or the linked job is not theirs.
+     * @example
+     * const item = await portfolioService.updateItem('user123', 'item123', {
+     *   caption: 'Full kitchen plumbing',
+     * });
+     */
+    const updateItem = async (userId, itemId, itemData) => {
+        const profile = await getProfile(userId);
+
+        await validateLinkedJob(userId, itemData);
+
+        const previousItem = await model
+            .findOneAndUpdate(
+                { _id: itemId, profileId: profile._id },
+                itemData,
+                {
+                    runValidators: true,
+                }
+            )
+            .select('photos');
+
+        if (!previousItem) {
+            throw new AppError('No portfolio item found with that ID', 404);
+        }
+
+        // Remove the photos that were replaced
+        if (itemData.photos) {
+            await uploadService.removeFiles(
+                previousItem.photos.filter(
+                    (photo) => !itemData.photos.includes(photo)
+                )
+            );
+        }
+
+        return await model.findById(itemId).select('-__v');
+    };
+
+    /**
+     * Deletes an item from the portfolio of a craftsman.
+     *
+     * @function deleteItem
+     * @async
+     * @param {string} userId - The unique identifier of the craftsman user.
+     * @param {string} itemId - The unique identifier of the portfolio item.
+     * @returns {Promise} - A promise indicating the success of the delete operation.
+     * @throws {AppError} If the item is not in the craftsman's portfolio.
+     * @example
+     * await portfolioService.deleteItem('user123', 'item123');
+     */
+    const deleteItem = async (userId, itemId) => {
+        const profile = await getProfile(userId);
+
+        const item = await model.findOneAndDelete({
+            _id: itemId,
+            profileId: profile._id,
+        });
+
+        if (!item) {
+            throw new AppError('No portfolio item found with that ID', 404);
+        }
+
+        await uploadService.removeFiles(item.photos);
+
+        return null;
+    };
+
+    /**
+     * Reorders the portfolio of a craftsman.
+     *
+     * @function reorderItems
+     * @async
+     * @param {string} userId - The unique identifier of the craftsman user.
+     * @param {string[]} itemIds - Every portfolio item ID in the new order.
+     * @returns {Promise<Object[]>} - A promise that resolves to the reordered portfolio items.
+     * @throws {AppError} If the IDs are not exactly the items of the craftsman's portfolio.
+     * @example
+     * const items = await portfolioService.reorderItems('user123', ['item2', 'item1']);
+     */
+    const reorderItems = async (userId, itemIds) => {
+        const profile = await getProfile(userId);
+
+        const items = await model
+            .find({ profileId: profile._id })
+            .select('_id');
+        const ownIds = items.map((item) => item._id.toString());
+        const uniqueIds = [...new Set(itemIds.map((id) => `${id}`))];
+
+        if (
+            uniqueIds.length !== ownIds.length ||
+            !uniqueIds.every((id) => ownIds.includes(id))
+        ) {
+            throw new AppError(
+                'Please provide every item of your portfolio exactly once',
+                400
+            );
+        }
+
+        await model.bulkWrite(
+            uniqueIds.map((id, index) => ({
+                updateOne: {
+                    filter: { _id: id, profileId: profile._id },
+                    update: { order: index },
+                },
+            }))
+        );
+
+        return await model
+            .find({ profileId: profile._id })
+            .sort('order')
+            .select('-__v');
+    };
+
+    return {
+        getAll,
+        count,
+        createItem,
+        updateItem,
+        deleteItem,
+        reorderItems,
+    };
+};
@@ -0,0 +1,318 @@
+/**
+ * Project Service Module
+ * @module projectService
+ * @param {Model} Project - The Mongoose Project model for database operations.
+ * @param {Object} service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies - Other dependencies.
+ * @param {Model} dependencies.CraftsmanProfile - The Mongoose CraftsmanProfile model used to match projects to craftsmen.
+ * @param {Object} dependencies.uploadService - The upload service used to remove deleted photos.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors and travel distances.
+ *
+ * @typedef {Object} ProjectService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} getOneById - Retrieves a single document by its unique identifier.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} isExist - Checks if a document with the specified unique identifier exists.
+ * @property {Function} getOneForUser - Retrieves a project the user may see.
+ * @property {Function} createProject - Posts a new project for a client.
+ * @property {Function} updateProject - Updates an open project of a client.
+ * @property {Function} cancelProject - Takes an open project of a client off the job board.
+ * @property {Function} buildBoardFilter - Builds the job board filter of a craftsman: open projects of their services in their area.
+ * @property {Function} addPhotos - Adds uploaded photos to a project of a client.
+ * @property {Function} removePhoto - Removes a photo from a project of a client.
+ *
+ * @returns {ProjectService} An object containing project-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = (
+    Project,
+    service,
+    { CraftsmanProfile, uploadService, utils }
+) => {
+    const { AppError, travel } = utils;
+    const { getAll, getOneById, count, isExist } = service(Project);
+
+    /**
+     * The maximum number of photos of a project.
+     * @type {number}
+     */
+    const MAX_PHOTOS = 10;
+
+    /**
+     * Retrieves a project the user may see: clients see their own projects,
+     * craftsmen the open ones and admins every project.
+     *
+     * @function getOneForUser
+     * @async
+     * @param {string} projectId - The unique identifier of the project.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<Object>} - A promise that resolves to the project or null.
+     * @example
+     * const project = await projectService.getOneForUser('project123', req.user);
+     */
+    const getOneForUser = async (projectId, user) => {
+        const filter = { _id: projectId };
+
+        if (user.role === 'client') filter.clientId = user.id;
+        if (user.role === 'craftsman') filter.status = 'Open';
+
+        return await Project.findOne(filter)
+            .select('-__v')
+            .populate({ path: 'service', select: 'name nameAr slug' });
+    };
+
+    /**
+     * Posts a new project for a client, open on the job board.
+     *
+     * @function createProject
+     * @async
+     * @param {string} clientId - The unique identifier of the client user.
+     * @param {Object} projectData - The project data (title, description, service, governrate, location, budget).
+     * @returns {Promise<Object>} - A promise that resolves to the new project.
+     * @example
+     * const project = await projectService.createProject('user123', {
+     *   title: 'Fix a leaking kitchen sink',
+     *   description: 'The pipe under the sink leaks since yesterday.',
+     *   service: 'service123',
+     *   governrate: 'Giza',
+     *   budget: { min: 200, max: 500 },
+     * });
+     */
+    const createProject = async (clientId, projectData) => {
+        const project = await Project.create({
+            ...projectData,
+            clientId,
+            status: 'Open',
+        });
+
+        project.__v = undefined;
+
+        return project;
+    };
+
+    /**
+     * Retrieves an open project of a client to change it.
+     *
+     * @function getOpenProject
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} projectId - The unique identifier of the project.
+     * @returns {Promise<Object>} - A promise that resolves to the project.
+     * @throws {AppError} If the project is not the client's or is not open anymore (409).
+     */
+    const getOpenProject = async (clientId, projectId) => {
+        const project = await Project.findOne({
+            _id: projectId,
+            clientId,
+        }).select('-__v');
+
+        if (!project) {
+            throw new AppError('No project found with that ID', 404);
+        }
+
+        if (project.status !== 'Open') {
+            throw new AppError(
+                `A project that is ${project.status} cannot be changed`,
+                409
+            );
+        }
+
+        return project;
+    };
+
+    /**
+     * Updates an open project of a client.
+     *
+     * @function updateProject
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} projectId - The unique identifier of the project.
+     * @param {Object} projectData - The changed project fields.
+     * @returns {Promise<Object>} - A promise that resolves to the updated project.
+     * @throws {AppError} If the project is not the client's or is not open anymore (409).
+     * @example
+     * const project = await projectService.updateProject('user123', 'project123', { budget: { min: 300, max: 600 } });
+     */
+    const updateProject = async (clientId, projectId, projectData) => {
+        const project = await getOpenProject(clientId, projectId);
+
+        project.set(projectData);
+
+        return await project.save();
+    };
+
+    /**
+     * Takes an open project of a client off the job board.
+     *
+     * @function cancelProject
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} projectId - The unique identifier of the project.
+     * @returns {Promise<Object>} - A promise that resolves to the cancelled project.
+     * @throws {AppError} If the project is not the client's or is not open anymore (409).
+     * @example
+     * const project = await projectService.cancelProject('user123', 'project123');
+     */
+    const cancelProject = async (clientId, projectId) => {
+        await getOpenProject(clientId, projectId);
+
+        const project = await Project.findOneAndUpdate(
+            { _id: projectId, clientId, status: 'Open' },
+            { status: 'Cancelled' },
+            { new: true }
+        ).select('-__v');
+
+        if (!project) {
+            throw new AppError('This project cannot be cancelled anymore', 409);
+        }
+
+        return project;
+    };
+
+    /**
+     * Builds the job board filter of a craftsman: open projects needing one of
+     * the craftsman's services, in the craftsman's governrate or within their
+     * travel radius.
+     *
+     * @function buildBoardFilter
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @returns {Promise<Object>} - A promise that resolves to the project filter.
+     * @throws {AppError} If the craftsman has no profile.
+     * @example
+     * const filter = await projectService.buildBoardFilter('user123');
+     */
+    const buildBoardFilter = async (craftsmanId) => {
+        const profile = await CraftsmanProfile.findOne({
+            userId: craftsmanId,
+        }).select('services governrate location maxTravelKm');
+
+        if (!profile) {
+            throw new AppError('Craftsman profile not found', 404);
+        }
+
+        const filter = {
+            status: 'Open',
+            service: { $in: profile.services },
+        };
+        const area = [];
+
+        if (profile.governrate) area.push({ governrate: profile.governrate });
+
+        if (profile.location && profile.maxTravelKm) {
+            area.push({
+                location: {
+                    $geoWithin: {
+                        $centerSphere: [
+                            profile.location.coordinates,
+                            travel.kmToRadians(profile.maxTravelKm),
+                        ],
+                    },
+                },
+            });
+        }
+
+        if (area.length) filter.$or = area;
+
+        return filter;
+    };
+
+    /**
+     * Adds uploaded photos to a project of a client.
+     *
+     * @function addPhotos
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} projectId - The unique identifier of the project.
+     * @param {string[]} photos - The storage keys of the uploaded photos.
+     * @returns {Promise<Object>} - A promise that resolves to the updated project.
+     * @throws {AppError} If the project is not the client's or would exceed the photos limit.
+     * @example
+     * const project = await projectService.addPhotos('user123', 'project123', [
+     *   'projects/user123-1690000000000-1a2b3c4d.jpeg',
+     * ]);
+     */
+    const addPhotos = async (clientId, projectId, photos) => {
+        // Only push while the limit is kept, so concurrent uploads cannot exceed it
+        const project = await Project.findOneAndUpdate(
+            {
+                _id: projectId,
+                clientId,
+                [`photos.${MAX_PHOTOS - photos.length}`]: { $exists: false },
+            },
+            { $push: { photos: { $each: photos } } },
+            { new: true }
+        ).select('-__v');
+
+        if (!project) {
+            if (!(await Project.exists({ _id: projectId, clientId }))) {
+                throw new AppError('No project found with that ID', 404);
+            }
+
+            throw new AppError(
+                `A project can have at most ${MAX_PHOTOS} photos`,
+                400
+            );
+        }
+
+        return project;
+    };
+
+    /**
+     * Removes a photo from a project of a client and deletes it from the storage.
+     *
+     * @function removePhoto
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} projectId - The unique identifier of the project.
+     * @param {number} index - The position of the photo in the project photos.
+     * @returns {Promise<Object>} - A promise that resolves to the updated project.
+     * @throws {AppError} If the project is not the client's or has no such photo.
+     * @example
+     * const project = await projectService.removePhoto('user123', 'project123', 0);
+     */
+    const removePhoto = async (clientId, projectId, index) => {
+        const current = await Project.findOne({
+            _id: projectId,
+            clientId,
+        }).select('photos');
+
+        if (!current) {
+            throw new AppError('No project found with that ID', 404);
+        }
+
+        const photo = current.photos[index];
+
+        if (!photo) {
+            throw new AppError('No photo found with that index', 404);
+        }
+
+        const project = await Project.findOneAndUpdate(
+            { _id: projectId, clientId, photos: photo },
+            { $pull: { photos: photo } },
+            { new: true }
+        ).select('-__v');
+
+        if (!project) {
+            throw new AppError('No project photo found', 404);
+        }
+
+        await uploadService.removeFiles([photo]);
+
+        return project;
+    };
+
+    return {
+        getAll,
+        getOneById,
+        count,
+        isExist,
+        getOneForUser,
+        createProject,
+        updateProject,
+        cancelProject,
+        buildBoardFilter,
+        addPhotos,
+        removePhoto,
+    };
+};
@@ -0,0 +1,429 @@
+/**
+ * Proposal Service Module
+ * @module proposalService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose Proposal model for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.Project - The Mongoose Project model the proposals bid on.
+ * @param {Model} dependencies.models.CraftsmanProfile - The Mongoose CraftsmanProfile model holding the services craftsmen offer.
+ * @param {Object} dependencies.service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies.bookingService - The booking service creating the booking of an accepted proposal.
+ * @param {Object} dependencies.notificationService - The notification service telling craftsmen about their proposals.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ *
+ * @typedef {Object} ProposalService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} getClientProject - Retrieves a project of a client, to list its proposals.
+ * @property {Function} submitProposal - Submits a craftsman's proposal on an open project.
+ * @property {Function} updateProposal - Updates a pending proposal of a craftsman.
+ * @property {Function} withdrawProposal - Withdraws a pending proposal of a craftsman.
+ * @property {Function} acceptProposal - Accepts a proposal, books the craftsman and declines the other proposals.
+ * @property {Function} declineProposal - Declines a pending proposal on a project of a client.
+ * @property {Function} declineAllForProject - Declines every pending proposal on a project.
+ *
+ * @returns {ProposalService} An object containing proposal-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = ({
+    model: Proposal,
+    models,
+    service,
+    bookingService,
+    notificationService,
+    utils,
+}) => {
+    const { Project, CraftsmanProfile } = models;
+    const { AppError } = utils;
+    const { getAll, count } = service(Proposal);
+
+    // Helpers functions
+    /**
+     * Retrieves a project of a client.
+     *
+     * @function getClientProject
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} projectId - The unique identifier of the project.
+     * @returns {Promise<Object>} - A promise that resolves to the project.
+     * @throws {AppError} If the project does not exist or belongs to someone else.
+     */
+    const getClientProject = async (clientId, projectId) => {
+        const project = await Project.findOne({ _id: projectId, clientId });
+
+        if (!project) {
+            throw new AppError('No project found with that ID', 404);
+        }
+
+        return project;
+    };
+
+    /**
+     * Retrieves a pending proposal on a project of a client.
+     *
+     * @function getPendingProposal
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} proposalId - The unique identifier of the proposal.
+     * @returns {Promise<Object[]>} - A promise that resolves to the proposal and its project.
+     * @throws {AppError} If the proposal does not exist, is on someone else's project or was already answered (409).
+     */
+    const getPendingProposal = async (clientId, proposalId) => {
+        const proposal = await Proposal.findById(proposalId);
+        const project =
+            proposal &&
+            (await Project.findOne({ _id: proposal.projectId, clientId }));
+
+        if (!project) {
+            throw new AppError('No proposal found with that ID', 404);
+        }
+
+        if (proposal.status !== 'Pending') {
+            throw new AppError(
+                `This proposal is already ${proposal.status.toLowerCase()}`,
+                409
+            );
+        }
+
+        return [proposal, project];
+    };
+
+    /**
+     * Declines pending proposals and tells their craftsmen.
+     *
+     * @function declineProposals
+     * @async
+     * @param {Object} filter - The filter of the proposals to decline.
+     * @param {Object} project - The project of the proposals.
+     * @param {string} reason - Why the proposals were declined, appended to the notification.
+     * @returns {Promise<void>}
+     */
+    const declineProposals = async (filter, project, reason) => {
+        const proposals = await Proposal.find({ ...filter, status: 'Pending' });
+
+        if (!proposals.length) return;
+
+        await Proposal.updateMany(
+            {
+                _id: { $in: proposals.map((proposal) => proposal._id) },
+                status: 'Pending',
+            },
+            { status: 'Declined', respondedAt: Date.now() }
+        );
+
+        await notificationService.notify(
+            proposals.map((proposal) => proposal.craftsmanId),
+            {
+                contentType: 'booking',
+                content: `Your proposal for "${project.title}" was declined${reason}.`,
+            }
+        );
+    };
+
+    /**
+     * Submits a craftsman's proposal on an open project needing one of the
+     * services the craftsman offers. A craftsman can only bid once on a project,
+     * and changes their proposal afterwards.
+     *
+     * @function submitProposal
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {string} projectId - The unique identifier of the project.
+     * @param {Object} proposalData - The proposal data (price, estimatedDuration, message).
+     * @returns {Promise<Object>} - A promise that resolves to the new proposal.
+     * @throws {AppError} If the project is not open, needs a service the craftsman does not offer or already has their proposal (409).
+     * @example
+     * const proposal = await proposalService.submitProposal('user123', 'project123', {
+     *   price: 750,
+     *   estimatedDuration: { value: 2, unit: 'days' },
+     *   message: 'I can start tomorrow.',
+     * });
+     */
+    const submitProposal = async (craftsmanId, projectId, proposalData) => {
+        const project = await Project.findOne({
+            _id: projectId,
+            status: 'Open',
+        });
+
+        if (!project) {
+            throw new AppError('No open project found with that ID', 404);
+        }
+
+        const profile = await CraftsmanProfile.findOne({
+            userId: craftsmanId,
+        }).select('services');
+
+        if (
+            !profile ||
+            !profile.services.some((serviceId) =>
+                serviceId.equals(project.service)
+            )
+        ) {
+            throw new AppError(
+                'You do not offer the service this project needs',
+                403
+            );
+        }
+
+        try {
+            const proposal = await Proposal.create({
+                ...proposalData,
+                projectId: project._id,
+                craftsmanId,
+                craftsmanProfile: profile._id,
+                status: 'Pending',
+            });
+
+            proposal.__v = undefined;
+
+            return proposal;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+
+            throw new AppError(
+                'You already sent a proposal for this project, update it instead',
+                409
+            );
+        }
+    };
+
+    /**
+     * Retrieves a pending proposal of a craftsman to change it.
+     *
+     * @function getOwnPendingProposal
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {string} proposalId - The unique identifier of the proposal.
+     * @returns {Promise<Object>} - A promise that resolves to the proposal.
+     * @throws {AppError} If the proposal is not the craftsman's or was already answered (409).
+     */
+    const getOwnPendingProposal = async (craftsmanId, proposalId) => {
+        const proposal = await Proposal.findOne({
+            _id: proposalId,
+            craftsmanId,
+        }).select('-__v');
+
+        if (!proposal) {
+            throw new AppError('No proposal found with that ID', 404);
+        }
+
+        if (proposal.status !== 'Pending') {
+            throw new AppError(
+                `A proposal that is ${proposal.status.toLowerCase()} cannot be changed`,
+                409
+            );
+        }
+
+        return proposal;
+    };
+
+    /**
+     * Updates a pending proposal of a craftsman.
+     *
+     * @function updateProposal
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {string} proposalId - The unique identifier of the proposal.
+     * @param {Object} proposalData - The changed proposal fields (price, estimatedDuration, message).
+     * @returns {Promise<Object>} - A promise that resolves to the updated proposal.
+     * @throws {AppError} If the proposal is not the craftsman's or was already answered (409).
+     * @example
+     * const proposal = await proposalService.updateProposal('user123', 'proposal123', { price: 700 });
+     */
+    const updateProposal = async (craftsmanId, proposalId, proposalData) => {
+        const proposal = await getOwnPendingProposal(craftsmanId, proposalId);
+
+        proposal.set({ ...proposalData, updatedAt: Date.now() });
+
+        return await proposal.save();
+    };
+
+    /**
+     * Withdraws a pending proposal of a craftsman.
+     *
+     * @function withdrawProposal
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {string} proposalId - The unique identifier of the proposal.
+     * @returns {Promise<Object>} - A promise that resolves to the withdrawn proposal.
+     * @throws {AppError} If the proposal is not the craftsman's or was already answered (409).
+     * @example
+     * const proposal = await proposalService.withdrawProposal('user123', 'proposal123');
+     */
+    const withdrawProposal = async (craftsmanId, proposalId) => {
+        await getOwnPendingProposal(craftsmanId, proposalId);
+
+        const proposal = await Proposal.findOneAndUpdate(
+            { _id: proposalId, craftsmanId, status: 'Pending' },
+            { status: 'Withdrawn', updatedAt: Date.now() },
+            { new: true }
+        ).select('-__v');
+
+        if (!proposal) {
+            throw new AppError(
+                'This proposal was answered in the meantime',
+                409
+            );
+        }
+
+        return proposal;
+    };
+
+    /**
+     * Accepts a proposal on an open project of a client: the project is
+     * assigned, the craftsman is booked at the proposed price, and every other
+     * pending proposal is declined.
+     *
+     * The project and the proposal are claimed with conditional updates, so a
+     * project can only get one accepted proposal. If the booking then cannot be
+     * made, e.g. the chosen slot was taken, both are reopened.
+     *
+     * The project then follows its booking: it is completed with the booking,
+     * and reopened with the declined proposals if the booking is cancelled.
+     *
+     * @function acceptProposal
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} proposalId - The unique identifier of the proposal.
+     * @param {Object} [bookingData] - The booking details.
+     * @param {string} [bookingData.timeSlotId] - A free slot of the craftsman to book, the booking can be scheduled later without one.
+     * @param {string} [bookingData.clientPhone] - The client's phone number.
+     * @param {string} [bookingData.paymentMethod] - How the booking is paid.
+     * @returns {Promise<Object>} - A promise that resolves to the accepted proposal and its booking.
+     * @throws {AppError} If the project is not open anymore or the proposal was already answered (409).
+     * @example
+     * const { proposal, booking } = await proposalService.acceptProposal('user123', 'proposal123', {
+     *   timeSlotId: 'slot123',
+     * });
+     */
+    const acceptProposal = async (clientId, proposalId, bookingData = {}) => {
+        const [pending, project] = await getPendingProposal(
+            clientId,
+            proposalId
+        );
+
+        const assignedProject = await Project.findOneAndUpdate(
+            { _id: project._id, status: 'Open' },
+            { status: 'Assigned' }
+        );
+
+        if (!assignedProject) {
+            throw new AppError(
+                `A project that is ${project.status} cannot get a craftsman`,
+                409
+            );
+        }
+
+        const reopenProject = () =>
+            Project.updateOne(
+                { _id: project._id, status: 'Assigned' },
+                { status: 'Open' }
+            );
+
+        const proposal = await Proposal.findOneAndUpdate(
+            { _id: pending._id, status: 'Pending' },
+            { status: 'Accepted', respondedAt: Date.now() },
+            { new: true }
+        ).select('-__v');
+
+        if (!proposal) {
+            await reopenProject();
+            throw new AppError(
+                'This proposal was changed in the meantime',
+                409
+            );
+        }
+
+        let booking;
+
+        try {
+            booking = await bookingService.createBooking(clientId, {
+                ...bookingData,
+                craftsmanId: proposal.craftsmanId,
+                projectId: project._id,
+                serviceId: project.service,
+                clientLocation: project.location,
+                fees: proposal.price,
+                feesLockedAt: Date.now(),
+            });
+        } catch (err) {
+            await Proposal.updateOne(
+                { _id: proposal._id, status: 'Accepted' },
+                { status: 'Pending', $unset: { respondedAt: 1 } }
+            );
+            await reopenProject();
+            throw err;
+        }
+
+        proposal.bookingId = booking._id;
+        await Proposal.updateOne(
+            { _id: proposal._id },
+            { bookingId: booking._id }
+        );
+
+        await notificationService.notify([proposal.craftsmanId], {
+            contentType: 'booking',
+            content: `Your proposal for "${project.title}" was accepted.`,
+            bookingId: booking._id,
+        });
+        await declineProposals(
+            { projectId: project._id },
+            project,
+            ', the client accepted another proposal'
+        );
+
+        return { proposal, booking };
+    };
+
+    /**
+     * Declines a pending proposal on a project of a client.
+     *
+     * @function declineProposal
+     * @async
+     * @param {string} clientId - The unique identifier of the client owning the project.
+     * @param {string} proposalId - The unique identifier of the proposal.
+     * @returns {Promise<Object>} - A promise that resolves to the declined proposal.
+     * @throws {AppError} If the proposal is on someone else's project or was already answered (409).
+     * @example
+     * const proposal = await proposalService.declineProposal('user123', 'proposal123');
+     */
+    const declineProposal = async (clientId, proposalId) => {
+        const [pending, project] = await getPendingProposal(
+            clientId,
+            proposalId
+        );
+
+        await declineProposals({ _id: pending._id }, project, '');
+
+        return await Proposal.findById(pending._id).select('-__v');
+    };
+
+    /**
+     * Declines every pending proposal on a project, e.g. when it is cancelled.
+     *
+     * @function declineAllForProject
+     * @async
+     * @param {Object} project - The project.
+     * @returns {Promise<void>}
+     * @example
+     * await proposalService.declineAllForProject(project);
+     */
+    const declineAllForProject = async (project) =>
+        await declineProposals(
+            { projectId: project._id },
+            project,
+            ', the client cancelled the project'
+        );
+
+    return {
+        getAll,
+        count,
+        getClientProject,
+        submitProposal,
+        updateProposal,
+        withdrawProposal,
+        acceptProposal,
+        declineProposal,
+        declineAllForProject,
+    };
+};
@@ -0,0 +1,403 @@
+/**
+ * Review Service Module
+ * @module reviewService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose Review model for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.Booking - The Mongoose Booking model, to check clients completed a job with the craftsman.
+ * @param {Object} dependencies.service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ *
+ * @typedef {Object} ReviewService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} getOneById - Retrieves a single document by its unique identifier.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} createReview - Reviews a craftsman who completed a project of the client.
+ * @property {Function} updateReview - Edits a review of a client within the edit window.
+ * @property {Function} deleteReview - Deletes a review of a client, or any review for admins.
+ * @property {Function} getVisibleReview - Retrieves a review unless an admin hid it.
+ * @property {Function} replyToReview - Posts the public reply of a craftsman to a review of them.
+ * @property {Function} updateReply - Edits the reply of a craftsman to a review.
+ * @property {Function} reportReview - Reports a review to the admins' moderation queue.
+ * @property {Function} hideReview - Hides a review, leaving it out of the craftsman's ratings.
+ * @property {Function} restoreReview - Shows a review again, or keeps it shown, dismissing its reports.
+ *
+ * @returns {ReviewService} An object containing review-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = ({ model: Review, models, service, utils }) => {
+    const { Booking } = models;
+    const { AppError } = utils;
+    const { getAll, getOneById, count } = service(Review);
+
+    // How long clients can edit their reviews after posting them, in days
+    const EDIT_WINDOW_DAYS = Number(process.env.REVIEW_EDIT_WINDOW_DAYS || 7);
+
+    /**
+     * Reviews a craftsman. Only the client of a completed booking with the
+     * craftsman for the project is eligible, and a project is reviewed once.
+     *
+     * @function createReview
+     * @async
+     * @param {string} clientId - The unique identifier of the client user.
+     * @param {Object} reviewData - The review data.
+     * @param {string} reviewData.craftsmanId - The unique identifier of the craftsman user to review.
+     * @param {string} reviewData.projectId - The unique identifier of the project the craftsman completed.
+     * @param {number} reviewData.rating - The rating from 0 to 5.
+     * @param {string} reviewData.review - The review text.
+     * @returns {Promise<Object>} - A promise that resolves to the new review.
+     * @throws {AppError} If the client has no completed booking with the craftsman for the project (403) or already reviewed it (409).
+     * @example
+     * const review = await reviewService.createReview('user123', {
+     *   craftsmanId: 'user456',
+     *   projectId: 'project123',
+     *   rating: 4.5,
+     *   review: 'Clean and on time.',
+     * });
+     */
+    const createReview = async (
+        clientId,
+        { craftsmanId, projectId, rating, review }
+    ) => {
+        if (!craftsmanId || !projectId) {
+            throw new AppError(
+                'Please provide the craftsman and the project to review',
+                400
+            );
+        }
+
+        const booking = await Booking.findOne({
+            clientId,
+            craftsmanId,
+            projectId,
+            status: 'Completed',
+        }).select('_id');
+
+        if (!booking) {
+            throw new AppError(
+                'You can only review a craftsman who completed your project',
+                403
+            );
+        }
+
+        try {
+            const newReview = await Review.create({
+                clientId,
+                craftsmanId,
+                projectId,
+                bookingId: booking._id,
+                rating,
+                review,
+            });
+
+            newReview.__v = undefined;
+
+            return newReview;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+
+            throw new AppError('You already reviewed this project', 409);
+        }
+    };
+
+    /**
+     * Edits the rating or text of a review of a client, within
+     * `REVIEW_EDIT_WINDOW_DAYS` of posting it.
+     *
+     * @function updateReview
+     * @async
+     * @param {string} clientId - The unique identifier of the client user.
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {Object} reviewData - The changed review fields (rating, review).
+     * @returns {Promise<Object>} - A promise that resolves to the updated review.
+     * @throws {AppError} If the review is not the client's or the edit window has passed (403).
+     * @example
+     * const review = await reviewService.updateReview('user123', 'review123', { rating: 5 });
+     */
+    const updateReview = async (clientId, reviewId, reviewData) => {
+        const review = await Review.findOne({
+            _id: reviewId,
+            clientId,
+        }).select('-__v');
+
+        if (!review) {
+            throw new AppError('No review found with that ID', 404);
+        }
+
+        const editableUntil =
+            review.createdAt.getTime() + EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+        if (Date.now() > editableUntil) {
+            throw new AppError(
+                `Reviews can only be edited within ${EDIT_WINDOW_DAYS} days of posting`,
+                403
+            );
+        }
+
+        review.set({ ...reviewData, updatedAt: Date.now() });
+
+        return await review.save();
+    };
+
+    /**
+     * Deletes a review. Clients delete their own reviews, admins any review.
+     *
+     * @function deleteReview
+     * @async
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {Object} user - The authenticated user.
+     * @returns {Promise<Object>} - A promise that resolves to the deleted review.
+     * @throws {AppError} If the review does not exist or is not the client's.
+     * @example
+     * await reviewService.deleteReview('review123', req.user);
+     */
+    const deleteReview = async (reviewId, user) => {
+        const filter = { _id: reviewId };
+
+        if (user.role !== 'admin') filter.clientId = user.id;
+
+        const review = await Review.findOneAndDelete(filter);
+
+        if (!review) {
+            throw new AppError('No review found with that ID', 404);
+        }
+
+        return review;
+    };
+
+    /**
+     * Retrieves a review unless an admin hid it.
+     *
+     * @function getVisibleReview
+     * @async
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {Object} [options] - The query options.
+     * @param {Object[]} [options.populates] - The fields to populate.
+     * @returns {Promise<Object>} - A promise that resolves to the review or null.
+     * @example
+     * const review = await reviewService.getVisibleReview('review123');
+     */
+    const getVisibleReview = async (reviewId, { populates = [] } = {}) => {
+        const query = Review.findOne({
+            _id: reviewId,
+            status: { $ne: 'Hidden' },
+        }).select('-__v');
+
+        populates.forEach((item) => query.populate(item));
+
+        return await query;
+    };
+
+    /**
+     * Validates the text of a reply against the review schema.
+     *
+     * @function validateReply
+     * @param {string} text - The reply text.
+     * @returns {string} - The trimmed reply text.
+     * @throws {ValidationError} If the text is missing or too long.
+     */
+    const validateReply = (text) => {
+        const draft = new Review({ reply: { text } });
+        const error = draft.validateSync(['reply.text']);
+
+        if (error) throw error;
+
+        return draft.reply.text;
+    };
+
+    /**
+     * Posts the public reply of a craftsman to a review of them. A review gets
+     * one reply, which the craftsman can edit afterwards.
+     *
+     * @function replyToReview
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {string} text - The reply text.
+     * @returns {Promise<Object>} - A promise that resolves to the replied review.
+     * @throws {AppError} If the review is not of the craftsman or already has a reply (409).
+     * @example
+     * const review = await reviewService.replyToReview('user456', 'review123', 'Thank you!');
+     */
+    const replyToReview = async (craftsmanId, reviewId, text) => {
+        const reply = { text: validateReply(text), createdAt: Date.now() };
+
+        const review = await Review.findOneAndUpdate(
+            { _id: reviewId, craftsmanId, reply: { $exists: false } },
+            { reply },
+            { new: true }
+        ).select('-__v');
+
+        if (!review) {
+            const isExist = await Review.exists({ _id: reviewId, craftsmanId });
+
+            if (!isExist) {
+                throw new AppError('No review found with that ID', 404);
+            }
+
+            throw new AppError(
+                'You already replied to this review, edit your reply instead',
+                409
+            );
+        }
+
+        return review;
+    };
+
+    /**
+     * Edits the reply of a craftsman to a review.
+     *
+     * @function updateReply
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {string} text - The new reply text.
+     * @returns {Promise<Object>} - A promise that resolves to the review.
+     * @throws {AppError} If the review is not of the craftsman or has no reply yet.
+     * @example
+     * const review = await reviewService.updateReply('user456', 'review123', 'Thank you again!');
+     */
+    const updateReply = async (craftsmanId, reviewId, text) => {
+        const review = await Review.findOneAndUpdate(
+            { _id: reviewId, craftsmanId, reply: { $exists: true } },
+            {
+                'reply.text': validateReply(text),
+                'reply.updatedAt': Date.now(),
+            },
+            { new: true }
+        ).select('-__v');
+
+        if (!review) {
+            throw new AppError('No reply found on a review with that ID', 404);
+        }
+
+        return review;
+    };
+
+    /**
+     * Reports a review as abusive. Every user reports a review once, and the
+     * review goes into the admins' moderation queue until one of them hides or
+     * restores it.
+     *
+     * @function reportReview
+     * @async
+     * @param {string} userId - The unique identifier of the reporting user.
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {Object} reportData - The report.
+     * @param {string} reportData.reason - The reason (Spam, Offensive, Fake, Off-topic or Other).
+     * @param {string} [reportData.details] - More details for the admins.
+     * @returns {Promise<void>}
+     * @throws {AppError} If the review does not exist, is the user's own (400) or was already reported by the user (409).
+     * @example
+     * await reviewService.reportReview('user789', 'review123', { reason: 'Offensive' });
+     */
+    const reportReview = async (userId, reviewId, { reason, details }) => {
+        const draft = new Review({ reports: [{ userId, reason, details }] });
+        const [report] = draft.reports;
+        const error = report.validateSync();
+
+        if (error) throw error;
+
+        const review = await getVisibleReview(reviewId);
+
+        if (!review) {
+            throw new AppError('No review found with that ID', 404);
+        }
+
+        if (review.clientId.equals(userId)) {
+            throw new AppError('You cannot report your own review', 400);
+        }
+
+        const { modifiedCount } = await Review.updateOne(
+            { _id: review._id, 'reports.userId': { $ne: userId } },
+            {
+                $push: { reports: report },
+                $inc: { reportsCount: 1 },
+                moderationStatus: 'Pending',
+            }
+        );
+
+        if (!modifiedCount) {
+            throw new AppError('You already reported this review', 409);
+        }
+    };
+
+    /**
+     * Sets the visibility of a review and resolves its reports.
+     *
+     * @function moderateReview
+     * @async
+     * @param {string} adminId - The unique identifier of the moderating admin.
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {string} status - The new visibility (Visible or Hidden).
+     * @param {string} [note] - The admin's note on the decision.
+     * @returns {Promise<Object>} - A promise that resolves to the moderated review.
+     * @throws {AppError} If the review does not exist.
+     */
+    const moderateReview = async (adminId, reviewId, status, note) => {
+        const review = await Review.findOneAndUpdate(
+            { _id: reviewId },
+            {
+                status,
+                moderationStatus: 'Resolved',
+                moderatedBy: adminId,
+                moderatedAt: Date.now(),
+                moderationNote: note,
+            },
+            { new: true }
+        ).select('+reports -__v');
+
+        if (!review) {
+            throw new AppError('No review found with that ID', 404);
+        }
+
+        return review;
+    };
+
+    /**
+     * Hides a review from the craftsman's reviews and leaves it out of their
+     * ratings, resolving its reports.
+     *
+     * @function hideReview
+     * @async
+     * @param {string} adminId - The unique identifier of the moderating admin.
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {string} [note] - The admin's note on the decision.
+     * @returns {Promise<Object>} - A promise that resolves to the hidden review.
+     * @example
+     * const review = await reviewService.hideReview('admin123', 'review123', 'Insults the craftsman');
+     */
+    const hideReview = async (adminId, reviewId, note) =>
+        await moderateReview(adminId, reviewId, 'Hidden', note);
+
+    /**
+     * Shows a hidden review again, or keeps a reported review shown, resolving
+     * its reports.
+     *
+     * @function restoreReview
+     * @async
+     * @param {string} adminId - The unique identifier of the moderating admin.
+     * @param {string} reviewId - The unique identifier of the review.
+     * @param {string} [note] - The admin's note on the decision.
+     * @returns {Promise<Object>} - A promise that resolves to the restored review.
+     * @example
+     * const review = await reviewService.restoreReview('admin123', 'review123');
+     */
+    const restoreReview = async (adminId, reviewId, note) =>
+        await moderateReview(adminId, reviewId, 'Visible', note);
+
+    return {
+        getAll,
+        getOneById,
+        count,
+        createReview,
+        updateReview,
+        deleteReview,
+        getVisibleReview,
+        replyToReview,
+        updateReply,
+        reportReview,
+        hideReview,
+        restoreReview,
+    };
+};
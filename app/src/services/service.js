@@ -15,6 +15,11 @@
  * @returns {ModelUtils} An object containing common CRUD operations for the model.
  */
 module.exports = (model) => {
+    // Fields hidden by the schema (`select: false`), only selectable as `+field`
+    const hiddenPaths = Object.keys(model.schema.paths).filter(
+        (path) => model.schema.paths[path].options.select === false
+    );
+
     /**
      * Retrieves multiple documents from the model based on filter criteria.
      *
@@ -28,6 +33,7 @@ module.exports = (model) => {
      * @param {number} options.pageLimit - The maximum number of documents to retrieve per page.
      * @param {string[]} options.populates - The fields to populate in the retrieved documents.
      * @returns {Promise<Array>} - A promise that resolves to an array of retrieved documents.
+     * Full-text searches (`filter.$text`) are ranked by relevance and every document gets its `score`.
      * @example
      * const options = {
      *   filter: { status: 'active' },
@@ -48,11 +54,28 @@ module.exports = (model) => {
         populates = [],
     }) => {
         const startIndex = (page - 1) * pageLimit;
-
-        const query = model
-            .find(filter)
+        const select = `${selectedFields}`
+            .split(/[\s,]+/)
+            .filter(
+                (field) =>
+                    !hiddenPaths.some(
+                        (path) => field === path || field.startsWith(`${path}.`)
+                    )
+            )
+            .join(' ');
+
+        const query = model.find(filter);
+
+        // Rank full-text search results by relevance first
+        if (filter.$text) {
+            query
+                .select({ score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } });
+        }
+
+        query
             .sort(`${sortByFields} _id`)
-            .select(`${selectedFields} -__v`)
+            .select(`${select} -__v`)
             .skip(startIndex)
             .limit(pageLimit);
 
@@ -0,0 +1,90 @@
+const fs = require('fs/promises');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Storage adapter that keeps files on the local disk.
+ *
+ * Public files are stored under `<directory>/public` which is served
+ * statically from `baseUrl`, private files under `<directory>/private`.
+ *
+ * @class LocalDiskStorage
+ * @extends StorageAdapter
+ * @param {Object} options - The storage options.
+ * @param {string} options.directory - The root directory of the stored files.
+ * @param {string} [options.baseUrl='/uploads'] - The URL public files are served from.
+ * @example
+ * const storage = new LocalDiskStorage({ directory: '/var/sala7ly/uploads' });
+ * const key = await storage.save(buffer, { key: 'users/user-123.jpeg', contentType: 'image/jpeg' });
+ * storage.getUrl(key); // '/uploads/users/user-123.jpeg'
+ */
+class LocalDiskStorage extends StorageAdapter {
+    /**
+     * @private
+     * @type {string}
+     */
+    #directory;
+
+    constructor({ directory, baseUrl = '/uploads' }) {
+        super();
+        this.#directory = path.resolve(directory);
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * The directory public files are stored in, to be served statically.
+     * @type {string}
+     */
+    get publicDirectory() {
+        return path.join(this.#directory, 'public');
+    }
+
+    /**
+     * Resolves the path of a file, refusing keys that escape the storage directory.
+     *
+     * @private
+     * @param {string} key - The key of the file.
+     * @param {string} visibility - Either 'public' or 'private'.
+     * @returns {string} The absolute path of the file.
+     */
+    #resolve(key, visibility = 'public') {
+        const root = path.join(
+            this.#directory,
+            visibility === 'private' ? 'private' : 'public'
+        );
+        const filePath = path.resolve(root, key);
+
+        if (!filePath.startsWith(`${root}${path.sep}`)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+
+        return filePath;
+    }
+
+    async save(buffer, { key, visibility = 'public' }) {
+        const filePath = this.#resolve(key, visibility);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+
+        return key;
+    }
+
+    async read(key, { visibility = 'public' } = {}) {
+        return await fs.readFile(this.#resolve(key, visibility));
+    }
+
+    async remove(key, { visibility = 'public' } = {}) {
+        try {
+            await fs.unlink(this.#resolve(key, visibility));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    getUrl(key) {
+        return `${this.baseUrl}/${key}`;
+    }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,66 @@
+/**
+ * Base class of file storage adapters.
+ *
+ * Adapters store files under a key (e.g. 'users/user-123.jpeg'), which is the
+ * value saved on the owning document. Public files can be served to anyone
+ * through `getUrl`, private files (e.g. national IDs) can only be read back
+ * by the application. Extend this class to plug in another store (e.g. S3).
+ *
+ * @class StorageAdapter
+ * @abstract
+ */
+class StorageAdapter {
+    /**
+     * Saves a file.
+     *
+     * @abstract
+     * @param {Buffer} buffer - The file content.
+     * @param {Object} options - The file options.
+     * @param {string} options.key - The key to store the file under.
+     * @param {string} options.contentType - The MIME type of the file.
+     * @param {string} [options.visibility='public'] - Either 'public' or 'private'.
+     * @returns {Promise<string>} A promise that resolves to the key of the stored file.
+     */
+    async save() {
+        throw new Error(`${this.constructor.name}#save is not implemented`);
+    }
+
+    /**
+     * Reads a file.
+     *
+     * @abstract
+     * @param {string} key - The key of the file.
+     * @param {Object} [options] - The file options.
+     * @param {string} [options.visibility='public'] - Either 'public' or 'private'.
+     * @returns {Promise<Buffer>} A promise that resolves to the file content.
+     */
+    async read() {
+        throw new Error(`${this.constructor.name}#read is not implemented`);
+    }
+
+    /**
+     * Removes a file, removing a missing file is not an error.
+     *
+     * @abstract
+     * @param {string} key - The key of the file.
+     * @param {Object} [options] - The file options.
+     * @param {string} [options.visibility='public'] - Either 'public' or 'private'.
+     * @returns {Promise<void>}
+     */
+    async remove() {
+        throw new Error(`${this.constructor.name}#remove is not implemented`);
+    }
+
+    /**
+     * Gets the URL a public file is served from.
+     *
+     * @abstract
+     * @param {string} key - The key of the file.
+     * @returns {string} The URL of the file.
+     */
+    getUrl() {
+        throw new Error(`${this.constructor.name}#getUrl is not implemented`);
+    }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,173 @@
+/**
+ * Upload Service Module
+ * @module uploadService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {StorageAdapter} dependencies.storage - The storage adapter uploaded files are saved to.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ * @param {Object} dependencies.libraries - External libraries like sharp and crypto.
+ *
+ * @typedef {Object} UploadService
+ * @property {Function} saveImage - Processes an uploaded image and saves it to the storage.
+ * @property {Function} saveImages - Processes and saves several uploaded images.
+ * @property {Function} readFile - Reads a stored file.
+ * @property {Function} removeFiles - Removes stored files.
+ * @property {Function} getUrl - Gets the URL a public file is served from.
+ *
+ * @returns {UploadService} An object containing upload-related service methods.
+ * @see {@link module:services/storage/StorageAdapter} For the storage adapter interface.
+ */
+module.exports = ({ storage, utils, libraries }) => {
+    const { AppError } = utils;
+    const { sharp, crypto } = libraries;
+
+    /**
+     * Image processing presets, avatars are cropped to a square while other
+     * images are only downscaled to fit within the given size.
+     * @type {Object}
+     */
+    const PRESETS = {
+        avatar: { width: 500, height: 500, fit: 'cover' },
+        photo: { width: 1600, height: 1600, fit: 'inside' },
+        document: { width: 2000, height: 2000, fit: 'inside' },
+    };
+
+    /**
+     * Processes an uploaded image and saves it to the storage as JPEG.
+     *
+     * The image is re-encoded, which strips its metadata (e.g. GPS location) and
+     * rejects files that only claim to be images.
+     *
+     * @function saveImage
+     * @async
+     * @param {Object} file - The uploaded file as parsed by multer (memory storage).
+     * @param {Object} options - The image options.
+     * @param {string} options.folder - The folder to store the image in (e.g. 'users').
+     * @param {string} options.prefix - The filename prefix, usually the owner id.
+     * @param {string} [options.preset='photo'] - One of 'avatar', 'photo' or 'document'.
+     * @param {string} [options.visibility='public'] - Either 'public' or 'private'.
+     * @returns {Promise<string>} - A promise that resolves to the key of the stored image.
+     * @throws {AppError} If the file is not a valid image.
+     * @example
+     * const key = await uploadService.saveImage(req.file, {
+     *   folder: 'users',
+     *   prefix: 'user-123',
+     *   preset: 'avatar',
+     * });
+     * // 'users/user-123-1690000000000-1a2b3c4d.jpeg'
+     */
+    const saveImage = async (
+        file,
+        { folder, prefix, preset = 'photo', visibility = 'public' }
+    ) => {
+        const { width, height, fit } = PRESETS[preset];
+
+        let buffer;
+        try {
+            buffer = await sharp(file.buffer)
+                .rotate()
+                .resize(width, height, { fit, withoutEnlargement: true })
+                .jpeg({ quality: 85 })
+                .toBuffer();
+        } catch (err) {
+            throw new AppError(
+                `${file.originalname} is not a valid image file`,
+                400
+            );
+        }
+
+        const filename = `${prefix}-${Date.now()}-${crypto
+            .randomBytes(4)
+            .toString('hex')}.jpeg`;
+
+        return await storage.save(buffer, {
+            key: `${folder}/${filename}`,
+            contentType: 'image/jpeg',
+            visibility,
+        });
+    };
+
+    /**
+     * Removes stored files, failures are ignored as a leftover file is harmless.
+     *
+     * @function removeFiles
+     * @async
+     * @param {string[]} keys - The keys of the files.
+     * @param {Object} [options] - The file options.
+     * @param {string} [options.visibility='public'] - Either 'public' or 'private'.
+     * @returns {Promise<void>}
+     */
+    const removeFiles = async (keys, { visibility = 'public' } = {}) => {
+        await Promise.all(
+            keys.map((key) =>
+                storage.remove(key, { visibility }).catch(() => {})
+            )
+        );
+    };
+
+    /**
+     * Processes and saves several uploaded images, if one fails the already
+     * saved ones are removed.
+     *
+     * @function saveImages
+     * @async
+     * @param {Object[]} files - The uploaded files as parsed by multer (memory storage).
+     * @param {Object} options - The image options, see {@link saveImage}.
+     * @returns {Promise<string[]>} - A promise that resolves to the keys of the stored images.
+     * @throws {AppError} If a file is not a valid image.
+     */
+    const saveImages = async (files, options) => {
+        const keys = [];
+
+        try {
+            // Process images one at a time to keep memory usage low
+            await files.reduce(
+                (previous, file) =>
+                    previous.then(async () => {
+                        keys.push(await saveImage(file, options));
+                    }),
+                Promise.resolve()
+            );
+        } catch (err) {
+            await removeFiles(keys, options);
+            throw err;
+        }
+
+        return keys;
+    };
+
+    /**
+     * Reads a stored file.
+     *
+     * @function readFile
+     * @async
+     * @param {string} key - The key of the file.
+     * @param {Object} [options] - The file options.
+     * @param {string} [options.visibility='public'] - Either 'public' or 'private'.
+     * @returns {Promise<Buffer>} - A promise that resolves to the file content.
+     * @throws {AppError} If the file does not exist.
+     */
+    const readFile = async (key, options) => {
+        try {
+            return await storage.read(key, options);
+        } catch (err) {
+            throw new AppError('File not found', 404);
+        }
+    };
+
+    /**
+     * Gets the URL a public file is served from.
+     *
+     * @function getUrl
+     * @param {string} key - The key of the file.
+     * @returns {string} The URL of the file.
+     */
+    const getUrl = (key) => storage.getUrl(key);
+
+    return {
+        saveImage,
+        saveImages,
+        readFile,
+        removeFiles,
+        getUrl,
+    };
+};
@@ -0,0 +1,185 @@
+/**
+ * Verification Service Module
+ * @module verificationService
+ * @param {Object} dependencies - An object containing required dependencies.
+ * @param {Model} dependencies.model - The Mongoose Verification model for database operations.
+ * @param {Object} dependencies.models - Related Mongoose models.
+ * @param {Model} dependencies.models.CraftsmanProfile - The Mongoose CraftsmanProfile model to mark as verified.
+ * @param {Object} dependencies.service - The service object containing methods for common CRUD operations.
+ * @param {Object} dependencies.utils - Utility functions and classes for handling errors.
+ *
+ * @typedef {Object} VerificationService
+ * @property {Function} getAll - Retrieves multiple documents from the model based on filter criteria.
+ * @property {Function} getOneById - Retrieves a single document by its unique identifier.
+ * @property {Function} count - Counts the number of documents that match the given filter criteria.
+ * @property {Function} isExist - Checks if a document with the specified unique identifier exists.
+ * @property {Function} submit - Submits a craftsman's national ID images for review.
+ * @property {Function} getLatestByCraftsman - Retrieves the latest verification request of a craftsman.
+ * @property {Function} review - Approves or rejects a pending verification request.
+ *
+ * @returns {VerificationService} An object containing verification-related service methods.
+ * @see {@link module:service} For methods provided by the service object.
+ */
+module.exports = ({ model, models, service, utils }) => {
+    const { CraftsmanProfile } = models;
+    const { AppError } = utils;
+    const { getAll, getOneById, count, isExist } = service(model);
+
+    /**
+     * Submits a craftsman's national ID images for review.
+     *
+     * @function submit
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @param {string[]} nationalIdImages - The private storage keys of the uploaded national ID images.
+     * @returns {Promise<Object>} - A promise that resolves to the new verification request.
+     * @throws {AppError} If the craftsman has no profile, is already verified or already has a pending request.
+     * @example
+     * const verification = await verificationService.submit('user123', [
+     *   'national-id-front.jpg',
+     *   'national-id-back.jpg',
+     * ]);
+     */
+    const submit = async (craftsmanId, nationalIdImages) => {
+        const profile = await CraftsmanProfile.findOne({
+            userId: craftsmanId,
+        });
+
+        if (!profile) {
+            throw new AppError('Craftsman profile not found', 404);
+        }
+
+        if (profile.verified) {
+            throw new AppError('Your identity is already verified', 400);
+        }
+
+        const hasPending = await model.exists({
+            craftsmanId,
+            status: 'Pending',
+        });
+
+        if (hasPending) {
+            throw new AppError(
+                'You already have a verification request waiting for review',
+                409
+            );
+        }
+
+        const verification = await model.create({
+            craftsmanId,
+            profileId: profile._id,
+            nationalIdImages,
+            history: [{ status: 'Pending', changedBy: craftsmanId }],
+        });
+
+        verification.__v = undefined;
+
+        return verification;
+    };
+
+    /**
+     * Retrieves the latest verification request of a craftsman.
+     *
+     * @function getLatestByCraftsman
+     * @async
+     * @param {string} craftsmanId - The unique identifier of the craftsman user.
+     * @returns {Promise<Object>} - A promise that resolves to the latest verification request or null.
+     * @example
+     * const verification = await verificationService.getLatestByCraftsman('user123');
+     */
+    const getLatestByCraftsman = async (craftsmanId) => {
+        const verification = await model
+            .findOne({ craftsmanId })
+            .sort('-submittedAt')
+            .select('-__v');
+
+        return verification;
+    };
+
+    /**
+     * Approves or rejects a pending verification request and updates the craftsman profile.
+     *
+     * @function review
+     * @async
+     * @param {string} id - The unique identifier of the verification request.
+     * @param {Object} decision - The review decision.
+     * @param {string} decision.status - The new status ('Approved' or 'Rejected').
+     * @param {string} [decision.reason] - The reason for the decision (required when rejecting).
+     * @param {string} decision.reviewerId - The unique identifier of the reviewing admin.
+     * @returns {Promise<Object>} - A promise that resolves to the reviewed verification request.
+     * @throws {AppError} If the request does not exist, is no longer pending, or a rejection has no reason.
+     * @example
+     * const verification = await verificationService.review('verification123', {
+     *   status: 'Rejected',
+     *   reason: 'The national ID image is not readable',
+     *   reviewerId: 'admin123',
+     * });
+     */
+    const review = async (id, { status, reason, reviewerId }) => {
+        if (status === 'Rejected' && !reason) {
+            throw new AppError(
+                'Please provide a reason for the rejection',
+                400
+            );
+        }
+
+        const reviewedAt = Date.now();
+
+        // Only pending requests can be reviewed, so check and update at once
+        const verification = await model
+            .findOneAndUpdate(
+                { _id: id, status: 'Pending' },
+                {
+                    status,
+                    reason,
+                    reviewedBy: reviewerId,
+                    reviewedAt,
+                    $push: {
+                        history: {
+                            status,
+                            reason,
+                            changedBy: reviewerId,
+                            changedAt: reviewedAt,
+                        },
+                    },
+                },
+                { new: true, runValidators: true }
+            )
+            .select('-__v');
+
+        if (!verification) {
+            const exists = await model.exists({ _id: id });
+
+            throw exists
+                ? new AppError(
+                      'This verification request was already reviewed',
+                      409
+                  )
+                : new AppError('No verification found with that ID', 404);
+        }
+
+        // Reflect the decision on the craftsman profile
+        const profileUpdate = { verified: status === 'Approved' };
+
+        if (status === 'Approved') {
+            [profileUpdate.nationalId] = verification.nationalIdImages;
+        }
+
+        await CraftsmanProfile.updateOne(
+            { _id: verification.profileId },
+            profileUpdate
+        );
+
+        return verification;
+    };
+
+    return {
+        getAll,
+        getOneById,
+        count,
+        isExist,
+        submit,
+        getLatestByCraftsman,
+        review,
+    };
+};
@@ -2,6 +2,19 @@
  * A utility class for parsing and manipulating query parameters for API features.
  */
 class APIFeatures {
+    /**
+     * Query parameters that control the query itself and are never used as filters.
+     * @type {string[]}
+     */
+    static DEFAULT_EXCLUDED_FIELDS = [
+        'page',
+        'sort',
+        'limit',
+        'fields',
+        'select',
+        'q',
+    ];
+
     #reqQuery;
 
     /**
@@ -13,7 +26,7 @@ class APIFeatures {
         this.#reqQuery = reqQuery;
         this.excludedFields = excludedFields.length
             ? excludedFields
-            : ['page', 'sort', 'limit', 'fields', 'select'];
+            : APIFeatures.DEFAULT_EXCLUDED_FIELDS;
     }
 
     /**
@@ -66,21 +79,69 @@ class APIFeatures {
 
     /**
      * Parse and prepare the select options from the request query.
+     * Hidden fields (`+field`) are left out, only the routes can select them.
      * @method
      * @param {string} [fields=''] - Comma-separated list of fields to include in the query results.
      * @returns {string} The select options array to be used in a MongoDB query.
      */
     parseSelectOptions(fields = '') {
         console.log(this.#reqQuery.fields);
-        if (this.#reqQuery.fields)
-            return this.#reqQuery.fields.split(',').join(' ');
-        if (this.#reqQuery.select)
-            return this.#reqQuery.select.split(',').join(' ');
+        const requestedFields = `${
+            this.#reqQuery.fields || this.#reqQuery.select || ''
+        }`
+            .split(',')
+            .map((field) => field.trim())
+            .filter((field) => field && !field.startsWith('+'));
+
+        if (requestedFields.length) return requestedFields.join(' ');
         if (fields) return fields.split(',');
 
         return '-__v';
     }
 
+    /**
+     * Parse and prepare the full-text search options from the `q` query parameter.
+     * @method
+     * @returns {object|null} The `$text` operator options to be used in a MongoDB query, or null if there is no search term.
+     */
+    parseTextSearchOptions() {
+        const searchTerm = `${this.#reqQuery.q || ''}`.trim();
+
+        if (!searchTerm) return null;
+
+        return { $search: searchTerm };
+    }
+
+    /**
+     * Parse the pagination options from the `page` and `limit` query parameters.
+     * @method
+     * @param {number} [defaultPage=1] - The page number used when `page` is not a positive integer.
+     * @param {number} [defaultLimit=100] - The page size used when `limit` is not a positive integer.
+     * @returns {{page: number, limit: number}} The page number and page size, both positive integers.
+     */
+    parsePaginationOptions(defaultPage = 1, defaultLimit = 100) {
+        return {
+            page: APIFeatures.toPositiveInteger(
+                this.#reqQuery.page,
+                defaultPage
+            ),
+            limit: APIFeatures.toPositiveInteger(
+                this.#reqQuery.limit,
+                defaultLimit
+            ),
+        };
+    }
+
+    /**
+     * Convert a value to a positive integer.
+     * @param {*} value - The value to convert.
+     * @param {number} fallback - The value returned when `value` is not a positive number.
+     * @returns {number} The value rounded down, or the fallback.
+     */
+    static toPositiveInteger(value, fallback) {
+        return Math.max(1, Math.floor(Number(value)) || fallback);
+    }
+
     static createPaginationObject(page, limit, total) {
         const startIndex = (page - 1) * limit;
         const endIndex = page * limit;
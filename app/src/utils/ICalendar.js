@@ -0,0 +1,163 @@
+/**
+ * A class for building iCalendar (RFC 5545) documents, e.g. calendar feeds
+ * and single event `.ics` files.
+ *
+ * @class
+ * @param {Object} [options] - The calendar options.
+ * @param {string} [options.name='Sala7ly'] - The calendar name shown by calendar apps.
+ * @param {string} [options.domain='sala7ly.com'] - The domain used to build globally unique event ids.
+ *
+ * @example
+ * const calendar = new ICalendar({ name: 'My bookings' });
+ * calendar.addEvent({
+ *   id: 'booking123',
+ *   start: new Date('2024-01-01T09:00:00+02:00'),
+ *   end: new Date('2024-01-01T11:00:00+02:00'),
+ *   summary: 'Plumbing - Ahmed',
+ * });
+ * res.type('text/calendar').send(calendar.toString());
+ */
+class ICalendar {
+    /**
+     * @private
+     * @property {Object[]} #events The events of the calendar.
+     */
+    #events = [];
+
+    constructor({ name = 'Sala7ly', domain = 'sala7ly.com' } = {}) {
+        this.name = name;
+        this.domain = domain;
+    }
+
+    /**
+     * Formats a date as an iCalendar UTC date-time (e.g. 20240101T070000Z).
+     *
+     * @param {Date} date - The date.
+     * @returns {string} The formatted date.
+     */
+    static formatDate(date) {
+        return new Date(date).toISOString().replace(/[-:]|\.\d{3}/g, '');
+    }
+
+    /**
+     * Escapes a text value (backslashes, semicolons, commas and new lines).
+     *
+     * @param {string} text - The text.
+     * @returns {string} The escaped text.
+     */
+    static escapeText(text) {
+        return `${text}`
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Folds a content line so no line is longer than 75 octets, as required by
+     * RFC 5545. Continuation lines start with a space.
+     *
+     * @param {string} line - The content line.
+     * @returns {string} The folded line.
+     */
+    static foldLine(line) {
+        const parts = [];
+        let part = '';
+        let partLength = 0;
+
+        [...line].forEach((char) => {
+            const charLength = Buffer.byteLength(char);
+            const limit = parts.length ? 74 : 75;
+
+            if (partLength + charLength > limit) {
+                parts.push(part);
+                part = '';
+                partLength = 0;
+            }
+
+            part += char;
+            partLength += charLength;
+        });
+
+        parts.push(part);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Adds an event to the calendar.
+     *
+     * @param {Object} event - The event.
+     * @param {string} event.id - A unique identifier of the event, stable across exports.
+     * @param {Date} event.start - The start of the event.
+     * @param {Date} event.end - The end of the event.
+     * @param {string} event.summary - The title of the event.
+     * @param {string} [event.description] - The details of the event.
+     * @param {string} [event.location] - The address of the event.
+     * @param {number[]} [event.coordinates] - The [longitude, latitude] of the event.
+     * @param {string} [event.status='CONFIRMED'] - The event status ('TENTATIVE', 'CONFIRMED' or 'CANCELLED').
+     * @param {Date} [event.updatedAt] - When the event last changed.
+     * @returns {ICalendar} The calendar, for chaining.
+     */
+    addEvent(event) {
+        this.#events.push(event);
+
+        return this;
+    }
+
+    /**
+     * Builds the iCalendar document.
+     *
+     * @returns {string} The iCalendar document with CRLF line endings.
+     */
+    toString() {
+        const now = ICalendar.formatDate(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${this.domain}//Sala7ly//EN`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${ICalendar.escapeText(this.name)}`,
+        ];
+
+        this.#events.forEach((event) => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.id}@${this.domain}`,
+                `DTSTAMP:${
+                    event.updatedAt
+                        ? ICalendar.formatDate(event.updatedAt)
+                        : now
+                }`,
+                `DTSTART:${ICalendar.formatDate(event.start)}`,
+                `DTEND:${ICalendar.formatDate(event.end)}`,
+                `SUMMARY:${ICalendar.escapeText(event.summary)}`,
+                `STATUS:${event.status || 'CONFIRMED'}`
+            );
+
+            if (event.description) {
+                lines.push(
+                    `DESCRIPTION:${ICalendar.escapeText(event.description)}`
+                );
+            }
+
+            if (event.location) {
+                lines.push(`LOCATION:${ICalendar.escapeText(event.location)}`);
+            }
+
+            if (event.coordinates) {
+                const [longitude, latitude] = event.coordinates;
+                lines.push(`GEO:${latitude};${longitude}`);
+            }
+
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return `${lines.map(ICalendar.foldLine).join('\r\n')}\r\n`;
+    }
+}
+
+module.exports = ICalendar;
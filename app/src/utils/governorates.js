@@ -0,0 +1,123 @@
+/**
+ * Egyptian governorates reference data.
+ * Codes follow ISO 3166-2:EG and are the canonical values stored in documents.
+ * @module governorates
+ */
+
+/**
+ * @typedef {Object} Governorate
+ * @property {string} code - The ISO 3166-2:EG code of the governorate (e.g. 'EG-C').
+ * @property {string} nameEn - The English name of the governorate.
+ * @property {string} nameAr - The Arabic name of the governorate.
+ * @property {string[]} aliases - Other common spellings of the governorate name.
+ */
+
+/**
+ * The 27 governorates of Egypt.
+ * @type {Governorate[]}
+ */
+const GOVERNORATES = Object.freeze(
+    [
+        ['EG-ALX', 'Alexandria', 'الإسكندرية', ['Alex']],
+        ['EG-ASN', 'Aswan', 'أسوان', []],
+        ['EG-AST', 'Asyut', 'أسيوط', ['Assiut', 'Assyout']],
+        ['EG-BA', 'Red Sea', 'البحر الأحمر', []],
+        ['EG-BH', 'Beheira', 'البحيرة', ['Behira']],
+        ['EG-BNS', 'Beni Suef', 'بني سويف', ['Bani Sweif']],
+        ['EG-C', 'Cairo', 'القاهرة', []],
+        ['EG-DK', 'Dakahlia', 'الدقهلية', ['Dakahlya', 'Mansoura']],
+        ['EG-DT', 'Damietta', 'دمياط', []],
+        ['EG-FYM', 'Faiyum', 'الفيوم', ['Fayoum', 'Fayum']],
+        ['EG-GH', 'Gharbia', 'الغربية', ['Gharbiya', 'Tanta']],
+        ['EG-GZ', 'Giza', 'الجيزة', ['Gizeh']],
+        ['EG-IS', 'Ismailia', 'الإسماعيلية', []],
+        ['EG-JS', 'South Sinai', 'جنوب سيناء', []],
+        ['EG-KB', 'Qalyubia', 'القليوبية', ['Kalyubia', 'Qaliubiya']],
+        ['EG-KFS', 'Kafr El Sheikh', 'كفر الشيخ', ['Kafr el-Sheikh']],
+        ['EG-KN', 'Qena', 'قنا', ['Qina']],
+        ['EG-LX', 'Luxor', 'الأقصر', []],
+        ['EG-MN', 'Minya', 'المنيا', ['Menia', 'El Minya']],
+        ['EG-MNF', 'Monufia', 'المنوفية', ['Menofia', 'Menoufia']],
+        ['EG-MT', 'Matrouh', 'مطروح', ['Marsa Matruh']],
+        ['EG-PTS', 'Port Said', 'بورسعيد', ['بور سعيد']],
+        ['EG-SHG', 'Sohag', 'سوهاج', ['Suhag']],
+        ['EG-SHR', 'Sharqia', 'الشرقية', ['Sharkia', 'Sharkiya']],
+        ['EG-SIN', 'North Sinai', 'شمال سيناء', []],
+        ['EG-SUZ', 'Suez', 'السويس', []],
+        ['EG-WAD', 'New Valley', 'الوادي الجديد', []],
+    ].map(([code, nameEn, nameAr, aliases]) =>
+        Object.freeze({ code, nameEn, nameAr, aliases })
+    )
+);
+
+/**
+ * The canonical governorate codes.
+ * @type {string[]}
+ */
+const GOVERNORATE_CODES = GOVERNORATES.map((governorate) => governorate.code);
+
+/**
+ * Reduces a governorate name to a comparable key: case, spacing, punctuation
+ * and Arabic letter variants (أ/إ/آ, ة/ه, ى/ي) do not matter.
+ *
+ * @param {string} value - The governorate name or code.
+ * @returns {string} The comparable key.
+ */
+const toKey = (value) =>
+    `${value}`
+        .toLowerCase()
+        .replace(/[أإآ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .replace(/^eg-/, '')
+        .replace(/^(el|al)[\s-]+/, '')
+        .replace(/^ال/, '')
+        .replace(/[\s\-_'.]+/g, '');
+
+// Lookup table from every known spelling to its governorate
+const lookup = new Map();
+
+GOVERNORATES.forEach((governorate) => {
+    [
+        governorate.code,
+        governorate.nameEn,
+        governorate.nameAr,
+        ...governorate.aliases,
+    ].forEach((name) => lookup.set(toKey(name), governorate));
+});
+
+/**
+ * Finds a governorate by its code, English name, Arabic name or a known alias.
+ *
+ * @param {string} value - The governorate code or name (e.g. 'EG-C', 'cairo', 'القاهرة').
+ * @returns {Governorate|null} The governorate, or null if the value is unknown.
+ * @example
+ * findGovernorate('القاهره'); // { code: 'EG-C', nameEn: 'Cairo', ... }
+ */
+const findGovernorate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    return lookup.get(toKey(value)) || null;
+};
+
+/**
+ * Normalizes a governorate code or name to its canonical code.
+ * Unknown values are returned unchanged so validation can reject them.
+ *
+ * @param {string} value - The governorate code or name.
+ * @returns {string} The canonical governorate code, or the value itself if unknown.
+ * @example
+ * normalizeGovernorate('Cairo'); // 'EG-C'
+ */
+const normalizeGovernorate = (value) => {
+    const governorate = findGovernorate(value);
+
+    return governorate ? governorate.code : value;
+};
+
+module.exports = {
+    GOVERNORATES,
+    GOVERNORATE_CODES,
+    findGovernorate,
+    normalizeGovernorate,
+};
@@ -2,6 +2,10 @@ const catchAsync = require('./catchAsync');
 const StandardJsonResponse = require('./StandardJsonResponse');
 const AppError = require('./AppError');
 const APIFeatures = require('./APIFeatures');
+const governorates = require('./governorates');
+const ICalendar = require('./ICalendar');
+const travel = require('./travel');
+const ratings = require('./ratings');
 
 /**
  * A module that exports utility functions and classes for handling errors and asynchronous operations.
@@ -31,4 +35,28 @@ module.exports = {
      * @type {Class}
      */
     APIFeatures,
+
+    /**
+     * Egyptian governorates reference data and helpers to normalize names to canonical codes.
+     * @type {Object}
+     */
+    governorates,
+
+    /**
+     * A class for building iCalendar (.ics) documents such as calendar feeds.
+     * @type {Class}
+     */
+    ICalendar,
+
+    /**
+     * Great-circle distance and travel fee helpers for pricing bookings by distance.
+     * @type {Object}
+     */
+    travel,
+
+    /**
+     * Rating helpers such as the Bayesian weighted average of craftsmen ratings.
+     * @type {Object}
+     */
+    ratings,
 };
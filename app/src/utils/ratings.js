@@ -0,0 +1,54 @@
+/**
+ * Rating aggregation helpers.
+ * @module ratings
+ */
+
+/**
+ * @typedef {Object} RatingPrior
+ * @property {number} mean - The rating every craftsman is assumed to start from.
+ * @property {number} weight - How many reviews the assumed rating counts as.
+ */
+
+/**
+ * The platform-wide prior of the weighted average.
+ * @type {RatingPrior}
+ */
+const DEFAULT_RATING_PRIOR = Object.freeze({
+    mean: Number(process.env.RATINGS_PRIOR_MEAN || 3.5),
+    weight: Number(process.env.RATINGS_PRIOR_WEIGHT || 10),
+});
+
+/**
+ * Computes the Bayesian average of a rating: the average pulled towards the
+ * prior mean, less so the more reviews it is based on. Ranking by it keeps a
+ * single 5-star review from outranking hundreds of slightly lower ones.
+ *
+ * @param {number} average - The plain average of the ratings.
+ * @param {number} quantity - The number of ratings.
+ * @param {Partial<RatingPrior>} [prior] - The prior, the platform's by default.
+ * @returns {number} The weighted average, 0 without ratings.
+ * @example
+ * weightedRating(5, 1); // 3.64
+ * weightedRating(4.8, 200); // 4.74
+ */
+const weightedRating = (
+    average,
+    quantity,
+    {
+        mean = DEFAULT_RATING_PRIOR.mean,
+        weight = DEFAULT_RATING_PRIOR.weight,
+    } = {}
+) => {
+    if (!quantity) return 0;
+
+    return (
+        Math.round(
+            ((mean * weight + average * quantity) / (weight + quantity)) * 100
+        ) / 100
+    );
+};
+
+module.exports = {
+    DEFAULT_RATING_PRIOR,
+    weightedRating,
+};
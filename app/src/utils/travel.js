@@ -0,0 +1,88 @@
+/**
+ * Travel distance and fee helpers.
+ * Distances are great-circle distances between GeoJSON coordinates, fees are in EGP.
+ * @module travel
+ */
+
+/**
+ * The mean radius of the Earth in kilometers.
+ * @type {number}
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * The travel fields of a craftsman's rate card.
+ * @typedef {Object} TravelPricing
+ * @property {number} freeTravelKm - How many kilometers the craftsman travels for free.
+ * @property {number} travelFeePerKm - The price of every kilometer after the free ones.
+ */
+
+/**
+ * The platform-wide travel pricing, used for craftsmen without their own.
+ * @type {TravelPricing}
+ */
+const DEFAULT_TRAVEL_PRICING = Object.freeze({
+    freeTravelKm: Number(process.env.TRAVEL_FREE_KM || 5),
+    travelFeePerKm: Number(process.env.TRAVEL_FEE_PER_KM || 5),
+});
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Computes the great-circle distance between two points with the haversine formula.
+ *
+ * @param {number[]} from - The [longitude, latitude] of the first point.
+ * @param {number[]} to - The [longitude, latitude] of the second point.
+ * @returns {number} The distance in kilometers.
+ * @example
+ * haversineDistance([31.2357, 30.0444], [29.9187, 31.2001]); // ~179 (Cairo to Alexandria)
+ */
+const haversineDistance = ([fromLng, fromLat], [toLng, toLat]) => {
+    const dLat = toRadians(toLat - fromLat);
+    const dLng = toRadians(toLng - fromLng);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(fromLat)) *
+            Math.cos(toRadians(toLat)) *
+            Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Converts a distance on the Earth's surface into the angle it spans, as
+ * MongoDB's `$centerSphere` expects radii.
+ *
+ * @param {number} distanceKm - The distance in kilometers.
+ * @returns {number} The distance in radians.
+ * @example
+ * kmToRadians(25); // ~0.0039
+ */
+const kmToRadians = (distanceKm) => distanceKm / EARTH_RADIUS_KM;
+
+/**
+ * Computes the travel fee for a distance: free within `freeTravelKm`, then
+ * `travelFeePerKm` for every kilometer after. Missing pricing falls back to the platform's.
+ *
+ * @param {number} distanceKm - The distance travelled in kilometers.
+ * @param {Partial<TravelPricing>} [rateCard] - The craftsman's rate card.
+ * @returns {number} The travel fee rounded to piasters.
+ * @example
+ * calculateTravelFee(12.5, { freeTravelKm: 10, travelFeePerKm: 4 }); // 10
+ */
+const calculateTravelFee = (
+    distanceKm,
+    {
+        freeTravelKm = DEFAULT_TRAVEL_PRICING.freeTravelKm,
+        travelFeePerKm = DEFAULT_TRAVEL_PRICING.travelFeePerKm,
+    } = {}
+) =>
+    Math.round(Math.max(0, distanceKm - freeTravelKm) * travelFeePerKm * 100) /
+    100;
+
+module.exports = {
+    DEFAULT_TRAVEL_PRICING,
+    haversineDistance,
+    kmToRadians,
+    calculateTravelFee,
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const utils = require('../../src/utils');
+const controller = require('../../src/controllers/controller');
+
+/**
+ * Runs a request handler and resolves to the options the service listed documents with.
+ *
+ * @param {Function} handler - The request handler.
+ * @param {Object} query - The request query.
+ * @returns {Promise<Object>} The options passed to `service.getAll` and the response status.
+ */
+const list = (handler, query) =>
+    new Promise((resolve, reject) => {
+        let options;
+        const service = {
+            getAll: async (getAllOptions) => {
+                options = getAllOptions;
+                return [];
+            },
+            count: async () => 0,
+        };
+        const res = {
+            status(statusCode) {
+                this.statusCode = statusCode;
+                return this;
+            },
+            json() {
+                resolve({ options, statusCode: this.statusCode });
+            },
+        };
+
+        handler(service)({ query }, res, reject);
+    });
+
+const getAll = (service) => controller(service, utils).getAll({});
+
+test('getAll falls back to the first page for a negative page', async () => {
+    const { options, statusCode } = await list(getAll, { page: '-1' });
+
+    assert.strictEqual(statusCode, 200);
+    assert.strictEqual(options.page, 1);
+});
+
+test('getAll falls back to the default page size for an invalid limit', async () => {
+    const { options } = await list(getAll, { page: '2', limit: 'abc' });
+
+    assert.strictEqual(options.page, 2);
+    assert.strictEqual(options.pageLimit, 100);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CraftsmanProfile } = require('../../src/models');
+const travel = require('../../src/utils/travel');
+
+test('calculateTravelFee falls back to the platform pricing', () => {
+    const { freeTravelKm, travelFeePerKm } = travel.DEFAULT_TRAVEL_PRICING;
+
+    assert.strictEqual(
+        travel.calculateTravelFee(freeTravelKm + 10),
+        10 * travelFeePerKm
+    );
+    assert.strictEqual(travel.calculateTravelFee(freeTravelKm), 0);
+});
+
+test("calculateTravelFee prices a trip with the craftsman's rate card", () => {
+    const profile = new CraftsmanProfile({
+        rateCard: { freeTravelKm: 20, travelFeePerKm: 10 },
+    });
+
+    assert.strictEqual(travel.calculateTravelFee(30, profile.rateCard), 100);
+    assert.strictEqual(travel.calculateTravelFee(15, profile.rateCard), 0);
+});